@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import config from '../config.js';
+import { createAnalysisRun } from '../src/lib/analysisRun.js';
 import { getCssFilesList } from '../src/lib/fileUtils.js';
 import { groupFilesByDirectory } from '../src/lib/groupingUtils.js';
 
@@ -11,12 +12,19 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
  * Retrieves and groups CSS files by directory from the configured repo path.
+ * @param {import('../src/lib/analysisRun.js').AnalysisRun} run - Run collecting token usage findings.
  * @returns {Promise<{ cssFilesList: string[], groupedByDir: Record<string, string[]> }>}
  */
-async function getGroupedCssFiles() {
+async function getGroupedCssFiles(run) {
   const cssFilesList = await getCssFilesList(config.repoPath, {
     includePatterns: config.includePatterns,
     ignorePatterns: config.ignorePatterns,
+    globalVarIndex: config.globalVarIndex,
+    cacheDir: config.analysisCache ? config.analysisCachePath : null,
+    workers: config.analysisWorkers,
+    run,
+    resilient: config.resilientAnalysis,
+    tolerantParser: config.tolerantParser,
   });
 
   const groupedByDir = groupFilesByDirectory(cssFilesList);
@@ -47,13 +55,15 @@ async function writeGroupedDataToDisk(cssFilesList, groupedByDir) {
  * Main entry point for generating and writing grouped CSS file metadata.
  *
  * Reads CSS file paths, groups them by directory, and writes two JSON files
- * to disk: one for the raw file list and one for the grouped structure.
+ * to disk: one for the raw file list and one for the grouped structure. The
+ * token usage and property value aggregates are written alongside them.
  *
  * Logs status and errors to the console.
  * @returns {Promise<void>}
  */
 async function main() {
-  const { cssFilesList, groupedByDir } = await getGroupedCssFiles();
+  const run = createAnalysisRun();
+  const { cssFilesList, groupedByDir } = await getGroupedCssFiles(run);
 
   if (!groupedByDir || Object.keys(groupedByDir).length === 0) {
     console.log('⚠️ No CSS files found in the specified repo path.');
@@ -62,6 +72,8 @@ async function main() {
 
   try {
     await writeGroupedDataToDisk(cssFilesList, groupedByDir);
+    await run.writeAggregates();
+    await run.writeErrors();
     console.log('✅ Data written to /src/data');
   } catch (err) {
     console.error('❌ Failed to write output files:', err);
@@ -0,0 +1,214 @@
+import fs from 'node:fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { glob } from 'glob';
+
+import config from '../config.js';
+import { getTargetPatterns } from './generateMigration.js';
+import { createAnalysisRun } from '../src/lib/analysisRun.js';
+import { buildVarIndex } from '../src/lib/externalVars.js';
+import { isPreprocessed } from '../src/lib/preprocessor.js';
+import {
+  collectExternalVars,
+  getPropagationData,
+} from '../src/lib/propagationUtils.js';
+import { USE_DESIGN_TOKENS_RULE } from '../src/lib/stylelintDirectives.js';
+import {
+  buildParityReport,
+  compareWithStylelint,
+  formatParityReport,
+} from '../src/lib/stylelintParity.js';
+
+/**
+ * A map of supported command-line options with their metadata.
+ *
+ * Anything that isn't an option is treated as a target: a directory, file or
+ * glob relative to the repo root.
+ *
+ * @typedef {object} ParsedOptions
+ * @property {string|null} json - Path to write the report to as JSON.
+ * @property {string[]} targets - Directories, files or globs to check.
+ */
+const optionDefinitions = {
+  '--json': {
+    type: 'string',
+    description: 'Also write the report to this path as JSON',
+    default: null,
+    requiresValue: true,
+  },
+  '--help': {
+    type: 'boolean',
+    description: 'Show this help message',
+    default: false,
+  },
+};
+
+/**
+ * Parses command-line arguments and returns a normalized options object.
+ *
+ * @param {string[]} argv - The full `process.argv` array from the Node.js runtime.
+ * @returns {ParsedOptions} - Parsed CLI options with defaults applied.
+ * @example
+ * // node bin/checkStylelintParity.js toolkit/content/widgets --json parity.json
+ * const options = parseArgs(process.argv);
+ * // options = { json: 'parity.json', help: false, targets: ['toolkit/content/widgets'] }
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const options = { targets: [] };
+
+  for (const [flag, def] of Object.entries(optionDefinitions)) {
+    if (def.key === undefined) {
+      def.key = flag.slice(2);
+    }
+    options[def.key] = def.default;
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const def = optionDefinitions[arg];
+
+    if (!def) {
+      options.targets.push(arg);
+      continue;
+    }
+
+    if (arg === '--help') {
+      printHelp();
+      process.exit(0);
+    }
+
+    if (def.type === 'boolean') {
+      options[def.key] = true;
+    } else if (def.requiresValue) {
+      options[def.key] = args[i + 1];
+      i++;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Prints usage instructions for all supported CLI options to stdout.
+ */
+function printHelp() {
+  console.log(
+    'Usage: node bin/checkStylelintParity.js [options] [dir|file|glob ...]\n',
+  );
+  console.log(
+    'Targets are relative to the repo root and default to the configured include patterns.\n',
+  );
+  console.log('Options:');
+  for (const [flag, def] of Object.entries(optionDefinitions)) {
+    console.log(`  ${flag.padEnd(18)} ${def.description}`);
+  }
+}
+
+/**
+ * Loads stylelint and the vendored stylelint-plugin-mozilla plugins.
+ *
+ * They're dev dependencies the site doesn't need, so they're only imported
+ * here, with a hint to install them if they're missing.
+ *
+ * @returns {Promise<{ stylelint: object, plugins: object[] }>}
+ */
+async function loadStylelint() {
+  try {
+    const { default: stylelint } = await import('stylelint');
+    const { default: plugins } =
+      await import('../src/vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/index.mjs');
+    return { stylelint, plugins };
+  } catch (e) {
+    throw new Error(
+      'The parity check needs stylelint, install the dev dependencies with `npm install`',
+      { cause: e },
+    );
+  }
+}
+
+/**
+ * Runs the vendored `use-design-tokens` rule over the targeted stylesheets and
+ * compares its warnings with AWDTY's classification of each declaration,
+ * printing the mismatches by category.
+ *
+ * Stylelint directives are ignored, so excluded declarations are compared
+ * too. Preprocessed stylesheets are skipped, as stylelint can't parse them.
+ *
+ * @param {ParsedOptions} options - Parsed CLI options.
+ * @returns {Promise<void>}
+ */
+export async function checkStylelintParity({ json, targets = [] }) {
+  const { stylelint, plugins } = await loadStylelint();
+  const stylelintConfig = {
+    plugins,
+    rules: { [USE_DESIGN_TOKENS_RULE]: true },
+  };
+
+  const files = (
+    await glob(getTargetPatterns(targets), {
+      cwd: config.repoPath,
+      absolute: true,
+      ignore: config.ignorePatterns,
+    })
+  )
+    .filter((file) => file.endsWith('.css'))
+    .sort();
+  // Only used for its caches, so shared imports are parsed once.
+  const run = createAnalysisRun();
+  const varIndex = config.globalVarIndex
+    ? await buildVarIndex(files, run)
+    : null;
+
+  const fileResults = [];
+  let skippedCount = 0;
+
+  for (const file of files) {
+    const relativePath = path.relative(config.repoPath, file);
+    try {
+      const code = await fs.readFile(file, 'utf8');
+      if (isPreprocessed(code)) {
+        skippedCount++;
+        continue;
+      }
+
+      const { foundPropValues } = await getPropagationData(
+        file,
+        collectExternalVars,
+        { varIndex, componentScoring: false, caches: run },
+      );
+      const {
+        results: [{ warnings }],
+      } = await stylelint.lint({
+        code,
+        codeFilename: file,
+        config: stylelintConfig,
+        ignoreDisables: true,
+      });
+
+      fileResults.push({
+        path: relativePath,
+        declarationCount: foundPropValues.length,
+        mismatches: compareWithStylelint(foundPropValues, warnings),
+      });
+    } catch (e) {
+      console.error(`Unable to check ${relativePath}, skipping... ${e}`);
+      skippedCount++;
+    }
+  }
+
+  const report = buildParityReport(fileResults);
+  console.log(formatParityReport(report));
+  if (skippedCount) {
+    console.log(`\nSkipped ${skippedCount} file(s)`);
+  }
+
+  if (json) {
+    await fs.writeFile(json, JSON.stringify(report, null, 2));
+  }
+}
+
+// Only run if this file is executed directly (not imported)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await checkStylelintParity(parseArgs(process.argv));
+}
@@ -0,0 +1,199 @@
+import fs from 'node:fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { glob, hasMagic } from 'glob';
+
+import config from '../config.js';
+import {
+  applyEdits,
+  createUnifiedDiff,
+  getFileMigration,
+} from '../src/lib/migrationUtils.js';
+
+/**
+ * A map of supported command-line options with their metadata.
+ *
+ * Anything that isn't an option is treated as a target: a directory, file or
+ * glob relative to the repo root.
+ *
+ * @typedef {object} ParsedOptions
+ * @property {string|null} diff - Path to write the unified diff to.
+ * @property {string|null} outDir - Directory to write rewritten copies of the files to.
+ * @property {string[]} targets - Directories, files or globs to migrate.
+ */
+const optionDefinitions = {
+  '--diff': {
+    type: 'string',
+    description:
+      'Write a unified diff to this path (default: stdout, unless --out-dir is passed)',
+    default: null,
+    requiresValue: true,
+  },
+  '--out-dir': {
+    type: 'string',
+    key: 'outDir',
+    description:
+      'Write rewritten copies of the matched files to this directory, keeping their repo-relative paths',
+    default: null,
+    requiresValue: true,
+  },
+  '--help': {
+    type: 'boolean',
+    description: 'Show this help message',
+    default: false,
+  },
+};
+
+/**
+ * Parses command-line arguments and returns a normalized options object.
+ *
+ * @param {string[]} argv - The full `process.argv` array from the Node.js runtime.
+ * @returns {ParsedOptions} - Parsed CLI options with defaults applied.
+ * @example
+ * // node bin/generateMigration.js browser/components/sidebar --diff sidebar.diff
+ * const options = parseArgs(process.argv);
+ * // options = { diff: 'sidebar.diff', outDir: null, help: false, targets: ['browser/components/sidebar'] }
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const options = { targets: [] };
+
+  for (const [flag, def] of Object.entries(optionDefinitions)) {
+    if (def.key === undefined) {
+      def.key = flag.slice(2);
+    }
+    options[def.key] = def.default;
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const def = optionDefinitions[arg];
+
+    if (!def) {
+      options.targets.push(arg);
+      continue;
+    }
+
+    if (arg === '--help') {
+      printHelp();
+      process.exit(0);
+    }
+
+    if (def.type === 'boolean') {
+      options[def.key] = true;
+    } else if (def.requiresValue) {
+      options[def.key] = args[i + 1];
+      i++;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Prints usage instructions for all supported CLI options to stdout.
+ */
+function printHelp() {
+  console.log(
+    'Usage: node bin/generateMigration.js [options] [dir|file|glob ...]\n',
+  );
+  console.log(
+    'Targets are relative to the repo root and default to the configured include patterns.\n',
+  );
+  console.log('Options:');
+  for (const [flag, def] of Object.entries(optionDefinitions)) {
+    console.log(`  ${flag.padEnd(18)} ${def.description}`);
+  }
+}
+
+/**
+ * Converts targets into glob patterns. Globs are kept as they are, CSS files
+ * match themselves and anything else is treated as a directory.
+ *
+ * @param {string[]} targets - Directories, files or globs relative to the repo root.
+ * @returns {string[]} - Glob patterns.
+ */
+export function getTargetPatterns(targets) {
+  if (!targets.length) {
+    return config.includePatterns;
+  }
+
+  return targets.map((target) => {
+    if (hasMagic(target) || target.endsWith('.css')) {
+      return target;
+    }
+    return `${target.replace(/\/+$/, '')}/**/*.css`;
+  });
+}
+
+/**
+ * Generates token migration edits for the targeted files and writes them out
+ * as a unified diff and/or rewritten copies of the files.
+ *
+ * @param {ParsedOptions} options - Parsed CLI options.
+ * @returns {Promise<void>}
+ */
+export async function generateMigration({ diff, outDir, targets = [] }) {
+  const files = (
+    await glob(getTargetPatterns(targets), {
+      cwd: config.repoPath,
+      absolute: true,
+      ignore: config.ignorePatterns,
+    })
+  ).sort();
+
+  const diffs = [];
+  let editCount = 0;
+  let skippedCount = 0;
+  let changedFileCount = 0;
+
+  for (const file of files) {
+    const relativePath = path.relative(config.repoPath, file);
+    let migration;
+    try {
+      migration = await getFileMigration(file);
+    } catch (e) {
+      console.error(`Unable to migrate ${relativePath}, skipping... ${e}`);
+      continue;
+    }
+
+    const { content, edits, skipped } = migration;
+    for (const { prop, from, to, line } of skipped) {
+      console.error(
+        `⚠️ ${relativePath}:${line}: couldn't find "${from}" in the ${prop} declaration to replace it with "${to}", skipping...`,
+      );
+    }
+    skippedCount += skipped.length;
+
+    if (edits.length) {
+      editCount += edits.length;
+      changedFileCount++;
+      diffs.push(createUnifiedDiff(relativePath, content, edits));
+    }
+
+    if (outDir) {
+      const outPath = path.join(outDir, relativePath);
+      await fs.mkdir(path.dirname(outPath), { recursive: true });
+      await fs.writeFile(outPath, applyEdits(content, edits));
+    }
+  }
+
+  if (diff) {
+    await fs.writeFile(diff, diffs.join(''));
+  } else if (!outDir) {
+    process.stdout.write(diffs.join(''));
+  }
+
+  // Log to stderr so the summary doesn't end up in a diff written to stdout.
+  console.error(
+    `✅ ${editCount} replacement(s) in ${changedFileCount} of ${files.length} file(s)`,
+  );
+  if (skippedCount) {
+    console.error(`⚠️ Skipped ${skippedCount} declaration(s), see above`);
+  }
+}
+
+// Only run if this file is executed directly (not imported)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await generateMigration(parseArgs(process.argv));
+}
@@ -148,13 +148,14 @@ function printHelp() {
  * Calculates the percentage delta between the given `newPercentage` and the most recent
  * historical entry before the specified `date`.
  *
- * The function looks through the `history` array, finds the latest entry before `date`,
- * and returns the difference between `newPercentage` and that entry's `percentage`,
- * rounded to two decimal places.
+ * The function looks through the `history` array, finds the latest entry before `date`
+ * that has a value for `key`, and returns the difference between `newPercentage` and
+ * that entry's value, rounded to two decimal places.
  * @param {{ date: string, percentage: number }[]} history - Array of historical entries,
  *   each with a `date` (ISO 8601 format) and `percentage`.
  * @param {string} date - The cutoff date (ISO string) to compare against.
  * @param {number} newPercentage - The new percentage value to compare to the historical one.
+ * @param {string} [key] - The entry field to compare against, e.g. `weightedPercentage`.
  * @returns {number|null} - The difference in percentage (rounded to 2 decimal places),
  *   or `null` if no prior entry exists.
  * @example
@@ -164,17 +165,17 @@ function printHelp() {
  * ], '2024-03-01', 18);
  * // Returns: 3
  */
-function calculateDelta(history, date, newPercentage) {
+function calculateDelta(history, date, newPercentage, key = 'percentage') {
   // Get the most recent entry before the given date
   const previous = [...history]
-    .filter((entry) => entry.date < date)
+    .filter((entry) => entry.date < date && typeof entry[key] === 'number')
     .sort((a, b) => b.date.localeCompare(a.date))[0];
 
   if (!previous) {
     return null;
   }
 
-  return +(newPercentage - previous.percentage).toFixed(2);
+  return +(newPercentage - previous[key]).toFixed(2);
 }
 
 /**
@@ -231,13 +232,28 @@ async function writeJsonFile(filePath, data) {
  * @param {number} percentage - Average propagation percentage.
  * @param {number|null} delta - Delta from previous entry, if any.
  * @param {string|null} gitRevision - Git revision hash, if available.
- * @returns {{ date: string, percentage: number, delta?: number, gitRevision?: string }}
+ * @param {number|null} [weightedPercentage] - Declaration-weighted propagation percentage.
+ * @param {number|null} [weightedDelta] - Weighted delta from previous entry, if any.
+ * @returns {{ date: string, percentage: number, delta?: number, weightedPercentage?: number, weightedDelta?: number, gitRevision?: string }}
  */
-function buildNewEntry(date, percentage, delta, gitRevision) {
+function buildNewEntry(
+  date,
+  percentage,
+  delta,
+  gitRevision,
+  weightedPercentage = null,
+  weightedDelta = null,
+) {
   const entry = { date, percentage };
   if (delta !== null) {
     entry.delta = delta;
   }
+  if (weightedPercentage !== null) {
+    entry.weightedPercentage = weightedPercentage;
+  }
+  if (weightedDelta !== null) {
+    entry.weightedDelta = weightedDelta;
+  }
   if (gitRevision !== null) {
     entry.gitRevision = gitRevision;
   }
@@ -259,6 +275,7 @@ function buildNewEntry(date, percentage, delta, gitRevision) {
  * @param {string} newEntry.date - The date string (ISO format) for the entry.
  * @param {number} newEntry.percentage - The propagation percentage.
  * @param {number} [newEntry.delta] - Optional delta value representing change from previous entry.
+ * @param {number} [newEntry.weightedPercentage] - Optional declaration-weighted propagation percentage.
  * @param {string} date - The date key to update or insert in the history array.
  * @param {boolean} force - Whether to force overwrite an existing entry for the given date.
  * @returns {Array<object> | null} The updated history array, or `null` if no change was made and `force` was not set.
@@ -311,6 +328,7 @@ function updateHistory(history, historyPath, newEntry, date, force) {
  * @param {string} options.historyPath - Path to the main history file.
  * @param {string} options.historyPathLatest - Path to the latest-only history file.
  * @param {number} options.newPercentage - The new propagation percentage to record.
+ * @param {number} options.newWeightedPercentage - The new declaration-weighted propagation percentage to record.
  * @returns {Promise<void>} Resolves when all write operations complete.
  */
 export async function writeHistory({
@@ -320,12 +338,26 @@ export async function writeHistory({
   historyPath = HISTORY_PATH,
   historyPathLatest = HISTORY_PATH_LATEST,
   newPercentage = total().totalAveragePropagation,
+  newWeightedPercentage = total().totalWeightedPropagation,
 } = {}) {
   let updatedHistory = null;
   let history = await readJsonFile(historyPath);
   const delta = calculateDelta(history, date, newPercentage);
+  const weightedDelta = calculateDelta(
+    history,
+    date,
+    newWeightedPercentage,
+    'weightedPercentage',
+  );
   const gitRevision = await getGitRevision(config.repoPath);
-  const newEntry = buildNewEntry(date, newPercentage, delta, gitRevision);
+  const newEntry = buildNewEntry(
+    date,
+    newPercentage,
+    delta,
+    gitRevision,
+    newWeightedPercentage,
+    weightedDelta,
+  );
 
   if (!latestOnly) {
     updatedHistory = updateHistory(history, historyPath, newEntry, date, force);
@@ -334,7 +366,7 @@ export async function writeHistory({
     }
   } else {
     console.log(
-      `✔ Wrote latest entry to ${historyPathLatest}: ${date} / ${newPercentage}% / (Δ ${delta ?? 'n/a'})`,
+      `✔ Wrote latest entry to ${historyPathLatest}: ${date} / ${newPercentage}% / (Δ ${delta ?? 'n/a'}) / weighted ${newWeightedPercentage}%`,
     );
     await writeJsonFile(historyPathLatest, [newEntry]);
   }
@@ -384,8 +416,13 @@ export async function updatePropagationHistory({
   // Iterate over all of the dir data and create JSON files for every directory for graphing.
   for (const dir in groupedFilesByDir) {
     let newPercentage = groupedFilesByDir[dir].averagePropagation;
+    let newWeightedPercentage = groupedFilesByDir[dir].weightedPropagation;
     // -1 means no files have any coverage and are not to be counted in the roll-up so we need to graph that as 0.
     newPercentage = newPercentage === -1 ? 0 : newPercentage;
+    newWeightedPercentage =
+      newWeightedPercentage === -1 || newWeightedPercentage === undefined
+        ? 0
+        : newWeightedPercentage;
     const historyPath = path.join(
       'src/data',
       dir,
@@ -402,6 +439,7 @@ export async function updatePropagationHistory({
         force,
         latestOnly,
         newPercentage,
+        newWeightedPercentage,
         historyPathLatest,
         historyPath,
       }),
@@ -1,3 +1,4 @@
+import os from 'node:os';
 import { tokensTable } from './src/vendor/firefox/toolkit/themes/shared/design-system/dist/tokens-table.mjs';
 import { propertyConfig } from './src/vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/config.mjs';
 
@@ -19,6 +20,11 @@ export default {
     'browser/themes/**/*.css',
     'toolkit/content/widgets/**/*.css',
     'toolkit/themes/**/*.css',
+    // Styles embedded in Lit components (css`` templates) and in <style>
+    // elements. Files without any are skipped.
+    'toolkit/content/widgets/**/*.mjs',
+    'browser/components/**/*.{html,xhtml}',
+    'toolkit/content/**/*.{html,xhtml}',
   ],
   externalVarMapping: {
     // For everything that matches the glob on the left hand side, get the vars from
@@ -40,6 +46,64 @@ export default {
       'toolkit/content/widgets/moz-page-nav/moz-page-nav.css',
     ],
   },
+  // Opt-in: index every custom property defined in the matched files and use it
+  // to resolve vars that are otherwise unknown. Declarations relying on the index
+  // get a resolutionType of "inferred". Enable with AWDTY_GLOBAL_VAR_INDEX=1.
+  globalVarIndex: process.env.AWDTY_GLOBAL_VAR_INDEX === '1',
+  // Follow @import rules when collecting variables, so vars defined in imported
+  // stylesheets (and the stylesheets they import) are available for resolution.
+  followImports: true,
+  // Maps chrome://, resource:// and moz-src:// URL prefixes used in @import rules
+  // to directories in the repo. Where a prefix lists several directories the
+  // first one containing the imported file is used.
+  importUrlMapping: {
+    'chrome://global/skin/': [
+      'toolkit/themes/shared/',
+      'toolkit/themes/shared/global/',
+    ],
+    'chrome://global/content/': ['toolkit/content/'],
+    'chrome://browser/skin/': ['browser/themes/shared/'],
+    'chrome://browser/content/': ['browser/base/content/'],
+    'resource://content-accessible/': ['layout/style/res/'],
+    'resource://gre-resources/': ['layout/style/res/'],
+    'resource://gre/modules/': ['toolkit/modules/'],
+    'resource:///modules/': ['browser/modules/'],
+    'resource://app/modules/': ['browser/modules/'],
+    'moz-src:///': [''],
+  },
+  // Stylesheets using the Firefox build preprocessor (%ifdef, %include, ...) have
+  // every conditional branch analyzed, tagged with the conditions it depends on.
+  // Set defines to evaluate them for one build instead, e.g.
+  // AWDTY_PREPROCESSOR_DEFINES=XP_MACOSX,MOZ_BRANDING=official.
+  preprocessorDefines: process.env.AWDTY_PREPROCESSOR_DEFINES
+    ? Object.fromEntries(
+        process.env.AWDTY_PREPROCESSOR_DEFINES.split(',').map((define) => {
+          const [name, value = '1'] = define.split('=');
+          return [name.trim(), value.trim()];
+        }),
+      )
+    : null,
+  // Opt-in: also score each component of shorthand and multi-value declarations,
+  // e.g. `margin: var(--space-small) 3px` is half tokenized, and report a
+  // component-weighted propagation alongside the per-declaration one. Enable
+  // with AWDTY_COMPONENT_SCORING=1.
+  componentScoring: process.env.AWDTY_COMPONENT_SCORING === '1',
+  // Reuse the analysis of files that haven't changed, along with the files they
+  // get vars from, since the last build:data run. Disable with AWDTY_ANALYSIS_CACHE=0.
+  analysisCache: process.env.AWDTY_ANALYSIS_CACHE !== '0',
+  // Where the analysis cache is kept, relative to this project.
+  analysisCachePath: '.cache/analysis',
+  // Record stylesheets that can't be read or parsed on the "Analysis errors" page
+  // and carry on, rather than failing build:data. Enable with AWDTY_RESILIENT_ANALYSIS=1.
+  resilientAnalysis: process.env.AWDTY_RESILIENT_ANALYSIS === '1',
+  // Optional tolerant postcss parser to re-parse stylesheets with syntax errors
+  // with in resilient mode, e.g. AWDTY_TOLERANT_PARSER=postcss-safe-parser once
+  // it's installed. Files it recovers are analyzed and still listed as errors.
+  tolerantParser: process.env.AWDTY_TOLERANT_PARSER || null,
+  // Number of worker threads build:data analyzes files with. Defaults to one per
+  // CPU; set AWDTY_ANALYSIS_WORKERS=1 to analyze files one at a time.
+  analysisWorkers:
+    Number(process.env.AWDTY_ANALYSIS_WORKERS) || os.availableParallelism(),
   // Paths in the repo matching these glob patterns will be ignored to avoid generating
   // coverage for storybook files, tests and node deps.
   ignorePatterns: ['**/test{,s}/**', '**/node_modules/**', '**/storybook/**'],
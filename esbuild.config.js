@@ -8,6 +8,7 @@ const ctx = await context({
     './src/content/js/render-graph.js',
     './src/content/js/NonTokenValues.js',
     './src/content/js/details-state.js',
+    './src/content/js/metric-toggle.js',
   ],
   assetNames: '[name]',
   bundle: true,
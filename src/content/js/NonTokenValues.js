@@ -135,11 +135,28 @@ function matchesPropertyPattern(property, pattern) {
   return property.startsWith(prefix);
 }
 
+/**
+ * Describes how far a nearest token's value is from a literal: the OKLab ΔE
+ * for colors, a percentage for other values.
+ *
+ * @param {{ distance: number, kind: string }} candidate - A nearest token.
+ * @returns {string}
+ */
+function formatDistance({ distance, kind }) {
+  if (distance === 0) {
+    return 'same value';
+  }
+  return kind === 'color'
+    ? `ΔE ${distance}`
+    : `${Math.round(distance * 100)}% off`;
+}
+
 /**
  * Renders a filterable list of non-token property values from `propertyValues.json`,
  * with controls synced to the URL query string. Provides a pattern filter, an option
  * to exclude ignored values, and per-file usage breakdowns. Shows a loader while
- * fetching, and a clear error message on failure.
+ * fetching, and a clear error message on failure. Values list the tokens nearest
+ * to each of their literals, where there are any.
  *
  * URL parameters:
  * - `pattern`: property filter, `*` or suffix wildcard allowed, defaults to `*`
@@ -453,6 +470,7 @@ export class NonTokenValuesElement extends BaseElement {
    *   value: string,
    *   count: number,
    *   files: Array<{ path: string, count: number }>,
+   *   nearestTokens: Array<{ literal: string, candidates: object[] }>,
    *   id: string
    * }>} Array of property/value records suitable for table rendering or aggregation.
    */
@@ -466,7 +484,7 @@ export class NonTokenValuesElement extends BaseElement {
       return [];
     }
 
-    /** @type {Array<{ property: string, value: string, count: number, files: Array<{ path: string, count: number }>, id: string }>} */
+    /** @type {Array<{ property: string, value: string, count: number, files: Array<{ path: string, count: number }>, nearestTokens: Array<{ literal: string, candidates: object[] }>, id: string }>} */
     const rows = [];
     for (const [property, propObj] of Object.entries(data.byProperty)) {
       if (!matchesPropertyPattern(property, this.pattern)) {
@@ -494,6 +512,9 @@ export class NonTokenValuesElement extends BaseElement {
           value,
           count: valObj.count,
           files: filesArray,
+          nearestTokens: Array.isArray(valObj.nearestTokens)
+            ? valObj.nearestTokens
+            : [],
           id: String(valObj.id ?? ''),
         });
       }
@@ -510,6 +531,32 @@ export class NonTokenValuesElement extends BaseElement {
     return rows;
   }
 
+  /**
+   * Render the tokens nearest to each literal in a value, closest first.
+   *
+   * @private
+   * @param {Array<{ literal: string, candidates: Array<{ name: string, value: string, distance: number, kind: string }> }>} nearestTokens
+   * Nearest tokens for each literal.
+   * @returns {import('lit').TemplateResult|null}
+   */
+  _renderNearestTokens(nearestTokens) {
+    if (!nearestTokens.length) {
+      return null;
+    }
+    return html`<p class="nearest-tokens">
+      Nearest tokens:
+      ${nearestTokens.map(
+        ({ literal, candidates }, index) =>
+          html`${index ? '; ' : ''}<code>${literal}</code> →
+            ${candidates.map(
+              (candidate, i) =>
+                html`${i ? ', ' : ''}<code>${candidate.name}</code>
+                  (${candidate.value}, ${formatDistance(candidate)})`,
+            )}`,
+      )}
+    </p>`;
+  }
+
   /**
    * Render the controls and the non-token value list.
    * Shows validation feedback for the pattern, a toggle to exclude ignored values,
@@ -626,6 +673,9 @@ export class NonTokenValuesElement extends BaseElement {
                                     <code>${row.property}: ${row.value}</code>
                                     <span class="count">[${row.count}]</span>
                                   </summary>
+                                  ${this._renderNearestTokens(
+                                    row.nearestTokens,
+                                  )}
                                   <ul>
                                     ${row.files.map((f) => {
                                       return html`
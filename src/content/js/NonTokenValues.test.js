@@ -53,6 +53,19 @@ function sampleData() {
             containsToken: false,
             isIgnored: false,
             files: { 'p.css': 10 },
+            nearestTokens: [
+              {
+                literal: '4px',
+                candidates: [
+                  {
+                    name: '--space-xsmall',
+                    value: '0.25rem',
+                    distance: 0,
+                    kind: 'dimension',
+                  },
+                ],
+              },
+            ],
             id: 'p4',
           },
           '2px': {
@@ -237,6 +250,19 @@ describe('NonTokenValuesElement data helpers', () => {
     expect(rows.find((r) => r.value === '0 auto')).toBeDefined();
   });
 
+  test('_rows includes the nearest tokens of each value', () => {
+    const el = makeElementAt('/stats/non-token-values/?pattern=padding&ex=0');
+    el._data = sampleData();
+    el.pattern = 'padding';
+
+    const rows = el._rows();
+
+    expect(rows.find((r) => r.value === '4px').nearestTokens).toEqual([
+      expect.objectContaining({ literal: '4px' }),
+    ]);
+    expect(rows.find((r) => r.value === '2px').nearestTokens).toEqual([]);
+  });
+
   test('_rows sorts by count desc, then property:value lexicographically', () => {
     const el = makeElementAt('/stats/non-token-values/?pattern=*&ex=0');
     el._data = sampleData();
@@ -299,6 +325,33 @@ describe('NonTokenValuesElement data loading', () => {
     vi.useRealTimers();
   });
 
+  test('renders the nearest tokens of each value', async () => {
+    const fetchSpy = vi.spyOn(window, 'fetch').mockResolvedValue({
+      ok: true,
+      status: 200,
+      async json() {
+        return sampleData();
+      },
+    });
+    vi.useFakeTimers();
+
+    const el = new NonTokenValuesElement();
+    document.body.appendChild(el);
+
+    await vi.runAllTimersAsync();
+    await el.updateComplete;
+
+    const nearest = el.shadowRoot.querySelectorAll('.nearest-tokens');
+    expect(nearest).toHaveLength(1);
+    expect(nearest[0].textContent).toMatch(
+      /4px\s+→\s+--space-xsmall\s+\(0\.25rem, same value\)/,
+    );
+
+    el.remove();
+    fetchSpy.mockRestore();
+    vi.useRealTimers();
+  });
+
   test('connectedCallback sets _error when fetch fails', async () => {
     // Return a Response-like object that isn't ok
     const fetchSpy = vi.spyOn(window, 'fetch').mockResolvedValue({
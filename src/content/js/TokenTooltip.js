@@ -1,10 +1,13 @@
 /* globals customElements */
 
 import { LitElement, html, css } from 'lit';
+import { styleMap } from 'lit/directives/style-map.js';
 
 const messages = {
   good: '🏆 Uses Design Tokens!',
   'good-external': 'ℹ️ Design Token Reference from an external file.',
+  'good-inferred':
+    'ℹ️ Design Token Reference inferred from a file that is neither imported nor mapped.',
   warn: `☑️ This value is ignored`,
   'bad-excludedByStylelint':
     'ℹ️ Stylelint-disabled: but has no valid token for this property.',
@@ -12,12 +15,45 @@ const messages = {
     'ℹ️ Stylelint-disabled: but may actually be valid.',
   'warn-excludedByStylelint':
     'ℹ️ Stylelint-disabled: but looks to be an ignored value.',
-  excludedByStylelint: html`This line is excluded by
-    <code
-      >/* stylelint-disable-next-line stylelint-plugin-mozilla/use-design-tokens
-      */</code
-    >.`,
   bad: '❌ Not currently using a valid design token for this property.',
+  'unused-variable': '🪦 This custom property is never used.',
+  'dead-variable':
+    '🪦 This custom property is only used by other unused custom properties.',
+};
+
+const suggestionSources = {
+  fix: 'stylelint autofix',
+  token: 'token with the same value',
+  'system-color': 'system color suggestion',
+  suggestion: 'stylelint suggestion',
+};
+
+const variantMessages = {
+  good: '✅ uses a design token',
+  warn: '☑️ ignored value',
+  bad: '❌ no design token',
+};
+
+const componentMessages = {
+  token: '✅ uses a design token',
+  ignored: '☑️ ignored value',
+  literal: '❌ no design token',
+};
+
+const themeLabels = {
+  all: 'All themes',
+  light: 'Light',
+  dark: 'Dark',
+  prefersContrast: 'High contrast',
+  forcedColors: 'Forced colors',
+  brand: 'Brand (in-content)',
+  platform: 'Platform (browser chrome)',
+};
+
+const fallbackMessages = {
+  value: 'is defined, so ignores the fallback',
+  token: 'is a design token, so ignores the fallback',
+  fallback: 'is undefined, so uses the fallback',
 };
 
 /**
@@ -27,8 +63,17 @@ const messages = {
  * It renders:
  * - A status message based on whether tokens are used or not, or if the property value is ignored.
  * - A list of design tokens used.
+ * - What those tokens resolve to in each theme, with swatches for colors.
+ * - Any base color tokens used directly, rather than semantic ones.
  * - A trace of variable resolution.
  * - The source file(s) involved,
+ * - The `@import` chain(s) followed to reach them,
+ * - Which branch was taken for any `var()` fallbacks,
+ * - The result under each definition of vars defined more than once,
+ * - The at-rule contexts the declaration is nested in,
+ * - How each component of a multi-value declaration was scored,
+ * - A suggested replacement for values without a design token,
+ * - The tokens with the closest values to each literal in an invalid value,
  * - Any unresolved variables.
  *
  * Intended for use as a floating tooltip element, e.g. in a code viewer.
@@ -44,11 +89,38 @@ export class TokenTooltip extends LitElement {
     source: { type: Array },
     // List of unresolved CSS variables (e.g., ['--missing']).
     unresolved: { type: Array },
+    // List of @import chains followed to reach the vars used, e.g. [['a.css', 'tokens.css']].
+    imports: { type: Array },
+    // Branches taken for var() fallbacks, e.g. [{ variable: '--a', fallback: '4px', branch: 'fallback' }].
+    fallbacks: { type: Array },
+    // Results under each definition of vars defined more than once,
+    // e.g. [{ variable: '--a', context: ':host(:hover)', line: 4, isDefault: false, status: 'bad' }].
+    variants: { type: Array },
+    // Whether the variants disagree on design token usage.
+    mixed: { type: Boolean },
+    // At-rule contexts the declaration is nested in, e.g. ['forced-colors'].
+    contexts: { type: Array },
+    // Scores of each component of multi-value declarations, when component
+    // scoring is on, e.g. [{ value: '3px', status: 'literal' }].
+    components: { type: Array },
+    // Suggested replacement for values without a design token,
+    // e.g. { value: 'var(--space-small)', source: 'fix', from: null, alternatives: [] }.
+    suggestion: { type: Object },
+    // Tokens closest to each literal in values without a design token, e.g.
+    // [{ literal: '13px', candidates: [{ name: '--font-size-small', value: '0.867rem', distance: 0.0629, kind: 'dimension' }] }].
+    nearest: { type: Array },
     // List of design tokens identified in the value.
     tokens: { type: Array },
-    // resolutionType: 'local' or 'external'
+    // Values of the tokens used in each theme, e.g.
+    // [{ token: '--text-color', isColor: true, themes: [{ theme: 'brand', values: ['#15141a', '#fbfbfe'] }] }].
+    themes: { type: Array },
+    // Base color tokens used directly, e.g. ['--color-gray-80'].
+    baseTokens: { type: Array },
+    // resolutionType: 'direct', 'local', 'external', 'mixed' or 'inferred'
     resolutionType: { type: String },
     isExcludedByStylelint: { type: Boolean },
+    // The stylelint directive excluding the declaration, e.g. { comment: '/* stylelint-disable */', line: 1 }.
+    stylelintExclusion: { type: Object },
   };
 
   constructor() {
@@ -56,8 +128,19 @@ export class TokenTooltip extends LitElement {
     this.status = 'bad';
     this.trace = [];
     this.tokens = [];
+    this.themes = [];
+    this.baseTokens = [];
     this.source = [];
     this.unresolved = [];
+    this.imports = [];
+    this.fallbacks = [];
+    this.variants = [];
+    this.mixed = false;
+    this.contexts = [];
+    this.components = [];
+    this.suggestion = null;
+    this.nearest = [];
+    this.stylelintExclusion = null;
   }
 
   static styles = css`
@@ -124,6 +207,16 @@ export class TokenTooltip extends LitElement {
     .label + ul {
       margin-top: 0;
     }
+
+    .swatch {
+      display: inline-block;
+      width: 0.8em;
+      height: 0.8em;
+      margin-inline-end: 0.25em;
+      vertical-align: middle;
+      border: 1px solid #999;
+      border-radius: 2px;
+    }
   `;
 
   /**
@@ -141,6 +234,21 @@ export class TokenTooltip extends LitElement {
     return messages[status] || messages.bad;
   }
 
+  /**
+   * Renders which stylelint directive excludes the declaration.
+   *
+   * @returns {import('lit').TemplateResult} The rendered note.
+   */
+  renderStylelintExclusion() {
+    if (!this.stylelintExclusion) {
+      return html`This line is excluded by a stylelint directive.`;
+    }
+
+    const { comment, line } = this.stylelintExclusion;
+    return html`This line is excluded by <code>${comment}</code> on line
+      ${line}.`;
+  }
+
   /**
    * Renders the tooltip content dynamically based on the component's properties.
    * @returns {import('lit').TemplateResult} The rendered HTML content.
@@ -154,7 +262,7 @@ export class TokenTooltip extends LitElement {
         ${this.isExcludedByStylelint
           ? html`
               <div class="note">
-                <p>${messages.excludedByStylelint}</p>
+                <p>${this.renderStylelintExclusion()}</p>
                 ${this.status === 'good-external'
                   ? html`<p>
                       This is likely to have been excluded since the stylelint
@@ -195,6 +303,90 @@ export class TokenTooltip extends LitElement {
               </ul>
             `
           : ''}
+        ${this.baseTokens.length
+          ? html`
+              <div class="label">🎨 Base color tokens used directly:</div>
+              <ul>
+                ${this.baseTokens.map(
+                  (token) => html`<li><code>${token}</code></li>`,
+                )}
+              </ul>
+              <div class="note">
+                <p>
+                  These are flagged by the
+                  <code>no-base-design-tokens</code> rule. Use an existing
+                  semantic token or map them to a new semantic variable.
+                </p>
+              </div>
+            `
+          : ''}
+        ${this.themes.length
+          ? html`
+              <div class="label">🌓 Token values by theme:</div>
+              <ul>
+                ${this.themes.map(
+                  ({ token, isColor, themes }) =>
+                    html`<li>
+                      <code>${token}</code>
+                      <ul>
+                        ${themes.map(
+                          ({ theme, values }) =>
+                            html`<li>
+                              ${themeLabels[theme] || theme}:
+                              ${values.map((value, index) =>
+                                this.renderThemeValue(value, isColor, index),
+                              )}
+                            </li>`,
+                        )}
+                      </ul>
+                    </li>`,
+                )}
+              </ul>
+            `
+          : ''}
+        ${this.suggestion
+          ? html`
+              <div class="label">💡 Suggested replacement:</div>
+              <ul>
+                <li>
+                  <code>${this.suggestion.value}</code>
+                  (${suggestionSources[this.suggestion.source] ||
+                  suggestionSources.suggestion})
+                  ${this.suggestion.from
+                    ? html`for <code>${this.suggestion.from}</code>`
+                    : ''}
+                </li>
+                ${this.suggestion.alternatives?.length
+                  ? html`<li>
+                      Also matches:
+                      ${this.suggestion.alternatives.map(
+                        (alternative) => html`<code>${alternative}</code> `,
+                      )}
+                    </li>`
+                  : ''}
+              </ul>
+            `
+          : ''}
+        ${this.nearest.length
+          ? html`
+              <div class="label">🎯 Nearest tokens:</div>
+              <ul>
+                ${this.nearest.map(
+                  ({ literal, candidates }) => html`
+                    <li>
+                      <code>${literal}</code>:
+                      ${candidates.map(
+                        (candidate, index) =>
+                          html`${index ? ', ' : ''}${this.renderNearestToken(
+                            candidate,
+                          )}`,
+                      )}
+                    </li>
+                  `,
+                )}
+              </ul>
+            `
+          : ''}
         ${this.trace.length > 1
           ? html`
               <div class="label">🔬 Trace:</div>
@@ -209,6 +401,93 @@ export class TokenTooltip extends LitElement {
               </ul>
             `
           : ''}
+        ${this.contexts.length
+          ? html`
+              <div class="label">📐 Context(s):</div>
+              <ul>
+                ${this.contexts.map(
+                  (context) => html`<li><code>${context}</code></li>`,
+                )}
+              </ul>
+            `
+          : ''}
+        ${this.components.length
+          ? html`
+              <div class="label">
+                🧩 Components
+                (${this.components.filter(({ status }) => status === 'token')
+                  .length}
+                of
+                ${this.components.filter(({ status }) => status !== 'ignored')
+                  .length}
+                tokenized):
+              </div>
+              <ul>
+                ${this.components.map(
+                  ({ value, status }) =>
+                    html`<li>
+                      <code>${value}</code>:
+                      ${componentMessages[status] || componentMessages.literal}
+                    </li>`,
+                )}
+              </ul>
+            `
+          : ''}
+        ${this.variants.length
+          ? html`
+              <div class="label">
+                ${this.mixed
+                  ? '⚖️ Mixed results across definitions:'
+                  : '🗂️ Definitions:'}
+              </div>
+              <ul>
+                ${this.variants.map(
+                  ({
+                    variable,
+                    context,
+                    line,
+                    isDefault,
+                    status,
+                    baseTokens,
+                  }) =>
+                    html`<li>
+                      <code>${variable}</code> in
+                      <code>${context || '(top level)'}</code>
+                      ${line ? `(line ${line})` : ''}
+                      ${isDefault ? '[default]' : ''}:
+                      ${variantMessages[status?.split('-')[0]] ||
+                      variantMessages.bad}
+                      ${baseTokens?.length ? '🎨 uses a base color token' : ''}
+                    </li>`,
+                )}
+              </ul>
+            `
+          : ''}
+        ${this.fallbacks.length
+          ? html`
+              <div class="label">🔀 Fallbacks:</div>
+              <ul>
+                ${this.fallbacks.map(
+                  ({ variable, fallback, branch }) =>
+                    html`<li>
+                      <code>${variable}</code>
+                      ${fallbackMessages[branch] || ''}
+                      <code>${fallback}</code>
+                    </li>`,
+                )}
+              </ul>
+            `
+          : ''}
+        ${this.imports.length
+          ? html`
+              <div class="label">🔗 Import Chain(s):</div>
+              <ul>
+                ${this.imports.map(
+                  (chain) => html`<li><code>${chain.join(' → ')}</code></li>`,
+                )}
+              </ul>
+            `
+          : ''}
         ${this.unresolved.length
           ? html`
               <div class="label">⚠️ Unresolved Vars:</div>
@@ -224,6 +503,45 @@ export class TokenTooltip extends LitElement {
     `;
   }
 
+  /**
+   * Renders a token's value in a theme, with a swatch for colors. Values in
+   * the light and dark color schemes are separated by a slash.
+   *
+   * @param {string} value - The resolved value, e.g. "#15141a".
+   * @param {boolean} isColor - Whether the token is a color token.
+   * @param {number} index - The value's position, 1 for the dark color scheme.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderThemeValue(value, isColor, index) {
+    return html`${index ? ' / ' : ''}${isColor && !value.includes('var(')
+        ? html`<span
+            class="swatch"
+            style=${styleMap({ background: value })}
+          ></span>`
+        : ''}<code>${value}</code>`;
+  }
+
+  /**
+   * Renders a token close to a literal, with a swatch for colors and how far
+   * off it is: the OKLab ΔE for colors, a percentage for other values.
+   *
+   * @param {{ name: string, value: string, distance: number, kind: string }} candidate
+   * A token from the nearest tokens.
+   * @returns {import('lit').TemplateResult}
+   */
+  renderNearestToken({ name, value, distance, kind }) {
+    let difference = `${Math.round(distance * 100)}% off`;
+    if (distance === 0) {
+      difference = 'same value';
+    } else if (kind === 'color') {
+      difference = `ΔE ${distance}`;
+    }
+    return html`<code>${name}</code> (${kind === 'color'
+        ? this.renderThemeValue(value, true, 0)
+        : value},
+      ${difference})`;
+  }
+
   /**
    * Recursively renders a nested unordered list representing a variable resolution trace.
    * @param {string[]} steps - The resolution steps (e.g., ['var(--a)', 'var(--b)', '12px']).
@@ -89,6 +89,27 @@ describe('<token-tooltip>', () => {
     );
   });
 
+  test('renders the stylelint directive excluding the line', async () => {
+    tooltip = setupTooltip({
+      isExcludedByStylelint: true,
+      stylelintExclusion: {
+        comment:
+          '/* stylelint-disable stylelint-plugin-mozilla/use-design-tokens */',
+        line: 3,
+      },
+      status: 'bad-excludedByStylelint',
+      trace: ['1rem'],
+      tokens: [],
+    });
+
+    await tooltip.updateComplete;
+
+    expect(tooltip.shadowRoot.querySelector('.note code').textContent).toBe(
+      '/* stylelint-disable stylelint-plugin-mozilla/use-design-tokens */',
+    );
+    expect(tooltip.shadowRoot.textContent).toMatch(/on line\s+3\./);
+  });
+
   test('renders stylelint-disabled content when a warning', async () => {
     tooltip = setupTooltip({
       isExcludedByStylelint: true,
@@ -176,6 +197,170 @@ describe('<token-tooltip>', () => {
     await tooltip.updateComplete;
     expect(tooltip.shadowRoot.textContent).toContain('--bad-ref');
   });
+
+  test('renders the branches taken for fallbacks', async () => {
+    tooltip = setupTooltip({
+      fallbacks: [
+        { variable: '--a', fallback: '4px', branch: 'fallback' },
+        { variable: '--b', fallback: 'red', branch: 'value' },
+      ],
+    });
+    await tooltip.updateComplete;
+    const text = tooltip.shadowRoot.textContent;
+    expect(text).toContain('Fallbacks');
+    expect(text).toMatch(/--a\s+is undefined, so uses the fallback\s+4px/);
+    expect(text).toMatch(/--b\s+is defined, so ignores the fallback\s+red/);
+  });
+
+  test('renders mixed results across var definitions', async () => {
+    tooltip = setupTooltip({
+      mixed: true,
+      variants: [
+        {
+          variable: '--a',
+          context: ':host',
+          line: 2,
+          isDefault: true,
+          status: 'good',
+        },
+        {
+          variable: '--a',
+          context: ':host(:hover)',
+          line: 5,
+          isDefault: false,
+          status: 'bad',
+        },
+      ],
+    });
+    await tooltip.updateComplete;
+    const text = tooltip.shadowRoot.textContent;
+    expect(text).toContain('Mixed results across definitions');
+    expect(text).toMatch(/:host\s+\(line 2\)\s+\[default\]:\s+✅/);
+    expect(text).toMatch(/:host\(:hover\)\s+\(line 5\)\s+:\s+❌/);
+  });
+
+  test('renders base color tokens used directly', async () => {
+    tooltip = setupTooltip({
+      status: 'good',
+      baseTokens: ['--color-gray-80'],
+    });
+    await tooltip.updateComplete;
+    const text = tooltip.shadowRoot.textContent;
+    expect(text).toContain('Uses Design Tokens!');
+    expect(text).toMatch(/Base color tokens used directly:\s+--color-gray-80/);
+  });
+
+  test('renders token values by theme with swatches for colors', async () => {
+    tooltip = setupTooltip({
+      tokens: ['--text-color', '--space-small'],
+      themes: [
+        {
+          token: '--text-color',
+          isColor: true,
+          themes: [
+            { theme: 'prefersContrast', values: ['CanvasText'] },
+            { theme: 'brand', values: ['#15141a', '#fbfbfe'] },
+          ],
+        },
+        {
+          token: '--space-small',
+          isColor: false,
+          themes: [{ theme: 'all', values: ['0.5rem'] }],
+        },
+      ],
+    });
+    await tooltip.updateComplete;
+    const text = tooltip.shadowRoot.textContent;
+    expect(text).toContain('Token values by theme');
+    expect(text).toMatch(/High contrast:\s+CanvasText/);
+    expect(text).toMatch(/Brand \(in-content\):\s+#15141a\s+\/\s+#fbfbfe/);
+    expect(text).toMatch(/All themes:\s+0\.5rem/);
+
+    const swatches = tooltip.shadowRoot.querySelectorAll('.swatch');
+    expect(swatches).toHaveLength(3);
+    expect(swatches[1].style.background).toBe('rgb(21, 20, 26)');
+  });
+
+  test('renders how each component of a value was scored', async () => {
+    tooltip = setupTooltip({
+      components: [
+        { value: 'var(--space-small)', status: 'token' },
+        { value: '3px', status: 'literal' },
+        { value: '0', status: 'ignored' },
+      ],
+    });
+    await tooltip.updateComplete;
+    const text = tooltip.shadowRoot.textContent;
+    expect(text).toMatch(/Components\s+\(1\s+of\s+2\s+tokenized\)/);
+    expect(text).toMatch(/3px\s*:\s+❌ no design token/);
+    expect(text).toMatch(/0\s*:\s+☑️ ignored value/);
+  });
+
+  test('renders a suggested replacement when present', async () => {
+    tooltip = setupTooltip({
+      status: 'bad',
+      suggestion: {
+        value: 'var(--space-xsmall)',
+        source: 'token',
+        from: '4px',
+        alternatives: ['var(--space-other)'],
+      },
+    });
+    await tooltip.updateComplete;
+    const text = tooltip.shadowRoot.textContent;
+    expect(text).toContain('Suggested replacement');
+    expect(text).toMatch(
+      /var\(--space-xsmall\)\s+\(token with the same value\)\s+for\s+4px/,
+    );
+    expect(text).toMatch(/Also matches:\s+var\(--space-other\)/);
+  });
+
+  test('renders the nearest tokens for each literal', async () => {
+    tooltip = setupTooltip({
+      status: 'bad',
+      nearest: [
+        {
+          literal: '13px',
+          candidates: [
+            {
+              name: '--font-size-small',
+              value: '0.867rem',
+              distance: 0.0629,
+              kind: 'dimension',
+            },
+          ],
+        },
+        {
+          literal: '#0061e0',
+          candidates: [
+            {
+              name: '--color-accent-primary',
+              value: '#0062fa',
+              distance: 0.0213,
+              kind: 'color',
+            },
+          ],
+        },
+      ],
+    });
+    await tooltip.updateComplete;
+    const text = tooltip.shadowRoot.textContent;
+    expect(text).toContain('Nearest tokens');
+    expect(text).toMatch(/--font-size-small\s+\(0\.867rem,\s+6% off\)/);
+    expect(text).toMatch(/--color-accent-primary\s+\(#0062fa,\s+ΔE 0\.0213\)/);
+    expect(tooltip.shadowRoot.querySelectorAll('.swatch')).toHaveLength(1);
+  });
+
+  test('renders import chains when present', async () => {
+    tooltip = setupTooltip({
+      imports: [['toolkit/common.css', 'toolkit/tokens.css']],
+    });
+    await tooltip.updateComplete;
+    expect(tooltip.shadowRoot.textContent).toContain('Import Chain(s)');
+    expect(tooltip.shadowRoot.textContent).toContain(
+      'toolkit/common.css → toolkit/tokens.css',
+    );
+  });
 });
 
 describe('tooltip controller integration', () => {
@@ -18,6 +18,26 @@ export function safeParseJSON(value, fallback = []) {
   }
 }
 
+/**
+ * Safely parses a JSON string into an object.
+ *
+ * If the string is not valid JSON, or the parsed result is not a plain object,
+ * the fallback value is returned instead.
+ * @param {string} value - The JSON string to parse.
+ * @param {object|null} [fallback] - A fallback value to return if parsing fails or the result is not an object.
+ * @returns {object|null} - The parsed object or the fallback.
+ */
+export function safeParseJSONObject(value, fallback = null) {
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? parsed
+      : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
 /**
  * TooltipController manages the lifecycle and behavior of a floating `<token-tooltip>`
  * element. It handles showing, hiding, pinning, and positioning based on user interaction.
@@ -49,11 +69,24 @@ export class TooltipController {
     this.tooltip.status = triggerEl.dataset.status || 'bad';
     this.tooltip.trace = safeParseJSON(triggerEl.dataset.trace);
     this.tooltip.tokens = safeParseJSON(triggerEl.dataset.tokens);
+    this.tooltip.themes = safeParseJSON(triggerEl.dataset.themes);
     this.tooltip.source = safeParseJSON(triggerEl.dataset.source);
     this.tooltip.unresolved = safeParseJSON(triggerEl.dataset.unresolved);
+    this.tooltip.imports = safeParseJSON(triggerEl.dataset.imports);
+    this.tooltip.fallbacks = safeParseJSON(triggerEl.dataset.fallbacks);
+    this.tooltip.variants = safeParseJSON(triggerEl.dataset.variants);
+    this.tooltip.contexts = safeParseJSON(triggerEl.dataset.contexts);
+    this.tooltip.baseTokens = safeParseJSON(triggerEl.dataset.basetokens);
+    this.tooltip.components = safeParseJSON(triggerEl.dataset.components);
+    this.tooltip.suggestion = safeParseJSONObject(triggerEl.dataset.suggestion);
+    this.tooltip.nearest = safeParseJSON(triggerEl.dataset.nearest);
+    this.tooltip.mixed = triggerEl.dataset.mixed === '';
     this.tooltip.resolutionType = triggerEl.dataset.resolutiontype;
     this.tooltip.isExcludedByStylelint =
       triggerEl.dataset.isexcludedbystylelint === '';
+    this.tooltip.stylelintExclusion = safeParseJSONObject(
+      triggerEl.dataset.stylelintexclusion,
+    );
 
     this.tooltip.style.top = `${rect.bottom + scrollY + 6}px`;
     this.tooltip.style.left = `${rect.left + scrollX}px`;
@@ -1,7 +1,11 @@
 // @vitest-environment jsdom
 /* globals document */
 
-import { TooltipController, safeParseJSON } from './TooltipController.js';
+import {
+  TooltipController,
+  safeParseJSON,
+  safeParseJSONObject,
+} from './TooltipController.js';
 import './TokenTooltip.js';
 
 import { createMockTrigger } from '../../../testing/testUtils.js';
@@ -31,6 +35,86 @@ describe('TooltipController', () => {
     expect(safeParseJSON(123)).toEqual([]);
   });
 
+  test('safeParseJSONObject keeps objects and falls back to null', () => {
+    expect(safeParseJSONObject('{"value":"white"}')).toEqual({
+      value: 'white',
+    });
+    expect(safeParseJSONObject('null')).toBeNull();
+    expect(safeParseJSONObject('[]')).toBeNull();
+    expect(safeParseJSONObject('not-json')).toBeNull();
+  });
+
+  test('show() renders the suggestion from the data attribute', async () => {
+    controller = new TooltipController();
+    triggerEl = createMockTrigger({
+      status: 'bad',
+      suggestion: {
+        value: 'var(--text-color)',
+        source: 'token',
+        from: null,
+        alternatives: [],
+      },
+    });
+
+    controller.show(triggerEl);
+    await controller.element.updateComplete;
+
+    expect(controller.element.suggestion.value).toBe('var(--text-color)');
+    expect(controller.element.shadowRoot.textContent).toMatch(
+      /Suggested replacement:\s+var\(--text-color\)\s+\(token with the same value\)/,
+    );
+  });
+
+  test('show() renders no suggestion when the attribute is null', async () => {
+    controller = new TooltipController();
+    triggerEl = createMockTrigger({ status: 'bad', suggestion: null });
+
+    controller.show(triggerEl);
+    await controller.element.updateComplete;
+
+    expect(controller.element.suggestion).toBeNull();
+    expect(controller.element.shadowRoot.textContent).not.toContain(
+      'Suggested replacement',
+    );
+  });
+
+  test('show() renders the stylelint exclusion from the data attribute', async () => {
+    controller = new TooltipController();
+    triggerEl = createMockTrigger({
+      status: 'bad-excludedByStylelint',
+      stylelintExclusion: {
+        comment: '/* stylelint-disable-next-line */',
+        line: 4,
+      },
+    });
+
+    controller.show(triggerEl);
+    await controller.element.updateComplete;
+
+    expect(controller.element.isExcludedByStylelint).toBe(true);
+    expect(controller.element.stylelintExclusion).toEqual({
+      comment: '/* stylelint-disable-next-line */',
+      line: 4,
+    });
+    expect(controller.element.shadowRoot.textContent).toMatch(
+      /This line is excluded by \/\* stylelint-disable-next-line \*\/ on line\s+4\./,
+    );
+  });
+
+  test('show() falls back to a generic note without a stylelint exclusion', async () => {
+    controller = new TooltipController();
+    triggerEl = createMockTrigger({ status: 'bad-excludedByStylelint' });
+    triggerEl.setAttribute('data-isExcludedByStylelint', '');
+
+    controller.show(triggerEl);
+    await controller.element.updateComplete;
+
+    expect(controller.element.stylelintExclusion).toBeNull();
+    expect(controller.element.shadowRoot.textContent).toContain(
+      'This line is excluded by a stylelint directive.',
+    );
+  });
+
   test('show() populates tooltip content correctly', async () => {
     controller = new TooltipController();
     triggerEl = createMockTrigger();
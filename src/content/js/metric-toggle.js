@@ -0,0 +1,88 @@
+/* global URLSearchParams, window, document, history, HTMLInputElement */
+
+// Persist the selected propagation metric to the URL as ?metric=weighted
+export const METRIC_PARAM = 'metric';
+export const METRICS = ['average', 'weighted'];
+const DEFAULT_METRIC = METRICS[0];
+
+/**
+ * Reads the selected propagation metric from the URL query string.
+ *
+ * Unknown values fall back to the default (per-file average) metric.
+ *
+ * @returns {string} The selected metric.
+ */
+export function readMetric() {
+  const params = new URLSearchParams(window.location.search);
+  const metric = params.get(METRIC_PARAM);
+  return METRICS.includes(metric) ? metric : DEFAULT_METRIC;
+}
+
+/**
+ * Writes the selected propagation metric to the URL query string.
+ *
+ * The default metric is written as the absence of the parameter to keep URLs tidy.
+ *
+ * @param {string} metric - The metric to persist.
+ * @returns {void}
+ */
+function writeMetric(metric) {
+  const params = new URLSearchParams(window.location.search);
+
+  if (metric === DEFAULT_METRIC) {
+    params.delete(METRIC_PARAM);
+  } else {
+    params.set(METRIC_PARAM, metric);
+  }
+
+  const qs = params.toString();
+  const url = qs
+    ? `${window.location.pathname}?${qs}`
+    : window.location.pathname;
+  history.replaceState(null, '', url);
+}
+
+/**
+ * Applies a metric to the page by setting `data-metric` on the document element
+ * and syncing the checked state of the metric radio inputs.
+ *
+ * Styles hide whichever `[data-metric-value]` elements don't match.
+ *
+ * @param {string} metric - The metric to apply.
+ * @param {Document|HTMLElement} root - The root node to search within. Defaults to the current document.
+ * @returns {void}
+ */
+export function applyMetric(metric, root = document) {
+  document.documentElement.dataset.metric = metric;
+  for (const input of root.querySelectorAll(`input[name="${METRIC_PARAM}"]`)) {
+    input.checked = input.value === metric;
+  }
+}
+
+/**
+ * Initializes the metric switch: restores the metric from the URL and listens
+ * for changes to `<input name="metric">` radios, persisting the choice.
+ *
+ * @param {Document|HTMLElement} root - The root node to listen within. Defaults to the current document.
+ * @returns {void}
+ */
+export function initMetricToggle(root = document) {
+  root.addEventListener('change', (ev) => {
+    const tgt = ev.target;
+    if (!(tgt instanceof HTMLInputElement) || tgt.name !== METRIC_PARAM) {
+      return;
+    }
+    if (!METRICS.includes(tgt.value)) {
+      return;
+    }
+    writeMetric(tgt.value);
+    applyMetric(tgt.value, root);
+  });
+
+  applyMetric(readMetric(), root);
+}
+
+// Enable prevention of auto-init in tests.
+if (!window.__AWDT_DISABLE_AUTO_INIT__) {
+  initMetricToggle(document);
+}
@@ -0,0 +1,67 @@
+// @vitest-environment jsdom
+/* global Event, document, window */
+
+describe('metric-toggle.js', () => {
+  let mod;
+
+  function setSearch(search) {
+    window.history.replaceState(null, '', `/test${search}`);
+  }
+
+  function createRadios(root) {
+    for (const value of ['average', 'weighted']) {
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'metric';
+      input.value = value;
+      root.appendChild(input);
+    }
+  }
+
+  beforeEach(async () => {
+    window.__AWDT_DISABLE_AUTO_INIT__ = true;
+    setSearch('');
+    document.body.innerHTML = '';
+    delete document.documentElement.dataset.metric;
+    mod = await import('./metric-toggle.js');
+  });
+
+  test('defaults to the average metric', () => {
+    expect(mod.readMetric()).toBe('average');
+  });
+
+  test('ignores unknown metrics in the URL', () => {
+    setSearch('?metric=bogus');
+    expect(mod.readMetric()).toBe('average');
+  });
+
+  test('restores the metric from the URL on init', () => {
+    setSearch('?metric=weighted');
+    createRadios(document.body);
+
+    mod.initMetricToggle(document.body);
+
+    expect(document.documentElement.dataset.metric).toBe('weighted');
+    const checked = document.querySelector('input[name="metric"]:checked');
+    expect(checked.value).toBe('weighted');
+  });
+
+  test('persists changes to the URL and applies them', () => {
+    createRadios(document.body);
+    mod.initMetricToggle(document.body);
+
+    const weighted = document.querySelector('input[value="weighted"]');
+    weighted.checked = true;
+    weighted.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(window.location.search).toBe('?metric=weighted');
+    expect(document.documentElement.dataset.metric).toBe('weighted');
+
+    const average = document.querySelector('input[value="average"]');
+    average.checked = true;
+    average.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(window.location.search).toBe('');
+    expect(document.documentElement.dataset.metric).toBe('average');
+  });
+});
@@ -32,6 +32,10 @@ export async function fetchData() {
  * the latest locally available snapshot. Tooltips display the percentage along
  * with any delta compared to the previous entry.
  *
+ * When entries carry a declaration-weighted percentage a second dataset is
+ * plotted alongside the per-file average, and the legend is shown so either
+ * line can be toggled.
+ *
  * @param {string} canvasId - The ID of the <canvas> element where the chart should be rendered.
  * @returns {Promise<void>} Resolves when the chart has been created.
  *
@@ -48,21 +52,41 @@ export async function renderPropagationChart(canvasId) {
   const existingIndex = history.findIndex((entry) => entry.date === latestDate);
   const data = existingIndex === -1 ? [...history, ...historyLatest] : history;
 
+  const datasets = [
+    {
+      label: 'Average Propagation %',
+      data: data.map((d) => d.percentage),
+      deltaKey: 'delta',
+      borderColor: 'blue',
+      backgroundColor: 'rgba(0, 0, 255, 0.2)',
+      tension: 0.3,
+      fill: true,
+      pointRadius: 4,
+    },
+  ];
+
+  const hasWeighted = data.some(
+    (d) => typeof d.weightedPercentage === 'number',
+  );
+  if (hasWeighted) {
+    datasets.push({
+      label: 'Weighted Propagation %',
+      data: data.map((d) => d.weightedPercentage ?? null),
+      deltaKey: 'weightedDelta',
+      borderColor: 'purple',
+      backgroundColor: 'rgba(128, 0, 128, 0.1)',
+      tension: 0.3,
+      fill: false,
+      pointRadius: 4,
+      spanGaps: true,
+    });
+  }
+
   new Chart(document.getElementById(canvasId), {
     type: 'line',
     data: {
       labels: data.map((d) => d.date),
-      datasets: [
-        {
-          label: 'Propagation %',
-          data: data.map((d) => d.percentage),
-          borderColor: 'blue',
-          backgroundColor: 'rgba(0, 0, 255, 0.2)',
-          tension: 0.3,
-          fill: true,
-          pointRadius: 4,
-        },
-      ],
+      datasets,
       originalData: data,
     },
     options: {
@@ -85,13 +109,13 @@ export async function renderPropagationChart(canvasId) {
       },
       responsive: true,
       plugins: {
-        legend: { display: false },
+        legend: { display: hasWeighted },
         tooltip: {
           callbacks: {
             label: function (ctx) {
               const percentage = ctx.parsed.y.toFixed(2);
               const entry = ctx.chart.data.originalData?.[ctx.dataIndex];
-              const delta = entry?.delta;
+              const delta = entry?.[ctx.dataset.deltaKey ?? 'delta'];
 
               let deltaStr = '';
               if (typeof delta === 'number') {
@@ -0,0 +1,21 @@
+import cssFilesList from './cssFilesList.json' with { type: 'json' };
+
+/**
+ * Lists the toolkit files that reference Desktop Firefox, with their
+ * references, for the "Browser references" page.
+ *
+ * @returns {Array<{
+ *   path: string,
+ *   fileURI: string,
+ *   refs: import('../lib/browserRefs.js').BrowserRef[],
+ * }>} - Files in the order they were analyzed.
+ */
+export default function () {
+  return cssFilesList
+    .filter((file) => file.propagationData?.browserRefs?.length)
+    .map((file) => ({
+      path: `${file.dirURI}/${file.fileName}`,
+      fileURI: file.fileURI,
+      refs: file.propagationData.browserRefs,
+    }));
+}
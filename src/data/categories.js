@@ -0,0 +1,39 @@
+import groupedFilesByDir from './groupedFilesByDir.json' with { type: 'json' };
+import { mergeCategoryBreakdowns } from '../lib/groupingUtils.js';
+
+/**
+ * Builds the per token category view of propagation.
+ *
+ * Each category carries its site-wide weighted figures, summed over the
+ * top-level directories, and the list of directories (at every depth) that
+ * have declarations in that category, so each category can track its own
+ * progress. `directoryCount` only counts directories with files of their own
+ * in the category, as ancestor directories just hold roll-ups of them.
+ *
+ * @returns {Array<{
+ *   name: string,
+ *   designTokenCount: number,
+ *   countedPropCount: number,
+ *   weightedPropagation: number,
+ *   directoryCount: number,
+ *   directories: Array<{ dir: string, designTokenCount: number, countedPropCount: number, weightedPropagation: number }>,
+ * }>} - Categories in `CATEGORIES` order.
+ */
+export default function () {
+  const siteBreakdown = mergeCategoryBreakdowns(
+    Object.values(groupedFilesByDir)
+      .filter((details) => !details.parent)
+      .map((details) => details.categoryBreakdown),
+  );
+
+  return Object.entries(siteBreakdown).map(([name, totals]) => ({
+    name,
+    ...totals,
+    directoryCount: Object.values(groupedFilesByDir).filter(({ files = [] }) =>
+      files.some((file) => file.propagationData.categoryBreakdown?.[name]),
+    ).length,
+    directories: Object.entries(groupedFilesByDir)
+      .filter(([, details]) => details.categoryBreakdown?.[name])
+      .map(([dir, details]) => ({ dir, ...details.categoryBreakdown[name] })),
+  }));
+}
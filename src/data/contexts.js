@@ -0,0 +1,39 @@
+import groupedFilesByDir from './groupedFilesByDir.json' with { type: 'json' };
+import { mergeContextBreakdowns } from '../lib/groupingUtils.js';
+
+/**
+ * Builds the per at-rule context view of propagation.
+ *
+ * Each context carries its site-wide weighted figures, summed over the
+ * top-level directories, and the list of directories (at every depth) that
+ * have declarations in that context, so a context can be looked at on its own.
+ * `directoryCount` only counts directories with files of their own in the
+ * context, as ancestor directories just hold roll-ups of them.
+ *
+ * @returns {Array<{
+ *   name: string,
+ *   designTokenCount: number,
+ *   countedPropCount: number,
+ *   weightedPropagation: number,
+ *   directoryCount: number,
+ *   directories: Array<{ dir: string, designTokenCount: number, countedPropCount: number, weightedPropagation: number }>,
+ * }>} - Contexts with the default context first.
+ */
+export default function () {
+  const siteBreakdown = mergeContextBreakdowns(
+    Object.values(groupedFilesByDir)
+      .filter((details) => !details.parent)
+      .map((details) => details.contextBreakdown),
+  );
+
+  return Object.entries(siteBreakdown).map(([name, totals]) => ({
+    name,
+    ...totals,
+    directoryCount: Object.values(groupedFilesByDir).filter(({ files = [] }) =>
+      files.some((file) => file.propagationData.contextBreakdown?.[name]),
+    ).length,
+    directories: Object.entries(groupedFilesByDir)
+      .filter(([, details]) => details.contextBreakdown?.[name])
+      .map(([dir, details]) => ({ dir, ...details.contextBreakdown[name] })),
+  }));
+}
@@ -1,19 +1,80 @@
 import groupedFilesByDir from './groupedFilesByDir.json' with { type: 'json' };
+import {
+  computeAverages,
+  computeWeightedPercentage,
+} from '../lib/groupingUtils.js';
 
 /**
- * Calculates the average propagation percentage across all directories.
- * Iterates over the `groupedFilesByDir` global object, summing each directory's
- * `averagePropagation` value and dividing by the number of entries. Returns the
- * result rounded to two decimal places.
- * @returns {{ totalAveragePropagation: number }} An object containing the average propagation percentage.
+ * Calculates the site-wide propagation percentages.
+ *
+ * The average iterates over the directories in `groupedFilesByDir` that contain
+ * files of their own, summing each directory's average over just those files
+ * and dividing by the number of such directories. Ancestor directories only
+ * hold recursive roll-ups, so they are left out to avoid counting files twice.
+ *
+ * The weighted figure sums the design token and counted declaration totals of
+ * every top-level directory, so each declaration carries the same weight
+ * regardless of which file or directory it lives in.
+ *
+ * `totalBaseTokenCount` is the number of declarations across the site that use
+ * base color tokens directly.
+ *
+ * When files were analyzed with component scoring, the component-weighted
+ * figure is totalled in the same way as `totalComponentPropagation`.
+ *
+ * All results are rounded to two decimal places.
+ * @returns {{ totalAveragePropagation: number, totalWeightedPropagation: number, totalBaseTokenCount: number, totalComponentPropagation?: number }} An object containing the propagation percentages.
  */
 export default function () {
   let total = 0;
   let count = 0;
+  let designTokenCount = 0;
+  let countedPropCount = 0;
+  let baseTokenCount = 0;
+  let componentTokenCount = 0;
+  let componentCount = null;
   for (const dir in groupedFilesByDir) {
-    total += groupedFilesByDir[dir].averagePropagation;
-    count++;
+    const { files = [], parent = null } = groupedFilesByDir[dir];
+
+    if (files.length) {
+      const directFiles = { files };
+      computeAverages(directFiles);
+      total += directFiles.averagePropagation;
+      count++;
+    }
+
+    if (!parent) {
+      designTokenCount += groupedFilesByDir[dir].designTokenCount ?? 0;
+      countedPropCount += groupedFilesByDir[dir].countedPropCount ?? 0;
+      baseTokenCount += groupedFilesByDir[dir].baseTokenCount ?? 0;
+      if (typeof groupedFilesByDir[dir].componentCount === 'number') {
+        componentTokenCount += groupedFilesByDir[dir].componentTokenCount;
+        componentCount =
+          (componentCount ?? 0) + groupedFilesByDir[dir].componentCount;
+      }
+    }
+  }
+
+  const weighted = computeWeightedPercentage(
+    designTokenCount,
+    countedPropCount,
+  );
+
+  const totals = {
+    totalAveragePropagation: +(total / count).toFixed(2),
+    // -1 means nothing was counted, which is graphed as 0.
+    totalWeightedPropagation: weighted === -1 ? 0 : weighted,
+    totalBaseTokenCount: baseTokenCount,
+  };
+
+  if (componentCount !== null) {
+    const componentWeighted = computeWeightedPercentage(
+      componentTokenCount,
+      componentCount,
+    );
+    totals.totalComponentPropagation =
+      componentWeighted === -1 ? 0 : componentWeighted;
   }
 
-  return { totalAveragePropagation: +(total / count).toFixed(2) };
+  return totals;
 }
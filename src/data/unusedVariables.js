@@ -0,0 +1,21 @@
+import cssFilesList from './cssFilesList.json' with { type: 'json' };
+
+/**
+ * Lists the files with custom properties nothing uses, with those
+ * definitions, for the "Unused custom properties" page.
+ *
+ * @returns {Array<{
+ *   path: string,
+ *   fileURI: string,
+ *   variables: import('../lib/unusedVars.js').UnusedVariable[],
+ * }>} - Files in the order they were analyzed.
+ */
+export default function () {
+  return cssFilesList
+    .filter((file) => file.propagationData?.unusedVariables?.length)
+    .map((file) => ({
+      path: `${file.dirURI}/${file.fileName}`,
+      fileURI: file.fileURI,
+      variables: file.propagationData.unusedVariables,
+    }));
+}
@@ -0,0 +1,292 @@
+import fs from 'node:fs/promises';
+import crypto from 'node:crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import config from '../../config.js';
+import vendorMetadata from '../vendor/firefox/vendor-metadata.json' with { type: 'json' };
+
+// Bump to discard existing caches when the shape of cached results changes.
+export const CACHE_VERSION = 1;
+
+const MANIFEST_FILENAME = 'manifest.json';
+const REPORT_FILENAME = 'report.json';
+const ENTRIES_DIRNAME = 'entries';
+
+const libDir = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Returns the SHA-256 hex digest of some content.
+ *
+ * @param {string|Buffer} content - The content to hash.
+ * @returns {string} - The digest.
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hashes the analysis code in `src/lib`, so changes to how files are analyzed
+ * invalidate cached results without needing a version bump.
+ *
+ * @returns {Promise<string>} - The digest.
+ */
+async function hashAnalyzer() {
+  const files = (await fs.readdir(libDir))
+    .filter((file) => file.endsWith('.js') && !file.endsWith('.test.js'))
+    .sort();
+
+  const hash = crypto.createHash('sha256');
+  for (const file of files) {
+    hash.update(file);
+    hash.update(await fs.readFile(path.join(libDir, file)));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Builds the parts of the cache key shared by every file. A change to any of
+ * them invalidates the whole cache.
+ *
+ * @param {object} options
+ * @param {string} options.repoPath - Root of the analyzed repo, as results hold absolute paths.
+ * @param {string|null} [options.varIndexHash] - Hash of the repo-wide var index, when it's used.
+ * @returns {Promise<Record<string, string|number|null>>} - The key parts.
+ */
+export async function getGlobalCacheKey({ repoPath, varIndexHash = null }) {
+  return {
+    version: CACHE_VERSION,
+    vendorRevision: vendorMetadata.revision ?? null,
+    analyzer: await hashAnalyzer(),
+    config: hashContent(
+      JSON.stringify({
+        repoPath: path.resolve(repoPath),
+        externalVarMapping: config.externalVarMapping,
+        followImports: config.followImports,
+        importUrlMapping: config.importUrlMapping,
+        preprocessorDefines: config.preprocessorDefines,
+        componentScoring: config.componentScoring,
+      }),
+    ),
+    varIndex: varIndexHash,
+  };
+}
+
+// Human readable names for the global key parts, used in the report.
+const globalKeyReasons = {
+  version: 'cache version changed',
+  vendorRevision: 'vendor metadata revision changed',
+  analyzer: 'analysis code changed',
+  config: 'var resolution config changed',
+  varIndex: 'repo-wide var index changed',
+};
+
+/**
+ * Reads and parses a JSON file, returning null if it's missing or invalid.
+ *
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {Promise<any|null>}
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creates an on-disk cache of per-file analysis results.
+ *
+ * Each file's entry is keyed by the hash of its content and the hashes of the
+ * files its external vars depend on (see `getExternalVarDependencies`). The
+ * whole cache is also keyed by the vendor metadata revision, the analysis code
+ * and the var resolution config, see `getGlobalCacheKey`.
+ *
+ * Every lookup is recorded, so a run can report why files were re-analyzed.
+ *
+ * @param {object} options
+ * @param {string} options.cacheDir - Directory to keep the cache in.
+ * @param {string} options.repoPath - Root of the analyzed repo, entries are stored by path relative to it.
+ * @param {Record<string, string|number|null>} options.globalKey - See `getGlobalCacheKey`.
+ * @returns {Promise<{
+ *   get: (filePath: string) => Promise<object|null>,
+ *   set: (filePath: string, result: object, dependencies: string[]) => Promise<void>,
+ *   finish: (filePaths: string[]) => Promise<object>,
+ * }>}
+ */
+export async function createAnalysisCache({ cacheDir, repoPath, globalKey }) {
+  const entriesDir = path.join(cacheDir, ENTRIES_DIRNAME);
+  const manifest = await readJson(path.join(cacheDir, MANIFEST_FILENAME));
+
+  // Work out whether the whole cache is stale before looking at any file.
+  const staleReasons = manifest
+    ? Object.keys(globalKey)
+        .filter((key) => manifest.globalKey?.[key] !== globalKey[key])
+        .map((key) => globalKeyReasons[key] ?? `${key} changed`)
+    : [];
+
+  if (staleReasons.length) {
+    await fs.rm(entriesDir, { recursive: true, force: true });
+  }
+  await fs.mkdir(entriesDir, { recursive: true });
+
+  const fileHashes = new Map();
+  const report = {
+    hits: [],
+    misses: [],
+    removed: [],
+    invalidatedAll: staleReasons,
+  };
+
+  /**
+   * Hashes a file's content, once per run, or returns null if it's unreadable.
+   *
+   * @param {string} filePath - Absolute path of the file.
+   * @returns {Promise<string|null>}
+   */
+  async function hashFile(filePath) {
+    if (!fileHashes.has(filePath)) {
+      let hash = null;
+      try {
+        hash = hashContent(await fs.readFile(filePath));
+      } catch {
+        // Missing files hash to null, so appearing later invalidates entries.
+      }
+      fileHashes.set(filePath, hash);
+    }
+    return fileHashes.get(filePath);
+  }
+
+  /**
+   * Returns the path of the entry for a repo-relative path.
+   *
+   * @param {string} relativePath - Repo-relative path of the analyzed file.
+   * @returns {string}
+   */
+  function getEntryPath(relativePath) {
+    return path.join(entriesDir, `${hashContent(relativePath)}.json`);
+  }
+
+  /**
+   * Returns the cached result for a file, if it's still valid, recording why
+   * it isn't otherwise.
+   *
+   * @param {string} filePath - Absolute path of the analyzed file.
+   * @returns {Promise<object|null>}
+   */
+  async function get(filePath) {
+    const relativePath = path.relative(repoPath, filePath);
+    const entry = await readJson(getEntryPath(relativePath));
+
+    let reason = null;
+    if (!entry) {
+      reason = staleReasons.length ? staleReasons.join(', ') : 'not cached';
+    } else if (entry.hash !== (await hashFile(filePath))) {
+      reason = 'content changed';
+    } else {
+      for (const [dependency, hash] of Object.entries(entry.dependencies)) {
+        if (hash !== (await hashFile(path.join(repoPath, dependency)))) {
+          reason = `dependency ${dependency} changed`;
+          break;
+        }
+      }
+    }
+
+    if (reason) {
+      report.misses.push({ path: relativePath, reason });
+      return null;
+    }
+
+    report.hits.push(relativePath);
+    return entry.result;
+  }
+
+  /**
+   * Stores the result for a file.
+   *
+   * @param {string} filePath - Absolute path of the analyzed file.
+   * @param {object} result - The analysis result, which must survive a JSON round trip.
+   * @param {string[]} dependencies - Absolute paths of the files the result depends on.
+   * @returns {Promise<void>}
+   */
+  async function set(filePath, result, dependencies) {
+    const relativePath = path.relative(repoPath, filePath);
+    const entry = {
+      path: relativePath,
+      hash: await hashFile(filePath),
+      dependencies: {},
+      result,
+    };
+    for (const dependency of dependencies) {
+      entry.dependencies[path.relative(repoPath, dependency)] =
+        await hashFile(dependency);
+    }
+
+    await fs.writeFile(getEntryPath(relativePath), JSON.stringify(entry));
+  }
+
+  /**
+   * Removes entries for files that are no longer analyzed, then writes the
+   * manifest and the invalidation report.
+   *
+   * @param {string[]} filePaths - Absolute paths of every file analyzed in the run.
+   * @returns {Promise<object>} - The invalidation report.
+   */
+  async function finish(filePaths) {
+    const current = new Set(
+      filePaths.map((filePath) =>
+        path.basename(getEntryPath(path.relative(repoPath, filePath))),
+      ),
+    );
+
+    for (const entryFile of await fs.readdir(entriesDir)) {
+      if (!current.has(entryFile)) {
+        const entry = await readJson(path.join(entriesDir, entryFile));
+        report.removed.push(entry?.path ?? entryFile);
+        await fs.rm(path.join(entriesDir, entryFile), { force: true });
+      }
+    }
+
+    await fs.writeFile(
+      path.join(cacheDir, MANIFEST_FILENAME),
+      JSON.stringify({ globalKey }, null, 2),
+    );
+    await fs.writeFile(
+      path.join(cacheDir, REPORT_FILENAME),
+      JSON.stringify(report, null, 2),
+    );
+
+    return report;
+  }
+
+  return { get, set, finish };
+}
+
+/**
+ * Formats an invalidation report for the console.
+ *
+ * @param {{ hits: string[], misses: Array<{ path: string, reason: string }>, removed: string[], invalidatedAll: string[] }} report
+ * @returns {string}
+ */
+export function formatCacheReport({ hits, misses, removed, invalidatedAll }) {
+  const lines = [
+    `Analysis cache: ${hits.length} cached, ${misses.length} analyzed, ${removed.length} removed`,
+  ];
+
+  if (invalidatedAll.length) {
+    lines.push(`  Cache cleared: ${invalidatedAll.join(', ')}`);
+  } else {
+    const reasons = {};
+    for (const { reason } of misses) {
+      reasons[reason] = (reasons[reason] ?? 0) + 1;
+    }
+    for (const [reason, count] of Object.entries(reasons).sort(
+      ([, a], [, b]) => b - a,
+    )) {
+      lines.push(`  ${count} × ${reason}`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,154 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'path';
+import {
+  createAnalysisCache,
+  formatCacheReport,
+  getGlobalCacheKey,
+  hashContent,
+} from './analysisCache.js';
+import config from '../../config.js';
+
+describe('analysis cache', () => {
+  let tmpDir;
+  let repoPath;
+  let cacheDir;
+  const globalKey = { version: 1, analyzer: 'abc' };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-cache-'));
+    repoPath = path.join(tmpDir, 'repo');
+    cacheDir = path.join(tmpDir, 'cache');
+    await fs.mkdir(repoPath);
+    await fs.writeFile(path.join(repoPath, 'a.css'), 'a { color: red; }');
+    await fs.writeFile(path.join(repoPath, 'vars.css'), ':root { --x: 1px; }');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const file = (name) => path.join(repoPath, name);
+
+  test('returns stored results for unchanged files', async () => {
+    let cache = await createAnalysisCache({ cacheDir, repoPath, globalKey });
+    expect(await cache.get(file('a.css'))).toBeNull();
+    await cache.set(file('a.css'), { percentage: 50 }, [file('vars.css')]);
+    await cache.finish([file('a.css')]);
+
+    cache = await createAnalysisCache({ cacheDir, repoPath, globalKey });
+    expect(await cache.get(file('a.css'))).toEqual({ percentage: 50 });
+
+    const report = await cache.finish([file('a.css')]);
+    expect(report.hits).toEqual(['a.css']);
+    expect(report.misses).toEqual([]);
+  });
+
+  test('reports why files are re-analyzed', async () => {
+    let cache = await createAnalysisCache({ cacheDir, repoPath, globalKey });
+    await cache.set(file('a.css'), {}, [file('vars.css')]);
+    await cache.set(file('vars.css'), {}, []);
+    await cache.finish([file('a.css'), file('vars.css')]);
+
+    await fs.writeFile(file('vars.css'), ':root { --x: 2px; }');
+    await fs.writeFile(file('b.css'), 'b { color: blue; }');
+
+    cache = await createAnalysisCache({ cacheDir, repoPath, globalKey });
+    expect(await cache.get(file('a.css'))).toBeNull();
+    expect(await cache.get(file('vars.css'))).toBeNull();
+    expect(await cache.get(file('b.css'))).toBeNull();
+
+    const report = await cache.finish([
+      file('a.css'),
+      file('vars.css'),
+      file('b.css'),
+    ]);
+    expect(report.misses).toEqual([
+      { path: 'a.css', reason: 'dependency vars.css changed' },
+      { path: 'vars.css', reason: 'content changed' },
+      { path: 'b.css', reason: 'not cached' },
+    ]);
+    expect(
+      JSON.parse(await fs.readFile(path.join(cacheDir, 'report.json'), 'utf8')),
+    ).toEqual(report);
+  });
+
+  test('prunes entries for files that are no longer analyzed', async () => {
+    let cache = await createAnalysisCache({ cacheDir, repoPath, globalKey });
+    await cache.set(file('a.css'), {}, []);
+    await cache.set(file('vars.css'), {}, []);
+    await cache.finish([file('a.css'), file('vars.css')]);
+
+    cache = await createAnalysisCache({ cacheDir, repoPath, globalKey });
+    const report = await cache.finish([file('a.css')]);
+    expect(report.removed).toEqual(['vars.css']);
+    expect(await fs.readdir(path.join(cacheDir, 'entries'))).toHaveLength(1);
+  });
+
+  test('clears the cache when the global key changes', async () => {
+    let cache = await createAnalysisCache({ cacheDir, repoPath, globalKey });
+    await cache.set(file('a.css'), {}, []);
+    await cache.finish([file('a.css')]);
+
+    cache = await createAnalysisCache({
+      cacheDir,
+      repoPath,
+      globalKey: { ...globalKey, analyzer: 'def' },
+    });
+    expect(await cache.get(file('a.css'))).toBeNull();
+
+    const report = await cache.finish([file('a.css')]);
+    expect(report.invalidatedAll).toEqual(['analysis code changed']);
+    expect(report.misses).toEqual([
+      { path: 'a.css', reason: 'analysis code changed' },
+    ]);
+  });
+});
+
+describe('getGlobalCacheKey', () => {
+  const originalMapping = config.externalVarMapping;
+
+  afterEach(() => {
+    config.externalVarMapping = originalMapping;
+  });
+
+  test('changes with the var resolution config', async () => {
+    const before = await getGlobalCacheKey({ repoPath: '/repo' });
+    config.externalVarMapping = {};
+    const after = await getGlobalCacheKey({ repoPath: '/repo' });
+
+    expect(after.config).not.toBe(before.config);
+    expect(after.analyzer).toBe(before.analyzer);
+  });
+
+  test('includes the var index hash', async () => {
+    const key = await getGlobalCacheKey({
+      repoPath: '/repo',
+      varIndexHash: hashContent('{}'),
+    });
+    expect(key.varIndex).toBe(hashContent('{}'));
+  });
+});
+
+describe('formatCacheReport', () => {
+  test('summarizes the reasons files were re-analyzed', () => {
+    expect(
+      formatCacheReport({
+        hits: ['a.css'],
+        misses: [
+          { path: 'b.css', reason: 'content changed' },
+          { path: 'c.css', reason: 'not cached' },
+          { path: 'd.css', reason: 'content changed' },
+        ],
+        removed: [],
+        invalidatedAll: [],
+      }),
+    ).toBe(
+      [
+        'Analysis cache: 1 cached, 3 analyzed, 0 removed',
+        '  2 × content changed',
+        '  1 × not cached',
+      ].join('\n'),
+    );
+  });
+});
@@ -0,0 +1,253 @@
+import { Worker } from 'node:worker_threads';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  collectExternalVars,
+  getExternalVarDependencies,
+  getPropagationData,
+  getUsageFindings,
+} from './propagationUtils.js';
+
+const WORKER_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'analysisWorker.js',
+);
+
+/**
+ * @typedef {object} AnalysisError
+ * @property {string} file - Absolute path of the file.
+ * @property {string} message - What went wrong, e.g. "Unclosed block".
+ * @property {number|null} line - Line of a syntax error.
+ * @property {number|null} column - Column of a syntax error.
+ * @property {string|null} code - The error code of a file that couldn't be read, e.g. "ENOENT".
+ * @property {boolean} recovered - Whether the file was analyzed with the tolerant parser instead.
+ */
+
+/**
+ * @typedef {object} FileAnalysis
+ * @property {object} [propagationData] - See `getPropagationData`. Missing if the file couldn't be analyzed.
+ * @property {ReturnType<typeof getUsageFindings>} [findings] - The file's token usage findings.
+ * @property {string[]} [dependencies] - Files the analysis depends on, see `getExternalVarDependencies`.
+ * @property {AnalysisError} [error] - Why the file couldn't be analyzed, in resilient mode.
+ */
+
+/**
+ * Describes an error thrown while analyzing a file. Syntax errors from postcss
+ * carry the line and column they were found at.
+ *
+ * @param {string} file - Absolute path of the file.
+ * @param {Error} error - The error thrown by `getPropagationData`.
+ * @returns {AnalysisError}
+ */
+export function getAnalysisError(file, error) {
+  const cause = error.cause ?? error;
+  return {
+    file,
+    message: cause.reason ?? cause.message,
+    line: cause.line ?? null,
+    column: cause.column ?? null,
+    code: cause.code ?? null,
+    recovered: false,
+  };
+}
+
+const tolerantParsers = new Map();
+
+/**
+ * Imports a tolerant postcss parser, such as `postcss-safe-parser`, once per
+ * thread.
+ *
+ * @param {string} specifier - Module specifier of the parser.
+ * @returns {Promise<Function>} - The parser's parse function.
+ */
+function loadTolerantParser(specifier) {
+  if (!tolerantParsers.has(specifier)) {
+    tolerantParsers.set(
+      specifier,
+      import(specifier).then((module) => module.default ?? module.parse),
+    );
+  }
+  return tolerantParsers.get(specifier);
+}
+
+/**
+ * Analyzes a single file, returning its findings so they can be merged with
+ * those of other files by the caller.
+ *
+ * In resilient mode a file that can't be read or parsed is returned with an
+ * error instead of throwing. Files with syntax errors are analyzed again with
+ * `tolerantParser` when there is one.
+ *
+ * @param {string} file - Absolute path of the file.
+ * @param {object} [options]
+ * @param {object|null} [options.varIndex] - Repo-wide variable index used as a resolution fallback.
+ * @param {boolean} [options.withDependencies] - Also list the files the analysis depends on.
+ * @param {boolean} [options.resilient] - Return errors rather than throwing them.
+ * @param {string|null} [options.tolerantParser] - Module specifier of a parser to retry syntax errors with.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [options.run] - Run
+ * whose caches to read external vars and imports through. Findings are
+ * returned rather than added to it.
+ * @returns {Promise<FileAnalysis>}
+ */
+export async function analyzeFile(
+  file,
+  {
+    varIndex = null,
+    withDependencies = false,
+    resilient = false,
+    tolerantParser = null,
+    run = null,
+  } = {},
+) {
+  const analyze = async (parse) => {
+    const propagationData = await getPropagationData(
+      file,
+      collectExternalVars,
+      { varIndex, parse, caches: run },
+    );
+
+    return {
+      propagationData,
+      findings: getUsageFindings(propagationData.foundPropValues, file),
+      ...(withDependencies
+        ? { dependencies: await getExternalVarDependencies(file, run) }
+        : {}),
+    };
+  };
+
+  try {
+    return await analyze();
+  } catch (e) {
+    if (!resilient) {
+      throw e;
+    }
+
+    const error = getAnalysisError(file, e);
+    if (tolerantParser && error.line !== null) {
+      try {
+        const result = await analyze(await loadTolerantParser(tolerantParser));
+        return { ...result, error: { ...error, recovered: true } };
+      } catch {
+        // Report the original error.
+      }
+    }
+    return { error };
+  }
+}
+
+/**
+ * Analyzes files across a pool of worker threads.
+ *
+ * Each worker is handed the next file as soon as it's done with its previous
+ * one. Results are stored by index, so they come back in the order of `files`
+ * whichever worker finishes first. If a worker exits before every file is
+ * analyzed, e.g. because something called `process.exit`, the others are
+ * terminated and the analysis is rejected.
+ *
+ * @param {string[]} files - Absolute paths of the files.
+ * @param {number} poolSize - Number of workers to start.
+ * @param {object} options - Passed to `analyzeFile` in each worker.
+ * @returns {Promise<FileAnalysis[]>}
+ */
+function analyzeInWorkers(files, poolSize, options) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(files.length);
+    const workers = [];
+    let nextIndex = 0;
+    let pending = files.length;
+    let isDone = false;
+
+    const finish = (error) => {
+      if (isDone) {
+        return;
+      }
+      isDone = true;
+      Promise.all(workers.map((worker) => worker.terminate())).then(() =>
+        error ? reject(error) : resolve(results),
+      );
+    };
+
+    const dispatch = (worker) => {
+      if (nextIndex < files.length) {
+        const index = nextIndex++;
+        worker.postMessage({ index, file: files[index] });
+      }
+    };
+
+    for (let i = 0; i < poolSize; i++) {
+      const worker = new Worker(WORKER_PATH, { workerData: options });
+
+      worker.on('message', ({ index, result, error }) => {
+        if (error) {
+          finish(new Error(error));
+          return;
+        }
+
+        results[index] = result;
+        if (--pending === 0) {
+          finish();
+        } else {
+          dispatch(worker);
+        }
+      });
+      worker.on('error', finish);
+      worker.on('exit', (code) => {
+        if (code !== 0) {
+          finish(new Error(`Analysis worker exited with code ${code}`));
+        } else if (pending > 0) {
+          finish(
+            new Error(
+              `Analysis worker exited with ${pending} file(s) left to analyze`,
+            ),
+          );
+        }
+      });
+
+      workers.push(worker);
+      dispatch(worker);
+    }
+  });
+}
+
+/**
+ * Analyzes files, in worker threads when more than one worker is requested.
+ *
+ * Results are in the same order as `files` either way, so output built from
+ * them is identical to that of a serial run.
+ *
+ * @param {string[]} files - Absolute paths of the files.
+ * @param {object} [options]
+ * @param {number} [options.workers] - Size of the worker pool. 1 analyzes files in this thread.
+ * @param {object|null} [options.varIndex] - Repo-wide variable index used as a resolution fallback.
+ * @param {boolean} [options.withDependencies] - Also list the files each analysis depends on.
+ * @param {boolean} [options.resilient] - Return errors for files that can't be analyzed rather than failing.
+ * @param {string|null} [options.tolerantParser] - Module specifier of a parser to retry syntax errors with.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [options.run] - Run
+ * whose caches to use in this thread. Workers can't share it, so each one
+ * caches for itself.
+ * @returns {Promise<FileAnalysis[]>}
+ */
+export async function analyzeFiles(
+  files,
+  {
+    workers = 1,
+    varIndex = null,
+    withDependencies = false,
+    resilient = false,
+    tolerantParser = null,
+    run = null,
+  } = {},
+) {
+  const options = { varIndex, withDependencies, resilient, tolerantParser };
+  const poolSize = Math.min(workers, files.length);
+  if (poolSize > 1) {
+    return analyzeInWorkers(files, poolSize, options);
+  }
+
+  const results = [];
+  for (const file of files) {
+    results.push(await analyzeFile(file, { ...options, run }));
+  }
+  return results;
+}
@@ -0,0 +1,129 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { analyzeFiles } from './analysisPool.js';
+
+describe('analyzeFiles', () => {
+  let tmpDir;
+  let files;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-pool-'));
+    await fs.writeFile(
+      path.join(tmpDir, 'vars.css'),
+      ':root { --local-color: var(--text-color); }',
+    );
+
+    files = [];
+    for (let i = 0; i < 5; i++) {
+      const file = path.join(tmpDir, `file-${i}.css`);
+      await fs.writeFile(
+        file,
+        `@import "vars.css";
+        .a { color: var(--local-color); padding: ${i}px; }
+        .b { background-color: var(--color-accent-primary); }`,
+      );
+      files.push(file);
+    }
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('returns the same results in the same order as a serial run', async () => {
+    const serial = await analyzeFiles(files, { withDependencies: true });
+    const parallel = await analyzeFiles(files, {
+      workers: 3,
+      withDependencies: true,
+    });
+
+    expect(JSON.stringify(parallel)).toBe(JSON.stringify(serial));
+    expect(parallel.map(({ findings }) => findings[0].path)).toEqual(files);
+    expect(parallel[0].dependencies).toEqual([path.join(tmpDir, 'vars.css')]);
+  });
+
+  test('rejects when a worker fails to analyze a file', async () => {
+    const broken = path.join(tmpDir, 'broken.css');
+    await fs.writeFile(broken, '.a { color: red;');
+
+    await expect(
+      analyzeFiles([...files, broken], { workers: 2 }),
+    ).rejects.toThrow();
+  });
+
+  test('rejects when a worker exits before every file is analyzed', async () => {
+    const broken = path.join(tmpDir, 'exits.css');
+    await fs.writeFile(broken, '.a { color: red;');
+
+    // Exits the worker when it's imported to re-parse the broken file.
+    const exitWith = async (code) => {
+      const parserPath = path.join(tmpDir, `exit-${code}.mjs`);
+      await fs.writeFile(parserPath, `process.exit(${code});`);
+      return analyzeFiles([broken, ...files], {
+        workers: 2,
+        resilient: true,
+        tolerantParser: parserPath,
+      });
+    };
+
+    await expect(exitWith(3)).rejects.toThrow(
+      'Analysis worker exited with code 3',
+    );
+    await expect(exitWith(0)).rejects.toThrow(
+      /Analysis worker exited with \d+ file\(s\) left to analyze/,
+    );
+  });
+
+  test('returns errors with their location in resilient mode', async () => {
+    const broken = path.join(tmpDir, 'unclosed.css');
+    const missing = path.join(tmpDir, 'missing.css');
+    await fs.writeFile(broken, '.a {\n  color: red;\n');
+
+    const [, brokenResult, missingResult] = await analyzeFiles(
+      [files[0], broken, missing],
+      { resilient: true },
+    );
+
+    expect(brokenResult).toEqual({
+      error: {
+        file: broken,
+        message: 'Unclosed block',
+        line: 1,
+        column: 1,
+        code: null,
+        recovered: false,
+      },
+    });
+    expect(missingResult.error).toEqual(
+      expect.objectContaining({ file: missing, code: 'ENOENT', line: null }),
+    );
+  });
+
+  test('re-parses syntax errors with a tolerant parser', async () => {
+    const broken = path.join(tmpDir, 'recoverable.css');
+    await fs.writeFile(broken, '.a {\n  color: var(--text-color);\n');
+
+    // A stand-in for postcss-safe-parser, which closes unclosed blocks.
+    const parserPath = path.join(tmpDir, 'tolerantParser.mjs');
+    const postcssUrl = pathToFileURL(
+      path.resolve('node_modules/postcss/lib/postcss.mjs'),
+    );
+    await fs.writeFile(
+      parserPath,
+      `import postcss from '${postcssUrl}';
+      export default (css) => postcss.parse(css + '}');`,
+    );
+
+    const [result] = await analyzeFiles([broken], {
+      resilient: true,
+      tolerantParser: parserPath,
+    });
+
+    expect(result.propagationData.designTokenCount).toBe(1);
+    expect(result.error).toEqual(
+      expect.objectContaining({ message: 'Unclosed block', recovered: true }),
+    );
+  });
+});
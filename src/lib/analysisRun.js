@@ -0,0 +1,171 @@
+import fs from 'node:fs/promises';
+import path from 'path';
+
+import { buildUsageAggregates } from './propagationUtils.js';
+import { buildTokenCandidates } from './tokenCandidates.js';
+
+/**
+ * @typedef {ReturnType<typeof createAnalysisRun>} AnalysisRun
+ */
+
+/**
+ * @typedef {object} RunError
+ * @property {string} path - Repo-relative path of the file.
+ * @property {string} fileURI - URI of the file's page, when it was analyzed anyway.
+ * @property {string} message - What went wrong.
+ * @property {number|null} line - Line of a syntax error.
+ * @property {number|null} column - Column of a syntax error.
+ * @property {string|null} code - The error code of a file that couldn't be read.
+ * @property {boolean} recovered - Whether the file was analyzed with a tolerant parser.
+ */
+
+/**
+ * Creates the context for a single analysis run, which collects the token
+ * usage findings of every analyzed file so the aggregates can be built and
+ * written once at the end, along with the files that couldn't be analyzed.
+ *
+ * The run also caches the vars and imports read from files, see `cached`, so
+ * commonly imported files are only parsed once per run, while files that
+ * changed since a previous run are read again.
+ *
+ * @returns {{
+ *   cached: <T>(cacheName: string, key: string, compute: () => T) => T,
+ *   addFindings: (findings: ReturnType<typeof import('./propagationUtils.js').getUsageFindings>) => void,
+ *   getFindings: () => ReturnType<typeof import('./propagationUtils.js').getUsageFindings>,
+ *   getAggregates: () => ReturnType<typeof buildUsageAggregates>,
+ *   writeAggregates: (options?: { dataDir?: string, buildDataDir?: string }) => Promise<void>,
+ *   addError: (error: RunError) => void,
+ *   getErrors: () => RunError[],
+ *   writeErrors: (options?: { dataDir?: string }) => Promise<void>,
+ * }}
+ */
+export function createAnalysisRun() {
+  const findings = [];
+  const errors = [];
+  const caches = new Map();
+
+  /**
+   * Returns the result of `compute` for a key, computing it the first time
+   * it's asked for in this run.
+   *
+   * @template T
+   * @param {string} cacheName - The cache to use, e.g. "externalVars".
+   * @param {string} key - The key within the cache, e.g. a file path.
+   * @param {() => T} compute - Computes the result when it isn't cached.
+   * @returns {T}
+   */
+  function cached(cacheName, key, compute) {
+    if (!caches.has(cacheName)) {
+      caches.set(cacheName, new Map());
+    }
+    const cache = caches.get(cacheName);
+    if (!cache.has(key)) {
+      cache.set(key, compute());
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Adds a file's findings to the run.
+   *
+   * @param {object[]} fileFindings - See `getUsageFindings`.
+   */
+  function addFindings(fileFindings) {
+    findings.push(...fileFindings);
+  }
+
+  /**
+   * Returns the findings added so far, in the order they were added.
+   *
+   * @returns {object[]}
+   */
+  function getFindings() {
+    return [...findings];
+  }
+
+  /**
+   * Builds the token usage and property value aggregates from the run's findings.
+   *
+   * @returns {ReturnType<typeof buildUsageAggregates>}
+   */
+  function getAggregates() {
+    return buildUsageAggregates(findings);
+  }
+
+  /**
+   * Writes `tokenUsage.json` and `tokenCandidates.json` to the site data and
+   * `propertyValues.json` directly to the build output.
+   *
+   * @param {object} [options]
+   * @param {string} [options.dataDir] - Directory for `tokenUsage.json` and `tokenCandidates.json`.
+   * @param {string} [options.buildDataDir] - Directory for `propertyValues.json`.
+   * @returns {Promise<void>}
+   */
+  async function writeAggregates({
+    dataDir = './src/data',
+    buildDataDir = './build/data',
+  } = {}) {
+    const { tokenUsage, propertyValues } = getAggregates();
+
+    await fs.mkdir(buildDataDir, { recursive: true });
+
+    await Promise.all([
+      fs.writeFile(
+        path.join(dataDir, 'tokenUsage.json'),
+        JSON.stringify(tokenUsage, null, 2),
+      ),
+      fs.writeFile(
+        path.join(dataDir, 'tokenCandidates.json'),
+        JSON.stringify(buildTokenCandidates(findings), null, 2),
+      ),
+      fs.writeFile(
+        path.join(buildDataDir, 'propertyValues.json'),
+        JSON.stringify(propertyValues, null, 2),
+      ),
+    ]);
+  }
+
+  /**
+   * Records a file that couldn't be analyzed, or needed a tolerant parser.
+   *
+   * @param {RunError} error - The error.
+   */
+  function addError(error) {
+    errors.push(error);
+  }
+
+  /**
+   * Returns the recorded errors, in the order they were added.
+   *
+   * @returns {RunError[]}
+   */
+  function getErrors() {
+    return [...errors];
+  }
+
+  /**
+   * Writes `analysisErrors.json` to the site data. It's written even without
+   * errors, so errors from a previous run don't linger.
+   *
+   * @param {object} [options]
+   * @param {string} [options.dataDir] - Directory for `analysisErrors.json`.
+   * @returns {Promise<void>}
+   */
+  async function writeErrors({ dataDir = './src/data' } = {}) {
+    await fs.writeFile(
+      path.join(dataDir, 'analysisErrors.json'),
+      JSON.stringify(errors, null, 2),
+    );
+  }
+
+  return {
+    cached,
+    addFindings,
+    getFindings,
+    getAggregates,
+    writeAggregates,
+    addError,
+    getErrors,
+    writeErrors,
+  };
+}
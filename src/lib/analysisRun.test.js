@@ -0,0 +1,119 @@
+import fs from 'node:fs/promises';
+import path from 'path';
+import { createAnalysisRun } from './analysisRun.js';
+import { getExternalVars } from './externalVars.js';
+import { getPropagationData } from './propagationUtils.js';
+import config from '../../config.js';
+
+vi.mock('node:fs/promises');
+
+const originalConfig = { ...config };
+
+describe('createAnalysisRun', () => {
+  beforeAll(() => {
+    Object.assign(config, { repoPath: '/project' });
+  });
+
+  afterAll(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  beforeEach(() => {
+    fs.writeFile = vi.fn();
+    fs.mkdir = vi.fn();
+    fs.readFile = vi.fn(async (filePath) =>
+      filePath === '/project/a.css'
+        ? '.a { color: var(--text-color); }'
+        : '.b { color: red; padding: var(--space-small); }',
+    );
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  test('collects findings from the files analyzed with it', async () => {
+    const run = createAnalysisRun();
+    await getPropagationData('/project/a.css', undefined, { run });
+    await getPropagationData('/project/b.css', undefined, { run });
+
+    expect(run.getFindings().map(({ path, value }) => [path, value])).toEqual([
+      ['/project/a.css', 'var(--text-color)'],
+      ['/project/b.css', 'red'],
+      ['/project/b.css', 'var(--space-small)'],
+    ]);
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test("doesn't share findings between runs", async () => {
+    const first = createAnalysisRun();
+    const second = createAnalysisRun();
+    await getPropagationData('/project/a.css', undefined, { run: first });
+    await getPropagationData('/project/b.css', undefined, { run: second });
+
+    expect(Object.keys(first.getAggregates().tokenUsage.byToken)).toEqual([
+      '--text-color',
+    ]);
+    expect(Object.keys(second.getAggregates().tokenUsage.byToken)).toEqual([
+      '--space-small',
+    ]);
+  });
+
+  test('caches results for the length of the run', () => {
+    const run = createAnalysisRun();
+    const compute = vi.fn(() => ['/project/b.css']);
+
+    expect(run.cached('importedFiles', '/project/a.css', compute)).toEqual([
+      '/project/b.css',
+    ]);
+    run.cached('importedFiles', '/project/a.css', compute);
+    run.cached('externalVars', '/project/a.css', compute);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+    createAnalysisRun().cached('importedFiles', '/project/a.css', compute);
+    expect(compute).toHaveBeenCalledTimes(3);
+  });
+
+  test('reads vars from files once per run, so later runs see changes', async () => {
+    fs.readFile = vi.fn(async () => ':root { --a: 1px; }');
+    const first = createAnalysisRun();
+    await getExternalVars('/project/tokens.css', first);
+
+    fs.readFile = vi.fn(async () => ':root { --b: 2px; }');
+    const cached = await getExternalVars('/project/tokens.css', first);
+    const second = createAnalysisRun();
+    const reread = await getExternalVars('/project/tokens.css', second);
+
+    expect(Object.keys(cached)).toEqual(['--a']);
+    expect(Object.keys(reread)).toEqual(['--b']);
+    expect(fs.readFile).toHaveBeenCalledTimes(1);
+  });
+
+  test('writes the aggregates once', async () => {
+    const run = createAnalysisRun();
+    await getPropagationData('/project/a.css', undefined, { run });
+    await getPropagationData('/project/b.css', undefined, { run });
+    await run.writeAggregates({
+      dataDir: '/out/data',
+      buildDataDir: '/out/build',
+    });
+
+    expect(fs.writeFile).toHaveBeenCalledTimes(3);
+    const written = Object.fromEntries(
+      fs.writeFile.mock.calls.map(([filePath, content]) => [
+        filePath,
+        JSON.parse(content),
+      ]),
+    );
+    expect(
+      written[path.join('/out/data', 'tokenUsage.json')].byToken['--text-color']
+        .files,
+    ).toEqual({ 'a.css': 1 });
+    expect(
+      Object.keys(
+        written[path.join('/out/build', 'propertyValues.json')].byProperty,
+      ),
+    ).toEqual(['color', 'padding']);
+    expect(written[path.join('/out/data', 'tokenCandidates.json')]).toEqual([]);
+  });
+});
@@ -0,0 +1,20 @@
+import { parentPort, workerData } from 'node:worker_threads';
+
+import { analyzeFile } from './analysisPool.js';
+import { createAnalysisRun } from './analysisRun.js';
+
+// The worker's own run, so the files it analyzes share parsed vars and imports.
+const run = createAnalysisRun();
+
+// Worker thread entry point for `analyzeFiles`. Analyzes one file per message
+// and posts the result back along with the index it was sent with.
+parentPort.on('message', async ({ index, file }) => {
+  try {
+    parentPort.postMessage({
+      index,
+      result: await analyzeFile(file, { ...workerData, run }),
+    });
+  } catch (e) {
+    parentPort.postMessage({ index, error: e.message });
+  }
+});
@@ -0,0 +1,162 @@
+import path from 'path';
+import valueParser from 'postcss-value-parser';
+import config from '../../config.js';
+
+import { extractUrlFromNode } from './importUtils.js';
+import { getStylelintExclusions } from './stylelintDirectives.js';
+import { getCSSVariables } from './tokenUtils.js';
+
+export const NO_BROWSER_REFS_IN_TOOLKIT_RULE =
+  'stylelint-plugin-mozilla/no-browser-refs-in-toolkit';
+
+/**
+ * @typedef {object} BrowserRef
+ * @property {'url'|'variable'} kind - Whether a browser URL or a variable
+ * defined in a browser stylesheet is referenced.
+ * @property {string} value - The URL or variable name.
+ * @property {string} [source] - Repo-relative path of the stylesheet defining
+ * the variable, for variables.
+ * @property {string} where - The at-rule or property the reference is in,
+ * e.g. "@import" or "background-image".
+ * @property {number} line - Line of the at-rule or declaration.
+ * @property {number} column - Column of the at-rule or declaration.
+ * @property {string} message - Why the reference isn't allowed.
+ */
+
+/**
+ * Returns a path relative to the repo root.
+ *
+ * @param {string} filePath - Absolute path.
+ * @returns {string}
+ */
+function getRepoRelativePath(filePath) {
+  return path.relative(config.repoPath, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Returns true if a file is part of toolkit, whose styles must also work
+ * outside Desktop Firefox.
+ *
+ * @param {string} filePath - Absolute path of the file.
+ * @returns {boolean}
+ */
+export function isToolkitFile(filePath) {
+  return getRepoRelativePath(filePath).startsWith('toolkit/');
+}
+
+/**
+ * Returns true if a URL points at Desktop Firefox resources.
+ *
+ * Copied from `isBrowserUrl` in the vendored
+ * `rules/no-browser-refs-in-toolkit.mjs`, which doesn't export it, so keep
+ * the two in sync when the vendored copy is updated. A test compares them
+ * through stylelint.
+ *
+ * @param {string} url - A URL, e.g. "chrome://browser/skin/foo.svg".
+ * @returns {boolean}
+ */
+export function isBrowserUrl(url) {
+  return (
+    url.startsWith('chrome://browser') ||
+    url.startsWith('resource:///') ||
+    url.startsWith('resource://app/') ||
+    /moz-src:\/\/\w*\/browser\//.test(url)
+  );
+}
+
+/**
+ * Builds the message for a browser URL, worded as the stylelint rule does.
+ *
+ * @param {string} url - The browser URL.
+ * @returns {string}
+ */
+function getUrlMessage(url) {
+  return `${url} is part of Desktop Firefox and cannot be used by this code (which has to also work elsewhere).`;
+}
+
+/**
+ * Finds references to Desktop Firefox from a toolkit stylesheet.
+ *
+ * Mirrors the no-browser-refs-in-toolkit rule, which flags `@import`s of
+ * browser URLs and browser URLs in declaration values. Variables the file
+ * uses directly that are only defined in `browser/` stylesheets, whether
+ * they're reached via `externalVarMapping`, `@import` or the repo-wide
+ * variable index, are flagged too, as the rule can't see those.
+ *
+ * References in content pulled in with `%include`, or excluded with a
+ * stylelint directive for the rule, aren't reported.
+ *
+ * @param {import('postcss').Root} root - Parsed CSS AST.
+ * @param {object} [options]
+ * @param {object} [options.foundVariables] - Variables available to the file.
+ * @param {object|null} [options.varIndex] - Repo-wide variable index.
+ * @returns {BrowserRef[]} - References in source order.
+ */
+export function findBrowserRefs(
+  root,
+  { foundVariables = {}, varIndex = null } = {},
+) {
+  const refs = [];
+  const getExclusion = getStylelintExclusions(
+    root,
+    NO_BROWSER_REFS_IN_TOOLKIT_RULE,
+  );
+  const isReportable = (node) =>
+    node.source?.start &&
+    !node.source.preprocessor?.included &&
+    !getExclusion(node);
+  const getLocation = (node) => ({
+    line: node.source.start.line,
+    column: node.source.start.column,
+  });
+
+  root.walk((node) => {
+    if (node.type === 'atrule' && node.name === 'import') {
+      const url = extractUrlFromNode(valueParser(node.params).nodes[0]);
+      if (url && isBrowserUrl(url) && isReportable(node)) {
+        refs.push({
+          kind: 'url',
+          value: url,
+          where: '@import',
+          ...getLocation(node),
+          message: getUrlMessage(url),
+        });
+      }
+      return;
+    }
+
+    if (node.type !== 'decl' || !isReportable(node)) {
+      return;
+    }
+
+    for (const valueNode of valueParser(node.value).nodes) {
+      const url = extractUrlFromNode(valueNode);
+      if (url && isBrowserUrl(url)) {
+        refs.push({
+          kind: 'url',
+          value: url,
+          where: node.prop,
+          ...getLocation(node),
+          message: getUrlMessage(url),
+        });
+      }
+    }
+
+    for (const name of new Set(getCSSVariables(node.value))) {
+      const src = (foundVariables[name] ?? varIndex?.[name])?.src;
+      const source = src && getRepoRelativePath(src);
+      if (source?.startsWith('browser/')) {
+        refs.push({
+          kind: 'variable',
+          value: name,
+          source,
+          where: node.prop,
+          ...getLocation(node),
+          message: `${name} is defined in ${source}, which is part of Desktop Firefox.`,
+        });
+      }
+    }
+  });
+
+  return refs;
+}
@@ -0,0 +1,152 @@
+import postcss from 'postcss';
+import stylelint from 'stylelint';
+import config from '../../config.js';
+import plugins from '../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/index.mjs';
+import {
+  NO_BROWSER_REFS_IN_TOOLKIT_RULE,
+  findBrowserRefs,
+  isBrowserUrl,
+  isToolkitFile,
+} from './browserRefs.js';
+
+const originalConfig = { ...config };
+
+beforeAll(() => {
+  Object.assign(config, { repoPath: '/project' });
+});
+
+afterAll(() => {
+  Object.assign(config, originalConfig);
+});
+
+describe('isBrowserUrl', () => {
+  test.each([
+    ['chrome://browser/skin/icon.svg', true],
+    ['resource:///modules/foo.css', true],
+    ['resource://app/foo.css', true],
+    ['moz-src:///browser/components/foo.css', true],
+    ['chrome://global/skin/icon.svg', false],
+    ['resource://gre/foo.css', false],
+    ['moz-src:///toolkit/content/foo.css', false],
+  ])('%s is %s', (url, expected) => {
+    expect(isBrowserUrl(url)).toBe(expected);
+  });
+});
+
+describe('isToolkitFile', () => {
+  test('checks whether a file is under toolkit/', () => {
+    expect(isToolkitFile('/project/toolkit/themes/a.css')).toBe(true);
+    expect(isToolkitFile('/project/browser/themes/a.css')).toBe(false);
+  });
+});
+
+describe('findBrowserRefs', () => {
+  test('finds browser URLs in imports and declarations', () => {
+    const root = postcss.parse(
+      [
+        '@import url("chrome://browser/skin/browser-shared.css");',
+        '@import "chrome://global/skin/global.css";',
+        '.a {',
+        '  background-image: url(chrome://browser/skin/icon.svg);',
+        '  list-style-image: url("chrome://global/skin/icon.svg");',
+        '}',
+      ].join('\n'),
+    );
+
+    expect(findBrowserRefs(root)).toEqual([
+      {
+        kind: 'url',
+        value: 'chrome://browser/skin/browser-shared.css',
+        where: '@import',
+        line: 1,
+        column: 1,
+        message:
+          'chrome://browser/skin/browser-shared.css is part of Desktop Firefox and cannot be used by this code (which has to also work elsewhere).',
+      },
+      expect.objectContaining({
+        kind: 'url',
+        value: 'chrome://browser/skin/icon.svg',
+        where: 'background-image',
+        line: 4,
+      }),
+    ]);
+  });
+
+  test('flags the same URLs as the vendored rule', async () => {
+    const urls = [
+      'chrome://browser/skin/icon.svg',
+      'chrome://browser-other/content/a.css',
+      'resource:///modules/foo.css',
+      'resource://app/foo.css',
+      'moz-src:///browser/components/foo.css',
+      'moz-src://app/browser/foo.css',
+      'chrome://global/skin/icon.svg',
+      'resource://gre/foo.css',
+      'moz-src:///toolkit/content/foo.css',
+    ];
+    const code = urls
+      .flatMap((url) => [
+        `@import "${url}";`,
+        `@import url(${url});`,
+        `.a { background-image: url("${url}"); }`,
+      ])
+      .join('\n');
+
+    const {
+      results: [{ warnings }],
+    } = await stylelint.lint({
+      code,
+      config: { plugins, rules: { [NO_BROWSER_REFS_IN_TOOLKIT_RULE]: true } },
+    });
+
+    expect(warnings.length).toBeGreaterThan(0);
+    expect(
+      findBrowserRefs(postcss.parse(code)).map(({ line }) => line),
+    ).toEqual(warnings.map(({ line }) => line).sort((a, b) => a - b));
+  });
+
+  test('finds variables defined in browser stylesheets', () => {
+    const root = postcss.parse(
+      '.a {\n  color: var(--toolbar-color);\n  fill: var(--local);\n}',
+    );
+    const foundVariables = {
+      '--toolbar-color': {
+        value: 'red',
+        src: '/project/browser/themes/shared/browser-colors.css',
+      },
+    };
+    const varIndex = {
+      '--local': { value: 'blue', src: '/project/toolkit/themes/a.css' },
+    };
+
+    expect(findBrowserRefs(root, { foundVariables, varIndex })).toEqual([
+      {
+        kind: 'variable',
+        value: '--toolbar-color',
+        source: 'browser/themes/shared/browser-colors.css',
+        where: 'color',
+        line: 2,
+        column: 3,
+        message:
+          '--toolbar-color is defined in browser/themes/shared/browser-colors.css, which is part of Desktop Firefox.',
+      },
+    ]);
+  });
+
+  test('skips references excluded with a stylelint directive for the rule', () => {
+    const root = postcss.parse(
+      [
+        '.a {',
+        '  /* stylelint-disable-next-line stylelint-plugin-mozilla/no-browser-refs-in-toolkit */',
+        '  background-image: url(chrome://browser/skin/a.svg);',
+        '  /* stylelint-disable-next-line stylelint-plugin-mozilla/use-design-tokens */',
+        '  background-image: url(chrome://browser/skin/b.svg);',
+        '}',
+      ].join('\n'),
+    );
+
+    expect(findBrowserRefs(root).map(({ value }) => value)).toEqual([
+      'chrome://browser/skin/b.svg',
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+import { memoize } from './memoize.js';
+import { propertyConfig } from '../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/config.mjs';
+
+/**
+ * The token categories propagation is broken down by, in the order they're
+ * shown.
+ */
+export const CATEGORIES = [
+  'color',
+  'space',
+  'size',
+  'border',
+  'opacity',
+  'font',
+];
+
+/**
+ * The category of each token type in `tokensTable`. Box shadows and
+ * uncategorized tokens aren't in any.
+ */
+const TOKEN_TYPE_CATEGORIES = {
+  'background-color': 'color',
+  'border-color': 'color',
+  color: 'color',
+  'icon-color': 'color',
+  'outline-color': 'color',
+  'text-color': 'color',
+  space: 'space',
+  dimension: 'size',
+  'icon-size': 'size',
+  size: 'size',
+  border: 'border',
+  'border-radius': 'border',
+  'border-width': 'border',
+  outline: 'border',
+  'outline-offset': 'border',
+  'outline-width': 'border',
+  opacity: 'opacity',
+  'font-size': 'font',
+  'font-weight': 'font',
+};
+
+/**
+ * Returns the token categories a property takes tokens from, based on the
+ * value types it accepts in the stylelint config. Each value type's first
+ * token type is its own, the others are shorthand tokens it also accepts,
+ * e.g. `--focus-outline` for `outline-color`. So `border-color` is a color
+ * property, while the `border` shorthand is both a color and a border one.
+ *
+ * @param {string} prop - The CSS property, e.g. "border".
+ * @returns {string[]} - Categories, in `CATEGORIES` order.
+ *
+ * @private
+ */
+function __getPropertyCategories(prop) {
+  const categories = new Set(
+    (propertyConfig[prop]?.validTypes ?? []).map(
+      (valueType) => TOKEN_TYPE_CATEGORIES[valueType.tokenTypes?.[0]],
+    ),
+  );
+  return CATEGORIES.filter((category) => categories.has(category));
+}
+
+export const getPropertyCategories = memoize(__getPropertyCategories);
+
+/**
+ * Sorts category keys in `CATEGORIES` order.
+ *
+ * @param {string[]} categories - Category names.
+ * @returns {string[]} - A new, sorted array.
+ */
+export function sortCategories(categories) {
+  return [...categories].sort(
+    (a, b) => CATEGORIES.indexOf(a) - CATEGORIES.indexOf(b),
+  );
+}
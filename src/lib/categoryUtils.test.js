@@ -0,0 +1,39 @@
+import {
+  CATEGORIES,
+  getPropertyCategories,
+  sortCategories,
+} from './categoryUtils.js';
+
+describe('getPropertyCategories', () => {
+  test('maps properties to the category of the tokens they take', () => {
+    expect(getPropertyCategories('background-color')).toEqual(['color']);
+    expect(getPropertyCategories('border-color')).toEqual(['color']);
+    expect(getPropertyCategories('padding-inline')).toEqual(['space']);
+    expect(getPropertyCategories('min-width')).toEqual(['size']);
+    expect(getPropertyCategories('border-radius')).toEqual(['border']);
+    expect(getPropertyCategories('outline-width')).toEqual(['border']);
+    expect(getPropertyCategories('opacity')).toEqual(['opacity']);
+    expect(getPropertyCategories('font-weight')).toEqual(['font']);
+  });
+
+  test('returns every category of shorthands that take more than one', () => {
+    expect(getPropertyCategories('border')).toEqual(['color', 'border']);
+    expect(getPropertyCategories('inset')).toEqual(['space', 'size']);
+  });
+
+  test('returns no categories for other properties', () => {
+    expect(getPropertyCategories('box-shadow')).toEqual([]);
+    expect(getPropertyCategories('display')).toEqual([]);
+  });
+});
+
+describe('sortCategories', () => {
+  test('sorts categories in display order', () => {
+    expect(sortCategories(['font', 'color', 'border'])).toEqual([
+      'color',
+      'border',
+      'font',
+    ]);
+    expect(sortCategories([...CATEGORIES].reverse())).toEqual(CATEGORIES);
+  });
+});
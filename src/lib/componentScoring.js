@@ -0,0 +1,100 @@
+import valueParser from 'postcss-value-parser';
+import { analyzeTrace, traceResolution } from './resolutionUtils.js';
+
+/**
+ * @typedef {object} ComponentScore
+ * @property {Array<{ value: string, status: 'token'|'ignored'|'literal' }>} components
+ * The components of the value, in order.
+ * @property {number} tokenCount - Components using a valid design token.
+ * @property {number} literalCount - Components with a value that should be a token.
+ * @property {number} ignoredCount - Components with a keyword or unit that gets
+ * a free pass, e.g. `solid` or `0`.
+ * @property {number|null} score - Share of the counted (token and literal)
+ * components that use a token, from 0 to 1, or null if none are counted.
+ */
+
+/**
+ * Splits a value into its top-level components, i.e. the parts separated by
+ * spaces, commas or slashes. Functions such as `var()` or `calc()` are kept
+ * whole.
+ *
+ * @param {string} value - A CSS value, e.g. "1px solid var(--border-color)".
+ * @returns {string[]} - e.g. `['1px', 'solid', 'var(--border-color)']`.
+ */
+export function splitValueComponents(value) {
+  return valueParser(value)
+    .nodes.filter((node) => node.type !== 'space' && node.type !== 'div')
+    .map((node) => valueParser.stringify(node));
+}
+
+/**
+ * Scores each component of a declaration's value separately, so progress on
+ * shorthands and multi-value declarations shows up before every part of them
+ * is tokenized.
+ *
+ * Each component is resolved and checked in the same way as a whole
+ * declaration: it's a token when it resolves to a valid value containing a
+ * design token, ignored when it's a valid value without one, and a literal
+ * otherwise.
+ *
+ * @param {object} decl - A declaration from `collectDeclarations`.
+ * @param {object} foundVariables - Known variables available for resolution.
+ * @param {object|null} [varIndex] - Repo-wide variable index used as a resolution fallback.
+ * @returns {ComponentScore}
+ */
+export function scoreDeclarationComponents(
+  decl,
+  foundVariables,
+  varIndex = null,
+) {
+  const components = splitValueComponents(decl.value).map((value) => {
+    const { trace } = traceResolution(value, foundVariables, varIndex);
+    const { containsValidDesignToken, isValidPropertyValue } = analyzeTrace(
+      trace,
+      decl,
+    );
+
+    let status = 'literal';
+    if (isValidPropertyValue) {
+      status = containsValidDesignToken ? 'token' : 'ignored';
+    }
+    return { value, status };
+  });
+
+  const count = (status) =>
+    components.filter((component) => component.status === status).length;
+  const tokenCount = count('token');
+  const literalCount = count('literal');
+  const countedCount = tokenCount + literalCount;
+
+  return {
+    components,
+    tokenCount,
+    literalCount,
+    ignoredCount: count('ignored'),
+    score: countedCount ? +(tokenCount / countedCount).toFixed(4) : null,
+  };
+}
+
+/**
+ * Totals the component scores of a file's declarations. Declarations whose
+ * values are ignored as a whole aren't counted, as with declaration scoring.
+ *
+ * @param {Array<{ componentScore?: ComponentScore }>} declarations - Declarations
+ * scored with `scoreDeclarationComponents`, with ignored ones left unscored.
+ * @returns {{ componentTokenCount: number, componentCount: number }} - Token
+ * components and counted (token and literal) components.
+ */
+export function computeComponentSummary(declarations) {
+  let componentTokenCount = 0;
+  let componentCount = 0;
+
+  for (const { componentScore } of declarations) {
+    if (componentScore) {
+      componentTokenCount += componentScore.tokenCount;
+      componentCount += componentScore.tokenCount + componentScore.literalCount;
+    }
+  }
+
+  return { componentTokenCount, componentCount };
+}
@@ -0,0 +1,59 @@
+import {
+  computeComponentSummary,
+  scoreDeclarationComponents,
+  splitValueComponents,
+} from './componentScoring.js';
+
+describe('splitValueComponents', () => {
+  test('splits values on spaces, commas and slashes', () => {
+    expect(splitValueComponents('1px solid var(--border-color)')).toEqual([
+      '1px',
+      'solid',
+      'var(--border-color)',
+    ]);
+    expect(
+      splitValueComponents('calc(var(--space-small) * 2) / 4px, 0'),
+    ).toEqual(['calc(var(--space-small) * 2)', '4px', '0']);
+  });
+});
+
+describe('scoreDeclarationComponents', () => {
+  test('scores each component, resolving local vars', () => {
+    const decl = {
+      prop: 'border',
+      value: '1px solid var(--local-color)',
+      localCustomProperties: {},
+    };
+    const foundVariables = { '--local-color': { value: '#fff' } };
+
+    expect(scoreDeclarationComponents(decl, foundVariables)).toEqual({
+      components: [
+        { value: '1px', status: 'ignored' },
+        { value: 'solid', status: 'ignored' },
+        { value: 'var(--local-color)', status: 'literal' },
+      ],
+      tokenCount: 0,
+      literalCount: 1,
+      ignoredCount: 2,
+      score: 0,
+    });
+  });
+
+  test('has no score when every component is ignored', () => {
+    const decl = { prop: 'margin', value: '0 auto', localCustomProperties: {} };
+
+    expect(scoreDeclarationComponents(decl, {}).score).toBeNull();
+  });
+});
+
+describe('computeComponentSummary', () => {
+  test('totals token and counted components of scored declarations', () => {
+    expect(
+      computeComponentSummary([
+        { componentScore: { tokenCount: 2, literalCount: 1 } },
+        {},
+        { componentScore: { tokenCount: 0, literalCount: 0 } },
+      ]),
+    ).toEqual({ componentTokenCount: 2, componentCount: 3 });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Media features that get a context of their own, so that e.g. forced-colors
+ * styling can be tracked separately from default styling.
+ */
+export const TRACKED_MEDIA_FEATURES = [
+  'forced-colors',
+  'prefers-contrast',
+  'prefers-color-scheme',
+  'prefers-reduced-motion',
+  '-moz-platform',
+];
+
+// Feature values that are equivalent to the boolean form, e.g. `(forced-colors: active)`
+// is the same as `(forced-colors)`.
+const BOOLEAN_FEATURE_VALUES = {
+  'forced-colors': 'active',
+};
+
+export const DEFAULT_CONTEXT = 'default';
+
+/**
+ * Returns the tracked media features within a media or container query.
+ *
+ * @param {string} params - The at-rule params, e.g. "(prefers-color-scheme: dark)".
+ * @returns {string[]} - Tags such as "forced-colors" or "prefers-color-scheme: dark".
+ */
+function getMediaFeatureTags(params) {
+  const tags = [];
+  const featureRegex = /\(\s*([-a-z]+)\s*(?::\s*([^)]+?))?\s*\)/gi;
+
+  for (const [, rawFeature, rawValue] of params.matchAll(featureRegex)) {
+    const feature = rawFeature.toLowerCase();
+    if (!TRACKED_MEDIA_FEATURES.includes(feature)) {
+      continue;
+    }
+
+    const value = rawValue?.toLowerCase();
+    tags.push(
+      value && value !== BOOLEAN_FEATURE_VALUES[feature]
+        ? `${feature}: ${value}`
+        : feature,
+    );
+  }
+
+  return tags;
+}
+
+/**
+ * Derives the context tags for a declaration from its enclosing at-rules.
+ *
+ * Tracked media features (see `TRACKED_MEDIA_FEATURES`) become tags of their
+ * own, e.g. "forced-colors" or "prefers-color-scheme: dark". Named layers keep
+ * their name, and any other at-rule is tagged by its name, e.g. "@supports".
+ * Preprocessor conditions are tagged as they are, e.g. "%ifdef XP_MACOSX".
+ * Declarations outside any at-rule are tagged "default".
+ *
+ * @param {string[]} atRules - Enclosing at-rules, e.g. `['@media (forced-colors)']`,
+ * optionally preceded by preprocessor conditions.
+ * @returns {string[]} - Unique context tags, in the order they were found.
+ */
+export function getContextTags(atRules = []) {
+  const tags = [];
+
+  for (const atRule of atRules) {
+    if (atRule.startsWith('%')) {
+      tags.push(atRule);
+      continue;
+    }
+
+    const [, name, params = ''] = atRule.match(/^@([-\w]+)\s*(.*)$/) || [];
+    if (!name) {
+      continue;
+    }
+
+    if (name === 'media' || name === 'container') {
+      const featureTags = getMediaFeatureTags(params);
+      tags.push(...(featureTags.length ? featureTags : [`@${name}`]));
+    } else if (name === 'layer' && params) {
+      tags.push(`@layer ${params}`);
+    } else {
+      tags.push(`@${name}`);
+    }
+  }
+
+  return tags.length ? [...new Set(tags)] : [DEFAULT_CONTEXT];
+}
+
+/**
+ * Sorts context keys with the default context first, then alphabetically.
+ *
+ * @param {string[]} contexts - Context tags.
+ * @returns {string[]} - A new, sorted array.
+ */
+export function sortContexts(contexts) {
+  return [...contexts].sort((a, b) => {
+    if (a === DEFAULT_CONTEXT || b === DEFAULT_CONTEXT) {
+      return a === DEFAULT_CONTEXT ? -1 : 1;
+    }
+    return a.localeCompare(b);
+  });
+}
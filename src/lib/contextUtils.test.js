@@ -0,0 +1,58 @@
+import { getContextTags, sortContexts } from './contextUtils.js';
+
+describe('getContextTags', () => {
+  test('returns the default context when there are no at-rules', () => {
+    expect(getContextTags([])).toEqual(['default']);
+  });
+
+  test('tags tracked media features', () => {
+    expect(getContextTags(['@media (forced-colors: active)'])).toEqual([
+      'forced-colors',
+    ]);
+    expect(getContextTags(['@media (forced-colors)'])).toEqual([
+      'forced-colors',
+    ]);
+    expect(
+      getContextTags([
+        '@media (prefers-color-scheme: dark) and (prefers-contrast)',
+      ]),
+    ).toEqual(['prefers-color-scheme: dark', 'prefers-contrast']);
+  });
+
+  test('falls back to the at-rule name for other at-rules', () => {
+    expect(
+      getContextTags([
+        '@media (max-width: 600px)',
+        '@supports (display: grid)',
+        '@layer base',
+        '@container sidebar (min-width: 400px)',
+        '@scope (.card)',
+      ]),
+    ).toEqual(['@media', '@supports', '@layer base', '@container', '@scope']);
+  });
+
+  test('keeps preprocessor conditions as they are', () => {
+    expect(
+      getContextTags(['%ifdef XP_MACOSX', '@media (forced-colors)']),
+    ).toEqual(['%ifdef XP_MACOSX', 'forced-colors']);
+  });
+
+  test('dedupes tags from nested at-rules', () => {
+    expect(
+      getContextTags([
+        '@media (forced-colors)',
+        '@media (forced-colors: active)',
+      ]),
+    ).toEqual(['forced-colors']);
+  });
+});
+
+describe('sortContexts', () => {
+  test('puts the default context first', () => {
+    expect(sortContexts(['forced-colors', '@layer a', 'default'])).toEqual([
+      'default',
+      '@layer a',
+      'forced-colors',
+    ]);
+  });
+});
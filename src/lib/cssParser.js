@@ -1,12 +1,93 @@
 import fs from 'node:fs/promises';
 import postcss from 'postcss';
 
+import { getStylesheetSource } from './embeddedCss.js';
+import {
+  isPreprocessed,
+  mapPreprocessedPositions,
+  preprocess,
+} from './preprocessor.js';
+
 /**
- * Reads a CSS file and returns a PostCSS root node.
- * @param {string} filePath - Absolute path to the CSS file.
+ * Parses the content of a file into a PostCSS root node.
+ *
+ * Styles embedded in JS modules and markup are extracted first, keeping their
+ * positions in the file, see `getStylesheetSource`. Stylesheets using the
+ * Firefox build preprocessor are run through `preprocess`, and node positions
+ * are mapped back to the lines of the file, see `mapPreprocessedPositions`.
+ *
+ * @param {string} source - The file's content.
+ * @param {string} filePath - Absolute path to the CSS file, or a file that embeds CSS.
+ * @param {object} [options]
+ * @param {(css: string, opts?: object) => import('postcss').Root} [options.parse] - Parser to use instead of postcss's own.
  * @returns {Promise<import('postcss').Root>}
  */
-export async function parseCSS(filePath) {
-  const css = await fs.readFile(filePath, 'utf8');
-  return postcss.parse(css);
+export async function parseSource(
+  source,
+  filePath,
+  { parse = postcss.parse } = {},
+) {
+  const css = getStylesheetSource(source, filePath);
+  if (!isPreprocessed(css)) {
+    return parse(css);
+  }
+
+  const { css: preprocessed, lineMap } = await preprocess(css, filePath);
+  return mapPreprocessedPositions(parse(preprocessed), lineMap, source);
+}
+
+/**
+ * Reads a CSS file and returns a PostCSS root node, see `parseSource`.
+ *
+ * @param {string} filePath - Absolute path to the CSS file, or a file that embeds CSS.
+ * @param {object} [options]
+ * @param {(css: string, opts?: object) => import('postcss').Root} [options.parse] - Parser to use instead of postcss's own.
+ * @returns {Promise<import('postcss').Root>}
+ */
+export async function parseCSS(filePath, { parse } = {}) {
+  const source = await fs.readFile(filePath, 'utf8');
+  return parseSource(source, filePath, { parse });
+}
+
+/**
+ * Returns the selector and at-rule context a node is declared in.
+ *
+ * The selector is that of the nearest enclosing rule. At-rules are listed
+ * outermost first, e.g. `['@media (prefers-contrast)', '@layer base']`.
+ * Nodes inside preprocessor conditionals also get the `conditions` they
+ * depend on, e.g. `['%ifdef XP_MACOSX']`.
+ *
+ * @param {import('postcss').Node} node - A PostCSS node.
+ * @returns {{ selector: string|null, atRules: string[], conditions?: string[] }}
+ */
+export function getNodeContext(node) {
+  let selector = null;
+  const atRules = [];
+
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'rule' && selector === null) {
+      selector = parent.selector;
+    } else if (parent.type === 'atrule') {
+      atRules.unshift(`@${parent.name} ${parent.params}`.trim());
+    }
+  }
+
+  const conditions = node.source?.preprocessor?.conditions ?? [];
+  return conditions.length
+    ? { selector, atRules, conditions }
+    : { selector, atRules };
+}
+
+/**
+ * Formats a node context as a single human readable label.
+ *
+ * @param {{ selector?: string|null, atRules?: string[], conditions?: string[] }} [context] - A context from `getNodeContext`.
+ * @returns {string} - e.g. "@media (prefers-contrast) :host".
+ */
+export function formatNodeContext({
+  selector = null,
+  atRules = [],
+  conditions = [],
+} = {}) {
+  return [...conditions, ...atRules, selector].filter(Boolean).join(' ');
 }
@@ -0,0 +1,245 @@
+import path from 'path';
+
+/**
+ * Shiki languages for the file types CSS is extracted from. Anything else is
+ * treated as a stylesheet.
+ */
+const SOURCE_LANGUAGES = {
+  '.mjs': 'javascript',
+  '.html': 'html',
+  '.xhtml': 'html',
+};
+
+/**
+ * Returns the Shiki language to highlight a file with.
+ *
+ * @param {string} filePath - Path of the file.
+ * @returns {string} - e.g. "css" or "javascript".
+ */
+export function getSourceLanguage(filePath) {
+  return SOURCE_LANGUAGES[path.extname(filePath).toLowerCase()] ?? 'css';
+}
+
+/**
+ * Returns true if styles are extracted from the file rather than it being a
+ * stylesheet.
+ *
+ * @param {string} filePath - Path of the file.
+ * @returns {boolean}
+ */
+export function isEmbeddedCssFile(filePath) {
+  return getSourceLanguage(filePath) !== 'css';
+}
+
+/**
+ * Skips over a quoted JS string.
+ *
+ * @param {string} source - The source.
+ * @param {number} index - Index of the opening quote.
+ * @returns {number} - Index of the closing quote.
+ */
+function skipString(source, index) {
+  const quote = source[index];
+  let i = index + 1;
+  while (i < source.length && source[i] !== quote && source[i] !== '\n') {
+    i += source[i] === '\\' ? 2 : 1;
+  }
+  return i;
+}
+
+/**
+ * Finds the end of a template literal and the `${}` expressions in it.
+ *
+ * @param {string} source - The source.
+ * @param {number} index - Index just past the opening backtick.
+ * @returns {{ end: number, expressions: Array<{ start: number, end: number }> }|null}
+ * The index of the closing backtick and the ranges of the expressions, or null
+ * if the template isn't closed.
+ */
+function scanTemplate(source, index) {
+  const expressions = [];
+  let i = index;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\\') {
+      i += 2;
+    } else if (char === '`') {
+      return { end: i, expressions };
+    } else if (char === '$' && source[i + 1] === '{') {
+      const end = scanExpression(source, i + 2);
+      if (end === null) {
+        return null;
+      }
+      expressions.push({ start: i, end: end + 1 });
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the closing brace of a `${}` expression, skipping nested braces,
+ * strings and templates.
+ *
+ * @param {string} source - The source.
+ * @param {number} index - Index just past the `${`.
+ * @returns {number|null} - Index of the closing brace, or null if there isn't one.
+ */
+function scanExpression(source, index) {
+  let depth = 0;
+  let i = index;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === "'" || char === '"') {
+      i = skipString(source, i);
+    } else if (char === '`') {
+      const template = scanTemplate(source, i + 1);
+      if (!template) {
+        return null;
+      }
+      i = template.end;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      if (depth === 0) {
+        return i;
+      }
+      depth--;
+    }
+    i++;
+  }
+
+  return null;
+}
+
+/**
+ * @typedef {object} CssBlock
+ * @property {number} start - Offset of the first character of CSS.
+ * @property {number} end - Offset just past the last character of CSS.
+ * @property {Array<{ start: number, end: number }>} gaps - Ranges within the
+ * block that aren't CSS, e.g. template expressions or CDATA markers.
+ */
+
+/**
+ * Finds the contents of Lit `css` tagged templates.
+ *
+ * @param {string} source - JS source.
+ * @returns {CssBlock[]}
+ */
+export function findLitCssBlocks(source) {
+  const blocks = [];
+  const tagPattern = /\bcss\s*`/g;
+
+  let match;
+  while ((match = tagPattern.exec(source))) {
+    const start = match.index + match[0].length;
+    const template = scanTemplate(source, start);
+    if (!template) {
+      break;
+    }
+    blocks.push({ start, end: template.end, gaps: template.expressions });
+    tagPattern.lastIndex = template.end + 1;
+  }
+
+  return blocks;
+}
+
+/**
+ * Finds the contents of `<style>` elements, treating CDATA sections and
+ * comment markers wrapping the styles as gaps.
+ *
+ * @param {string} source - HTML or XHTML source.
+ * @returns {CssBlock[]}
+ */
+export function findStyleElementBlocks(source) {
+  const blocks = [];
+  const stylePattern = /<((?:html:)?style)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi;
+
+  let match;
+  while ((match = stylePattern.exec(source))) {
+    const start = match.index + match[0].indexOf('>') + 1;
+    const end = start + match[2].length;
+    const gaps = [];
+    const markerPattern = /<!\[CDATA\[|\]\]>|<!--|-->/g;
+    let marker;
+    while ((marker = markerPattern.exec(match[2]))) {
+      gaps.push({
+        start: start + marker.index,
+        end: start + marker.index + marker[0].length,
+      });
+    }
+    blocks.push({ start, end, gaps });
+  }
+
+  return blocks;
+}
+
+/**
+ * Finds the CSS blocks in a file that embeds styles.
+ *
+ * @param {string} source - The file's content.
+ * @param {string} filePath - Path of the file, used to pick the extractor.
+ * @returns {CssBlock[]}
+ */
+export function findCssBlocks(source, filePath) {
+  switch (getSourceLanguage(filePath)) {
+    case 'javascript':
+      return findLitCssBlocks(source);
+    case 'html':
+      return findStyleElementBlocks(source);
+    default:
+      return [{ start: 0, end: source.length, gaps: [] }];
+  }
+}
+
+/**
+ * Replaces a range of text with spaces, keeping line breaks.
+ *
+ * @param {string} text - The text to blank.
+ * @returns {string}
+ */
+function blank(text) {
+  return text.replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * Returns the CSS to parse for a file.
+ *
+ * Stylesheets are returned as they are. For files that embed styles,
+ * everything outside the style blocks, and any gaps in them such as template
+ * expressions, is blanked out with spaces, keeping line breaks. The result is
+ * as long as the source and every line and column in it is the same as in the
+ * source, so positions postcss reports can be used on the original file as
+ * they are.
+ *
+ * @param {string} source - The file's content.
+ * @param {string} filePath - Path of the file.
+ * @returns {string}
+ */
+export function getStylesheetSource(source, filePath) {
+  if (!isEmbeddedCssFile(filePath)) {
+    return source;
+  }
+
+  let css = '';
+  let lastIndex = 0;
+  for (const { start, end, gaps } of findCssBlocks(source, filePath)) {
+    css += blank(source.slice(lastIndex, start));
+    let index = start;
+    for (const gap of gaps) {
+      css +=
+        source.slice(index, gap.start) +
+        blank(source.slice(gap.start, gap.end));
+      index = gap.end;
+    }
+    css += source.slice(index, end);
+    lastIndex = end;
+  }
+
+  return css + blank(source.slice(lastIndex));
+}
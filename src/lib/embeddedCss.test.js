@@ -0,0 +1,146 @@
+import postcss from 'postcss';
+import {
+  findLitCssBlocks,
+  findStyleElementBlocks,
+  getSourceLanguage,
+  getStylesheetSource,
+  isEmbeddedCssFile,
+} from './embeddedCss.js';
+
+/**
+ * Parses the CSS extracted from a file and returns its declarations.
+ * @param {string} source - The file's content.
+ * @param {string} filePath - Path of the file.
+ * @returns {Array<{ prop: string, value: string, line: number, column: number, offset: number }>}
+ */
+function getDeclarations(source, filePath) {
+  const declarations = [];
+  postcss.parse(getStylesheetSource(source, filePath)).walkDecls((decl) => {
+    declarations.push({
+      prop: decl.prop,
+      value: decl.value,
+      line: decl.source.start.line,
+      column: decl.source.start.column,
+      offset: decl.source.start.offset,
+    });
+  });
+  return declarations;
+}
+
+describe('getSourceLanguage', () => {
+  test('maps file extensions to languages', () => {
+    expect(getSourceLanguage('/a/b.css')).toBe('css');
+    expect(getSourceLanguage('/a/b.mjs')).toBe('javascript');
+    expect(getSourceLanguage('/a/b.html')).toBe('html');
+    expect(getSourceLanguage('/a/b.XHTML')).toBe('html');
+    expect(isEmbeddedCssFile('/a/b.css')).toBe(false);
+    expect(isEmbeddedCssFile('/a/b.mjs')).toBe(true);
+  });
+});
+
+describe('findLitCssBlocks', () => {
+  test('finds css templates and the expressions in them', () => {
+    const source = [
+      'const a = css`.a { color: red; }`;',
+      'const b = html`<p>${x}</p>`;',
+      'const c = css`',
+      '  .c { padding: ${`${size}px`} ${{ a: 1 }.a}; }',
+      '`;',
+    ].join('\n');
+
+    const blocks = findLitCssBlocks(source);
+
+    expect(blocks.map(({ start, end }) => source.slice(start, end))).toEqual([
+      '.a { color: red; }',
+      '\n  .c { padding: ${`${size}px`} ${{ a: 1 }.a}; }\n',
+    ]);
+    expect(
+      blocks[1].gaps.map(({ start, end }) => source.slice(start, end)),
+    ).toEqual(['${`${size}px`}', '${{ a: 1 }.a}']);
+  });
+
+  test('ignores unterminated templates', () => {
+    expect(findLitCssBlocks('const a = css`.a { color: red; }')).toEqual([]);
+  });
+});
+
+describe('findStyleElementBlocks', () => {
+  test('finds style elements, treating CDATA markers as gaps', () => {
+    const source =
+      '<head><style media="screen"><![CDATA[ .a { color: red; } ]]></style>' +
+      '<html:style>.b { color: blue; }</html:style></head>';
+
+    const blocks = findStyleElementBlocks(source);
+
+    expect(blocks.map(({ start, end }) => source.slice(start, end))).toEqual([
+      '<![CDATA[ .a { color: red; } ]]>',
+      '.b { color: blue; }',
+    ]);
+    expect(
+      blocks[0].gaps.map(({ start, end }) => source.slice(start, end)),
+    ).toEqual(['<![CDATA[', ']]>']);
+  });
+});
+
+describe('getStylesheetSource', () => {
+  test('returns stylesheets as they are', () => {
+    const css = '.a { color: red; }';
+    expect(getStylesheetSource(css, '/a.css')).toBe(css);
+  });
+
+  test('keeps the positions of declarations in Lit components', () => {
+    const source = [
+      'import { css } from "lit";',
+      'export const styles = css`',
+      '  :host {',
+      '    color: var(--text-color);',
+      '    margin: ${unsafeCSS(margin)} 4px;',
+      '  }',
+      '`;',
+      'const notStyles = `.x { color: red; }`;',
+    ].join('\n');
+
+    const css = getStylesheetSource(source, '/widget.mjs');
+
+    expect(css).toHaveLength(source.length);
+    expect(css.split('\n')).toHaveLength(source.split('\n').length);
+    expect(getDeclarations(source, '/widget.mjs')).toEqual([
+      {
+        prop: 'color',
+        value: 'var(--text-color)',
+        line: 4,
+        column: 5,
+        offset: source.indexOf('color'),
+      },
+      {
+        prop: 'margin',
+        value: '4px',
+        line: 5,
+        column: 5,
+        offset: source.indexOf('margin'),
+      },
+    ]);
+  });
+
+  test('keeps the positions of declarations in style elements', () => {
+    const source = [
+      '<?xml version="1.0"?>',
+      '<html xmlns="http://www.w3.org/1999/xhtml">',
+      '  <style><![CDATA[',
+      '    .a { color: var(--text-color); }',
+      '  ]]></style>',
+      '  <div style="color: red">.b { color: blue; }</div>',
+      '</html>',
+    ].join('\n');
+
+    expect(getDeclarations(source, '/page.xhtml')).toEqual([
+      {
+        prop: 'color',
+        value: 'var(--text-color)',
+        line: 4,
+        column: 10,
+        offset: source.indexOf('color: var'),
+      },
+    ]);
+  });
+});
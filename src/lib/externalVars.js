@@ -1,5 +1,4 @@
-import { memoize } from './memoize.js';
-import { parseCSS } from './cssParser.js';
+import { getNodeContext, parseCSS } from './cssParser.js';
 import { isVariableDefinition } from './tokenUtils.js';
 
 /**
@@ -22,7 +21,10 @@ async function __getExternalVars(filePath) {
     if (isVariableDefinition(node.prop)) {
       cssVars[node.prop] = getVarData(node, {
         isExternal: true,
-        filePath,
+        // Variables pulled in with `%include` come from the included file.
+        filePath: node.source.preprocessor?.included
+          ? node.source.preprocessor.file
+          : filePath,
       });
     }
   });
@@ -31,12 +33,19 @@ async function __getExternalVars(filePath) {
 }
 
 /**
- * Memoized version of `__getExternalVars`, used to cache variable extraction
- * results per file path.
+ * Cached version of `__getExternalVars`. Results are cached per file path for
+ * the length of an analysis run, and shared between the files that use them.
  *
- * @type {(filePath: string) => Promise<Record<string, object>>}
+ * @param {string} filePath - The absolute path to the external CSS file.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [run] - Run whose
+ * cache to use. Without one, the file is parsed every time.
+ * @returns {Promise<Record<string, object>>}
  */
-export const getExternalVars = memoize(__getExternalVars);
+export function getExternalVars(filePath, run = null) {
+  return run
+    ? run.cached('externalVars', filePath, () => __getExternalVars(filePath))
+    : __getExternalVars(filePath);
+}
 
 /**
  * Constructs metadata for a given PostCSS CSS variable node.
@@ -44,6 +53,7 @@ export const getExternalVars = memoize(__getExternalVars);
  * This includes:
  * - The raw value
  * - Source location info (start/end)
+ * - The selector and at-rules it's defined within
  * - Whether it's external and where it came from
  *
  * @param {import('postcss').Declaration} node - The PostCSS declaration node.
@@ -58,6 +68,7 @@ export const getExternalVars = memoize(__getExternalVars);
  *   isExternal: true,
  *   start: { line: 5, column: 3 },
  *   end: { line: 5, column: 42 },
+ *   context: { selector: ':root', atRules: [] },
  *   src: '/path/to/external.css'
  * }
  */
@@ -69,6 +80,7 @@ export function getVarData(node, { isExternal = false, filePath = null } = {}) {
     isExternal,
     start: node.source.start,
     end: node.source.end,
+    context: getNodeContext(node),
   };
 
   if (isExternal && filePath) {
@@ -77,3 +89,40 @@ export function getVarData(node, { isExternal = false, filePath = null } = {}) {
 
   return data;
 }
+
+/**
+ * Builds an index of every custom property defined across a set of files.
+ *
+ * Used as an opt-in fallback when resolving variables that aren't defined
+ * locally, imported or mapped via `externalVarMapping`. Files are visited in
+ * sorted order and the first definition of a variable wins, so results are
+ * deterministic. Each entry is marked with `isInferred` and records how many
+ * files define the variable.
+ *
+ * @param {string[]} filePaths - Absolute paths of the files to index.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [run] - Run whose
+ * cache to read the files' vars through.
+ * @returns {Promise<Record<string, object>>} - Map of variable names to variable metadata.
+ */
+export async function buildVarIndex(filePaths, run = null) {
+  const varIndex = {};
+
+  for (const filePath of [...filePaths].sort()) {
+    let cssVars = {};
+    try {
+      cssVars = await getExternalVars(filePath, run);
+    } catch (e) {
+      console.log(`Unable to index vars from ${filePath}... ${e.message}`);
+    }
+
+    for (const [name, varData] of Object.entries(cssVars)) {
+      if (varIndex[name]) {
+        varIndex[name].definitionCount++;
+      } else {
+        varIndex[name] = { ...varData, isInferred: true, definitionCount: 1 };
+      }
+    }
+  }
+
+  return varIndex;
+}
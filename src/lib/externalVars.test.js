@@ -3,7 +3,7 @@ import fs from 'fs/promises';
 import { getVarData } from './externalVars.js';
 
 vi.mock('node:fs/promises');
-import { getExternalVars } from './externalVars.js';
+import { buildVarIndex, getExternalVars } from './externalVars.js';
 import config from '../../config.js';
 
 const originalConfig = { ...config };
@@ -89,3 +89,31 @@ describe('getExternalVars', () => {
     expect(result['--color-accent-primary'].src).toBe('/fake/path/tokens.css');
   });
 });
+
+describe('buildVarIndex', () => {
+  beforeEach(() => {
+    const files = {
+      '/project/b.css': ':root { --shared: 2px; --b-only: 1px; }',
+      '/project/a.css': ':root { --shared: 1px; }',
+    };
+    fs.readFile = vi.fn(async (filePath) => files[filePath]);
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  test('indexes vars across files with the first sorted definition winning', async () => {
+    const result = await buildVarIndex(['/project/b.css', '/project/a.css']);
+
+    expect(result['--shared']).toEqual(
+      expect.objectContaining({
+        value: '1px',
+        src: '/project/a.css',
+        isInferred: true,
+        definitionCount: 2,
+      }),
+    );
+    expect(result['--b-only'].src).toBe('/project/b.css');
+  });
+});
@@ -1,6 +1,18 @@
+import fs from 'node:fs/promises';
 import path from 'path';
 import { glob } from 'glob';
-import { getPropagationData } from './propagationUtils.js';
+import { getUsageFindings } from './propagationUtils.js';
+import { buildVarIndex } from './externalVars.js';
+import { findUnusedVariables } from './unusedVars.js';
+import { analyzeFiles } from './analysisPool.js';
+import { createAnalysisRun } from './analysisRun.js';
+import { findCssBlocks, isEmbeddedCssFile } from './embeddedCss.js';
+import {
+  createAnalysisCache,
+  formatCacheReport,
+  getGlobalCacheKey,
+  hashContent,
+} from './analysisCache.js';
 
 /**
  * Converts a file path to a URI-safe path (e.g., for links or JSON keys).
@@ -11,34 +23,155 @@ export function convertPathToURI(pathStr) {
   return encodeURI(pathStr.replace(/\\/g, '/'));
 }
 
+/**
+ * Returns true if a matched file has styles to analyze. Stylesheets always do,
+ * JS modules and markup only if they have style blocks.
+ *
+ * @param {string} file - Absolute path of the file.
+ * @returns {Promise<boolean>}
+ */
+async function hasStyles(file) {
+  if (!isEmbeddedCssFile(file)) {
+    return true;
+  }
+
+  try {
+    return findCssBlocks(await fs.readFile(file, 'utf8'), file).length > 0;
+  } catch {
+    // Leave unreadable files in, so the analysis reports them.
+    return true;
+  }
+}
+
 /**
  * Retrieves a flat list of CSS file objects with propagation analysis data.
+ *
+ * Files are analyzed across a pool of worker threads when `workers` is more
+ * than 1. Results are merged in glob order and every file's token usage
+ * findings are added to `run` in that order, so the output doesn't depend on
+ * the number of workers. Call `run.writeAggregates()` once the list is built.
+ *
+ * Matched `.mjs`, `.html` and `.xhtml` files are analyzed for the styles they
+ * embed, and skipped if they don't have any.
+ *
+ * Custom properties that no analyzed file uses are added to each file's
+ * propagation data as `unusedVariables`, see `findUnusedVariables`.
+ *
+ * In resilient mode files that can't be read or parsed are added to the run's
+ * errors and left out of the list, unless a tolerant parser recovered them.
+ *
  * @param {string} repoPath - Root of the project repo.
  * @param {object} [options]
  * @param {string[]} [options.includePatterns] - Glob include patterns.
  * @param {string[]} [options.ignorePatterns] - Glob ignore patterns.
+ * @param {boolean} [options.globalVarIndex] - Resolve otherwise unknown vars via an index of every matched file.
+ * @param {string|null} [options.cacheDir] - Reuse results for unchanged files from an analysis cache kept in this directory.
+ * @param {number} [options.workers] - Number of worker threads to analyze files with.
+ * @param {import('./analysisRun.js').AnalysisRun} [options.run] - Run to add token usage findings to, a new one by default.
+ * @param {boolean} [options.resilient] - Record files that can't be analyzed and carry on, rather than failing.
+ * @param {string|null} [options.tolerantParser] - Module specifier of a parser to retry syntax errors with, in resilient mode.
  * @param {Function} [options.__glob] - Glob implementation (mockable for testing).
  * @returns {Promise<object[]>} - List of file metadata + propagation info.
  */
 export async function getCssFilesList(
   repoPath,
-  { includePatterns = ['**/*.css'], ignorePatterns = [], __glob = glob } = {},
+  {
+    includePatterns = ['**/*.css'],
+    ignorePatterns = [],
+    globalVarIndex = false,
+    cacheDir = null,
+    workers = 1,
+    run = createAnalysisRun(),
+    resilient = false,
+    tolerantParser = null,
+    __glob = glob,
+  } = {},
 ) {
-  const files = await __glob(includePatterns, {
+  const files = [];
+  for (const file of await __glob(includePatterns, {
     cwd: repoPath,
     absolute: true,
     ignore: ignorePatterns,
-  });
+  })) {
+    if (await hasStyles(file)) {
+      files.push(file);
+    }
+  }
+
+  const varIndex = globalVarIndex ? await buildVarIndex(files, run) : null;
+
+  const cache = cacheDir
+    ? await createAnalysisCache({
+        cacheDir,
+        repoPath,
+        globalKey: await getGlobalCacheKey({
+          repoPath,
+          varIndexHash: varIndex ? hashContent(JSON.stringify(varIndex)) : null,
+        }),
+      })
+    : null;
+
+  const results = new Array(files.length);
+  const uncached = [];
+  for (const [index, file] of files.entries()) {
+    const propagationData = await cache?.get(file);
+    if (propagationData) {
+      results[index] = {
+        propagationData,
+        findings: getUsageFindings(propagationData.foundPropValues, file),
+      };
+    } else {
+      uncached.push(index);
+    }
+  }
+
+  const analyzed = await analyzeFiles(
+    uncached.map((index) => files[index]),
+    {
+      workers,
+      varIndex,
+      withDependencies: Boolean(cache),
+      resilient,
+      tolerantParser,
+      run,
+    },
+  );
+  for (const [i, result] of analyzed.entries()) {
+    const index = uncached[i];
+    results[index] = result;
+    // Files with errors are left out so they're reported again next time.
+    if (!result.error) {
+      await cache?.set(
+        files[index],
+        result.propagationData,
+        result.dependencies,
+      );
+    }
+  }
 
   const fileObjects = [];
 
-  for (const file of files) {
+  for (const [index, file] of files.entries()) {
     const relativePath = path.relative(repoPath, file);
     const fileURI = convertPathToURI(relativePath);
     const dirURI = convertPathToURI(path.dirname(relativePath));
     const fileName = path.basename(file);
+    const { propagationData, error } = results[index];
 
-    const propagationData = await getPropagationData(file);
+    if (error) {
+      run.addError({
+        path: relativePath,
+        fileURI,
+        message: error.message,
+        line: error.line,
+        column: error.column,
+        code: error.code,
+        recovered: error.recovered,
+      });
+    }
+    if (!propagationData) {
+      continue;
+    }
 
     fileObjects.push({
       fileName,
@@ -47,6 +180,20 @@ export async function getCssFilesList(
       dirURI,
       propagationData,
     });
+    run.addFindings(results[index].findings);
+  }
+
+  const unusedVariables = findUnusedVariables(fileObjects, { varIndex });
+  for (const file of fileObjects) {
+    if (unusedVariables.has(file.absolutePath)) {
+      file.propagationData.unusedVariables = unusedVariables.get(
+        file.absolutePath,
+      );
+    }
+  }
+
+  if (cache) {
+    console.log(formatCacheReport(await cache.finish(files)));
   }
 
   return fileObjects;
@@ -1,6 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'path';
 import { getCssFilesList, convertPathToURI } from './fileUtils.js';
+import { createAnalysisRun } from './analysisRun.js';
 
 vi.mock('node:fs/promises');
 
@@ -55,4 +56,91 @@ describe('getCssFilesList', () => {
     expect(result[1].fileName).toBe('button.css');
     expect(result[1].dirURI).toBe('components');
   });
+
+  test('adds findings to the run in file order without writing them', async () => {
+    fs.readFile.mockImplementation(async (filePath) =>
+      filePath.endsWith('a.css') ? '.a { color: red; }' : '.b { width: 1px; }',
+    );
+
+    const run = createAnalysisRun();
+    await getCssFilesList(fakeRepo, {
+      run,
+      __glob: vi.fn(() => [
+        path.join(fakeRepo, 'b.css'),
+        path.join(fakeRepo, 'a.css'),
+      ]),
+    });
+
+    expect(run.getFindings().map(({ property }) => property)).toEqual([
+      'width',
+      'color',
+    ]);
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('adds unused custom properties to the files defining them', async () => {
+    fs.readFile.mockResolvedValue(
+      ':root {\n  --used: 1px;\n  --unused: 2px;\n}\n.a { width: var(--used); }',
+    );
+
+    const [file] = await getCssFilesList(fakeRepo, {
+      __glob: vi.fn(() => [path.join(fakeRepo, 'a.css')]),
+    });
+
+    expect(file.propagationData.unusedVariables).toEqual([
+      expect.objectContaining({ name: '--unused', status: 'unused' }),
+    ]);
+  });
+
+  test('records files that fail to parse in resilient mode', async () => {
+    fs.readFile.mockImplementation(async (filePath) =>
+      filePath.endsWith('a.css') ? '.a { color: red;' : '.b { width: 1px; }',
+    );
+
+    const run = createAnalysisRun();
+    const result = await getCssFilesList(fakeRepo, {
+      run,
+      resilient: true,
+      __glob: vi.fn(() => [
+        path.join(fakeRepo, 'dir/a.css'),
+        path.join(fakeRepo, 'b.css'),
+      ]),
+    });
+
+    expect(result.map(({ fileName }) => fileName)).toEqual(['b.css']);
+    expect(run.getErrors()).toEqual([
+      {
+        path: 'dir/a.css',
+        fileURI: 'dir/a.css',
+        message: 'Unclosed block',
+        line: 1,
+        column: 1,
+        code: null,
+        recovered: false,
+      },
+    ]);
+  });
+
+  test('analyzes styles embedded in modules and skips those without', async () => {
+    fs.readFile.mockImplementation(async (filePath) =>
+      filePath.endsWith('styled.mjs')
+        ? 'const styles = css`\n  .a { color: var(--text-color); }\n`;'
+        : 'export const x = 1;',
+    );
+
+    const result = await getCssFilesList(fakeRepo, {
+      __glob: vi.fn(() => [
+        path.join(fakeRepo, 'plain.mjs'),
+        path.join(fakeRepo, 'styled.mjs'),
+      ]),
+    });
+
+    expect(result.map(({ fileName }) => fileName)).toEqual(['styled.mjs']);
+    expect(result[0].propagationData.foundPropValues[0]).toEqual(
+      expect.objectContaining({
+        prop: 'color',
+        start: expect.objectContaining({ line: 2, column: 8 }),
+      }),
+    );
+  });
 });
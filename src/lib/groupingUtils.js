@@ -1,17 +1,24 @@
+import { sortCategories } from './categoryUtils.js';
+import { sortContexts } from './contextUtils.js';
+
 /**
- * Groups a flat list of file objects by their directory (dirURI).
+ * Groups a flat list of file objects into a directory tree keyed by dirURI.
+ *
+ * Every ancestor of a directory containing files gets an entry of its own, so
+ * `browser/components/foo` also produces `browser/components` and `browser`.
+ * Each entry holds its direct `files`, the keys of its `subdirectories`, its
+ * `parent` key (or null for top-level directories), its `name` and the
+ * recursive `fileCount`. Averages are computed over every file in the subtree.
+ *
  * @param {object[]} fileObjects - List of analyzed CSS file objects.
- * @returns {object} - Directory groupings with average propagation attached.
+ * @returns {object} - Directory groupings with recursive propagation attached.
  */
 export function groupFilesByDirectory(fileObjects) {
   const grouped = {};
 
   for (const file of fileObjects) {
     const dir = file.dirURI || '.';
-    if (!grouped[dir]) {
-      grouped[dir] = { files: [] };
-    }
-    grouped[dir].files.push(file);
+    ensureDirectory(grouped, dir).files.push(file);
   }
 
   // Sort and compute averages
@@ -20,33 +27,143 @@ export function groupFilesByDirectory(fileObjects) {
   );
 
   for (const dir in sortedGrouped) {
-    computeAverages(sortedGrouped[dir]);
+    sortedGrouped[dir].subdirectories.sort((a, b) => a.localeCompare(b));
+  }
+
+  for (const dir in sortedGrouped) {
+    const subtreeFiles = getSubtreeFiles(sortedGrouped, dir);
+    sortedGrouped[dir].fileCount = subtreeFiles.length;
+    computeAverages(sortedGrouped[dir], subtreeFiles);
   }
 
   return sortedGrouped;
 }
 
+/**
+ * Returns the directory entry for `dir`, creating it and any missing ancestors.
+ *
+ * @param {object} grouped - The directory map being built.
+ * @param {string} dir - The directory key (a dirURI).
+ * @returns {object} The directory entry.
+ */
+function ensureDirectory(grouped, dir) {
+  if (grouped[dir]) {
+    return grouped[dir];
+  }
+
+  const separatorIndex = dir.lastIndexOf('/');
+  const parent = separatorIndex === -1 ? null : dir.slice(0, separatorIndex);
+
+  grouped[dir] = {
+    name: dir.slice(separatorIndex + 1),
+    parent,
+    subdirectories: [],
+    files: [],
+  };
+
+  if (parent) {
+    ensureDirectory(grouped, parent).subdirectories.push(dir);
+  }
+
+  return grouped[dir];
+}
+
+/**
+ * Collects every file in a directory and all of its subdirectories.
+ *
+ * @param {object} grouped - The directory map.
+ * @param {string} dir - The directory key to start from.
+ * @returns {object[]} - The files in the subtree.
+ */
+export function getSubtreeFiles(grouped, dir) {
+  const node = grouped[dir];
+  if (!node) {
+    return [];
+  }
+  return [
+    ...node.files,
+    ...(node.subdirectories || []).flatMap((subdir) =>
+      getSubtreeFiles(grouped, subdir),
+    ),
+  ];
+}
+
 /**
  * Computes the average token propagation percentage for all files in the group.
+ *
+ * Alongside the per-file average, a declaration-weighted percentage is attached
+ * as `weightedPropagation`: the share of counted declarations (found props less
+ * ignored values) across the whole group that use a design token. This keeps
+ * large files from being drowned out by small ones.
+ *
+ * `inferredTokenCount` totals the design token declarations that only resolve
+ * via the opt-in repo-wide variable index, `baseTokenCount` those using base
+ * color tokens directly, `contextBreakdown` splits the weighted figures by
+ * at-rule context and `categoryBreakdown` by token category.
+ *
+ * When files were analyzed with component scoring, the component-weighted
+ * figures are rolled up too, as `componentPropagation`.
+ *
  * @param {object} node - A group of files under a single directory.
+ * @param {object[]} [files] - The files to average, defaults to the node's own files.
  * @returns {{ total: number, count: number }}
  */
-export function computeAverages(node) {
+export function computeAverages(node, files = node.files) {
   let total = 0;
   let count = 0;
   let processedCount = 0;
   let ignoreCount = 0;
+  let designTokenCount = 0;
+  let countedPropCount = 0;
+  let inferredTokenCount = 0;
+  let baseTokenCount = 0;
+  let componentTokenCount = 0;
+  let componentCount = 0;
+  let hasComponentScores = false;
 
-  for (const file of node.files) {
+  for (const file of files) {
     const pct = file?.propagationData?.percentage;
     // -1 represents a percentage to ignore.
     if (typeof pct === 'number' && pct !== -1) {
       total += pct;
       count++;
+      designTokenCount += file.propagationData.designTokenCount ?? 0;
+      countedPropCount += getCountedPropCount(file.propagationData);
+      inferredTokenCount += file.propagationData.inferredTokenCount ?? 0;
     } else {
       ignoreCount++;
     }
     processedCount++;
+    baseTokenCount += file?.propagationData?.baseTokenCount ?? 0;
+
+    if (typeof file?.propagationData?.componentCount === 'number') {
+      hasComponentScores = true;
+      componentTokenCount += file.propagationData.componentTokenCount;
+      componentCount += file.propagationData.componentCount;
+    }
+  }
+
+  node.designTokenCount = designTokenCount;
+  node.countedPropCount = countedPropCount;
+  node.inferredTokenCount = inferredTokenCount;
+  node.baseTokenCount = baseTokenCount;
+  node.contextBreakdown = mergeContextBreakdowns(
+    files.map((file) => file?.propagationData?.contextBreakdown),
+  );
+  node.categoryBreakdown = mergeCategoryBreakdowns(
+    files.map((file) => file?.propagationData?.categoryBreakdown),
+  );
+  node.weightedPropagation = computeWeightedPercentage(
+    designTokenCount,
+    countedPropCount,
+  );
+  if (hasComponentScores) {
+    node.componentTokenCount = componentTokenCount;
+    node.componentCount = componentCount;
+    node.componentPropagation = computeWeightedPercentage(
+      componentTokenCount,
+      componentCount,
+    );
   }
 
   if (processedCount === ignoreCount && ignoreCount > 0) {
@@ -56,3 +173,103 @@ export function computeAverages(node) {
   }
   return { total, count, processedCount, ignoreCount };
 }
+
+/**
+ * Returns the number of declarations in a file that count towards propagation,
+ * i.e. the found props less those with ignored values.
+ *
+ * @param {object} propagationData - The propagation data for a single file.
+ * @param {number} [propagationData.foundProps]
+ * @param {number} [propagationData.ignoredValueCount]
+ * @returns {number}
+ */
+export function getCountedPropCount({ foundProps = 0, ignoredValueCount = 0 }) {
+  return Math.max(foundProps - ignoredValueCount, 0);
+}
+
+/**
+ * Computes a declaration-weighted propagation percentage.
+ *
+ * @param {number} designTokenCount - Declarations using a valid design token.
+ * @param {number} countedPropCount - Declarations counted towards propagation.
+ * @returns {number} Percentage rounded to two decimal places, or -1 when there
+ * are no counted declarations.
+ */
+export function computeWeightedPercentage(designTokenCount, countedPropCount) {
+  if (!countedPropCount) {
+    return -1;
+  }
+  return +((designTokenCount / countedPropCount) * 100).toFixed(2);
+}
+
+/**
+ * Sums per-context design token summaries and attaches a declaration-weighted
+ * percentage to each context.
+ *
+ * @param {Array<Record<string, { foundProps?: number, designTokenCount?: number, ignoredValueCount?: number }>|undefined>} breakdowns
+ * @returns {Record<string, {
+ *   foundProps: number,
+ *   designTokenCount: number,
+ *   ignoredValueCount: number,
+ *   countedPropCount: number,
+ *   weightedPropagation: number,
+ * }>} - Merged breakdown with the default context first.
+ */
+export function mergeContextBreakdowns(breakdowns) {
+  return mergeBreakdowns(breakdowns, sortContexts);
+}
+
+/**
+ * Sums per-category design token summaries and attaches a
+ * declaration-weighted percentage to each category.
+ *
+ * @param {Array<Record<string, { foundProps?: number, designTokenCount?: number, ignoredValueCount?: number }>|undefined>} breakdowns
+ * @returns {ReturnType<typeof mergeContextBreakdowns>} - Merged breakdown in
+ * `CATEGORIES` order.
+ */
+export function mergeCategoryBreakdowns(breakdowns) {
+  return mergeBreakdowns(breakdowns, sortCategories);
+}
+
+/**
+ * Sums design token summaries keyed by context or category, and attaches a
+ * declaration-weighted percentage to each key.
+ *
+ * @param {Array<Record<string, { foundProps?: number, designTokenCount?: number, ignoredValueCount?: number }>|undefined>} breakdowns
+ * @param {(keys: string[]) => string[]} sortKeys - Sorts the merged keys.
+ * @returns {ReturnType<typeof mergeContextBreakdowns>}
+ */
+function mergeBreakdowns(breakdowns, sortKeys) {
+  const merged = {};
+
+  for (const breakdown of breakdowns) {
+    for (const [key, counts] of Object.entries(breakdown ?? {})) {
+      merged[key] ??= {
+        foundProps: 0,
+        designTokenCount: 0,
+        ignoredValueCount: 0,
+      };
+      merged[key].foundProps += counts.foundProps ?? 0;
+      merged[key].designTokenCount += counts.designTokenCount ?? 0;
+      merged[key].ignoredValueCount += counts.ignoredValueCount ?? 0;
+    }
+  }
+
+  return Object.fromEntries(
+    sortKeys(Object.keys(merged)).map((key) => {
+      const counts = merged[key];
+      const countedPropCount = getCountedPropCount(counts);
+      return [
+        key,
+        {
+          ...counts,
+          countedPropCount,
+          weightedPropagation: computeWeightedPercentage(
+            counts.designTokenCount,
+            countedPropCount,
+          ),
+        },
+      ];
+    }),
+  );
+}
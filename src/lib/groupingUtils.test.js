@@ -1,4 +1,12 @@
-import { groupFilesByDirectory, computeAverages } from './groupingUtils.js';
+import {
+  groupFilesByDirectory,
+  computeAverages,
+  computeWeightedPercentage,
+  getCountedPropCount,
+  getSubtreeFiles,
+  mergeCategoryBreakdowns,
+  mergeContextBreakdowns,
+} from './groupingUtils.js';
 
 describe('groupFilesByDirectory', () => {
   test('groups files by directory and computes average', () => {
@@ -30,6 +38,101 @@ describe('groupFilesByDirectory', () => {
   });
 });
 
+describe('directory tree', () => {
+  const input = [
+    {
+      fileName: 'a.css',
+      dirURI: 'browser/components/foo',
+      propagationData: {
+        percentage: 100,
+        designTokenCount: 4,
+        foundProps: 4,
+        ignoredValueCount: 0,
+      },
+    },
+    {
+      fileName: 'b.css',
+      dirURI: 'browser/components/bar',
+      propagationData: {
+        percentage: 0,
+        designTokenCount: 0,
+        foundProps: 1,
+        ignoredValueCount: 0,
+      },
+    },
+    {
+      fileName: 'c.css',
+      dirURI: 'browser/components',
+      propagationData: {
+        percentage: 50,
+        designTokenCount: 1,
+        foundProps: 2,
+        ignoredValueCount: 0,
+      },
+    },
+    {
+      fileName: 'd.css',
+      dirURI: 'toolkit/themes',
+      propagationData: { percentage: -1, foundProps: 0 },
+    },
+  ];
+
+  test('creates entries for every ancestor directory', () => {
+    const grouped = groupFilesByDirectory(input);
+
+    expect(Object.keys(grouped)).toEqual([
+      'browser',
+      'browser/components',
+      'browser/components/bar',
+      'browser/components/foo',
+      'toolkit',
+      'toolkit/themes',
+    ]);
+
+    expect(grouped.browser).toEqual(
+      expect.objectContaining({
+        name: 'browser',
+        parent: null,
+        subdirectories: ['browser/components'],
+        files: [],
+      }),
+    );
+    expect(grouped['browser/components']).toEqual(
+      expect.objectContaining({
+        name: 'components',
+        parent: 'browser',
+        subdirectories: ['browser/components/bar', 'browser/components/foo'],
+      }),
+    );
+    expect(grouped['browser/components'].files.length).toBe(1);
+  });
+
+  test('rolls up propagation recursively', () => {
+    const grouped = groupFilesByDirectory(input);
+
+    expect(grouped['browser/components/foo'].averagePropagation).toBe(100);
+    expect(grouped['browser/components'].averagePropagation).toBe(50);
+    expect(grouped['browser/components'].fileCount).toBe(3);
+    expect(grouped.browser.averagePropagation).toBe(50);
+    expect(grouped.browser.designTokenCount).toBe(5);
+    expect(grouped.browser.countedPropCount).toBe(7);
+    expect(grouped.browser.weightedPropagation).toBe(71.43);
+
+    // Subtrees with nothing counted are ignored all the way up.
+    expect(grouped.toolkit.averagePropagation).toBe(-1);
+    expect(grouped.toolkit.weightedPropagation).toBe(-1);
+  });
+
+  test('getSubtreeFiles collects files from nested directories', () => {
+    const grouped = groupFilesByDirectory(input);
+
+    expect(
+      getSubtreeFiles(grouped, 'browser').map((file) => file.fileName),
+    ).toEqual(['c.css', 'b.css', 'a.css']);
+    expect(getSubtreeFiles(grouped, 'missing')).toEqual([]);
+  });
+});
+
 describe('computeAverages', () => {
   test('computes average correctly', () => {
     const node = {
@@ -70,3 +173,265 @@ describe('computeAverages', () => {
     expect(node.averagePropagation).toBe(-1);
   });
 });
+
+describe('declaration-weighted propagation', () => {
+  test('weights files by their counted declarations', () => {
+    const node = {
+      files: [
+        // 2 counted declarations, both tokenized.
+        {
+          propagationData: {
+            percentage: 100,
+            designTokenCount: 2,
+            foundProps: 3,
+            ignoredValueCount: 1,
+          },
+        },
+        // 98 counted declarations, none tokenized.
+        {
+          propagationData: {
+            percentage: 0,
+            designTokenCount: 0,
+            foundProps: 98,
+            ignoredValueCount: 0,
+          },
+        },
+        // Ignored files don't count towards either metric.
+        {
+          propagationData: {
+            percentage: -1,
+            designTokenCount: 0,
+            foundProps: 4,
+            ignoredValueCount: 4,
+          },
+        },
+      ],
+    };
+
+    computeAverages(node);
+
+    expect(node.averagePropagation).toBe(50);
+    expect(node.designTokenCount).toBe(2);
+    expect(node.countedPropCount).toBe(100);
+    expect(node.weightedPropagation).toBe(2);
+  });
+
+  test('rolls up base token and component counts', () => {
+    const node = {
+      files: [
+        {
+          propagationData: {
+            percentage: 0,
+            designTokenCount: 0,
+            foundProps: 1,
+            baseTokenCount: 1,
+            componentTokenCount: 2,
+            componentCount: 3,
+          },
+        },
+        {
+          propagationData: {
+            percentage: 100,
+            designTokenCount: 1,
+            foundProps: 1,
+            componentTokenCount: 1,
+            componentCount: 1,
+          },
+        },
+      ],
+    };
+
+    computeAverages(node);
+
+    expect(node.weightedPropagation).toBe(50);
+    expect(node.baseTokenCount).toBe(1);
+    expect(node.componentTokenCount).toBe(3);
+    expect(node.componentCount).toBe(4);
+    expect(node.componentPropagation).toBe(75);
+  });
+
+  test('leaves out component figures when files were not component scored', () => {
+    const node = {
+      files: [{ propagationData: { percentage: 100, foundProps: 1 } }],
+    };
+
+    computeAverages(node);
+
+    expect(node).not.toHaveProperty('componentPropagation');
+  });
+
+  test('returns -1 weighted propagation when nothing is counted', () => {
+    const node = {
+      files: [{ propagationData: { percentage: -1, foundProps: 0 } }],
+    };
+
+    computeAverages(node);
+
+    expect(node.weightedPropagation).toBe(-1);
+    expect(node.countedPropCount).toBe(0);
+  });
+
+  test('groupFilesByDirectory attaches weighted propagation per directory', () => {
+    const grouped = groupFilesByDirectory([
+      {
+        dirURI: 'a',
+        propagationData: {
+          percentage: 50,
+          designTokenCount: 1,
+          foundProps: 2,
+          ignoredValueCount: 0,
+        },
+      },
+      {
+        dirURI: 'a',
+        propagationData: {
+          percentage: 75,
+          designTokenCount: 3,
+          foundProps: 4,
+          ignoredValueCount: 0,
+        },
+      },
+    ]);
+
+    expect(grouped.a.averagePropagation).toBe(62.5);
+    expect(grouped.a.weightedPropagation).toBe(66.67);
+  });
+
+  test('getCountedPropCount subtracts ignored values', () => {
+    expect(getCountedPropCount({ foundProps: 5, ignoredValueCount: 2 })).toBe(
+      3,
+    );
+    expect(getCountedPropCount({})).toBe(0);
+  });
+
+  test('computeWeightedPercentage rounds to two decimal places', () => {
+    expect(computeWeightedPercentage(1, 3)).toBe(33.33);
+    expect(computeWeightedPercentage(0, 0)).toBe(-1);
+  });
+});
+
+describe('context breakdown', () => {
+  test('mergeContextBreakdowns sums counts and weights each context', () => {
+    const result = mergeContextBreakdowns([
+      {
+        'forced-colors': {
+          foundProps: 2,
+          designTokenCount: 0,
+          ignoredValueCount: 1,
+        },
+        default: { foundProps: 4, designTokenCount: 2, ignoredValueCount: 0 },
+      },
+      undefined,
+      {
+        default: { foundProps: 6, designTokenCount: 4, ignoredValueCount: 2 },
+      },
+    ]);
+
+    expect(Object.keys(result)).toEqual(['default', 'forced-colors']);
+    expect(result.default).toEqual({
+      foundProps: 10,
+      designTokenCount: 6,
+      ignoredValueCount: 2,
+      countedPropCount: 8,
+      weightedPropagation: 75,
+    });
+    expect(result['forced-colors'].weightedPropagation).toBe(0);
+  });
+
+  test('directories roll up the context breakdown of their subtree', () => {
+    const grouped = groupFilesByDirectory([
+      {
+        fileName: 'a.css',
+        dirURI: 'browser/a',
+        propagationData: {
+          percentage: 50,
+          contextBreakdown: {
+            'forced-colors': {
+              foundProps: 2,
+              designTokenCount: 1,
+              ignoredValueCount: 0,
+            },
+          },
+        },
+      },
+      {
+        fileName: 'b.css',
+        dirURI: 'browser',
+        propagationData: {
+          percentage: 100,
+          contextBreakdown: {
+            'forced-colors': {
+              foundProps: 2,
+              designTokenCount: 2,
+              ignoredValueCount: 0,
+            },
+          },
+        },
+      },
+    ]);
+
+    expect(grouped.browser.contextBreakdown['forced-colors']).toEqual(
+      expect.objectContaining({ designTokenCount: 3, weightedPropagation: 75 }),
+    );
+    expect(
+      grouped['browser/a'].contextBreakdown['forced-colors']
+        .weightedPropagation,
+    ).toBe(50);
+  });
+});
+
+describe('category breakdown', () => {
+  test('mergeCategoryBreakdowns sums counts and keeps categories in order', () => {
+    const result = mergeCategoryBreakdowns([
+      {
+        font: { foundProps: 2, designTokenCount: 1, ignoredValueCount: 0 },
+        color: { foundProps: 4, designTokenCount: 2, ignoredValueCount: 0 },
+      },
+      undefined,
+      {
+        color: { foundProps: 6, designTokenCount: 4, ignoredValueCount: 2 },
+      },
+    ]);
+
+    expect(Object.keys(result)).toEqual(['color', 'font']);
+    expect(result.color).toEqual({
+      foundProps: 10,
+      designTokenCount: 6,
+      ignoredValueCount: 2,
+      countedPropCount: 8,
+      weightedPropagation: 75,
+    });
+  });
+
+  test('directories roll up the category breakdown of their subtree', () => {
+    const grouped = groupFilesByDirectory([
+      {
+        fileName: 'a.css',
+        dirURI: 'browser/a',
+        propagationData: {
+          percentage: 50,
+          categoryBreakdown: {
+            space: { foundProps: 2, designTokenCount: 1, ignoredValueCount: 0 },
+          },
+        },
+      },
+      {
+        fileName: 'b.css',
+        dirURI: 'browser',
+        propagationData: {
+          percentage: 100,
+          categoryBreakdown: {
+            space: { foundProps: 2, designTokenCount: 2, ignoredValueCount: 0 },
+          },
+        },
+      },
+    ]);
+
+    expect(grouped.browser.categoryBreakdown.space).toEqual(
+      expect.objectContaining({ designTokenCount: 3, weightedPropagation: 75 }),
+    );
+    expect(
+      grouped['browser/a'].categoryBreakdown.space.weightedPropagation,
+    ).toBe(50);
+  });
+});
@@ -0,0 +1,275 @@
+import fs from 'node:fs/promises';
+import path from 'path';
+import valueParser from 'postcss-value-parser';
+import config from '../../config.js';
+
+import { parseCSS } from './cssParser.js';
+import { getExternalVars } from './externalVars.js';
+import {
+  isUrlFunction,
+  isWord,
+} from '../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/helpers.mjs';
+
+/**
+ * Extracts the URL from a string or `url()` node, such as the first param of
+ * an `@import` rule.
+ *
+ * Handles both the string form (`@import "a.css"`) and the `url()` form
+ * (`@import url(a.css)`). Copied from `extractUrlFromNode` in the vendored
+ * `rules/no-browser-refs-in-toolkit.mjs`, which doesn't export it, so keep
+ * the two in sync when the vendored copy is updated.
+ *
+ * @param {import('postcss-value-parser').Node} [node] - A parsed value node.
+ * @returns {string|null} - The URL, or null if it can't be determined.
+ */
+export function extractUrlFromNode(node) {
+  if (!node) {
+    return null;
+  }
+
+  if (node.type === 'string') {
+    return node.value;
+  }
+
+  if (isUrlFunction(node)) {
+    const urlContent = node.nodes[0];
+    if (urlContent && (urlContent.type === 'string' || isWord(urlContent))) {
+      return urlContent.value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collects the URLs of all `@import` rules in a parsed stylesheet, in source order.
+ *
+ * @param {import('postcss').Root} root - Parsed CSS AST.
+ * @returns {string[]} - The imported URLs.
+ */
+export function getImportUrls(root) {
+  const urls = [];
+
+  root.walkAtRules('import', (atRule) => {
+    const params = valueParser(atRule.params);
+    const importUrl = extractUrlFromNode(params.nodes[0]);
+    if (importUrl) {
+      urls.push(importUrl);
+    }
+  });
+
+  return urls;
+}
+
+/**
+ * Maps a `chrome://`, `resource://` or `moz-src://` URL to candidate absolute
+ * paths in the repo using `config.importUrlMapping`.
+ *
+ * The longest matching prefix wins. Each prefix can map to several repo
+ * directories, since a single chrome package can be assembled from more
+ * than one source directory.
+ *
+ * @param {string} importUrl - The URL to map.
+ * @returns {string[]} - Candidate absolute paths, in order of preference.
+ */
+export function mapUrlToRepoPaths(importUrl) {
+  const prefix = Object.keys(config.importUrlMapping || {})
+    .filter((candidate) => importUrl.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!prefix) {
+    return [];
+  }
+
+  const rest = importUrl.slice(prefix.length);
+  return config.importUrlMapping[prefix].map((dir) =>
+    path.resolve(path.join(config.repoPath, dir, rest)),
+  );
+}
+
+/**
+ * Resolves an `@import` URL to an absolute path of a file that exists in the repo.
+ *
+ * Relative URLs are resolved against the importing file. URLs with a scheme are
+ * mapped via `config.importUrlMapping`.
+ *
+ * @param {string} importUrl - The URL from the `@import` rule.
+ * @param {string} fromFile - Absolute path of the importing file.
+ * @returns {Promise<string|null>} - The resolved path, or null if it can't be found.
+ */
+export async function resolveImportPath(importUrl, fromFile) {
+  // Drop any query string or fragment.
+  const cleanUrl = importUrl.replace(/[?#].*$/, '');
+
+  const candidates = /^[a-z][a-z-]*:/i.test(cleanUrl)
+    ? mapUrlToRepoPaths(cleanUrl)
+    : [path.resolve(path.dirname(fromFile), cleanUrl)];
+
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate, fs.constants?.R_OK);
+      return candidate;
+    } catch {
+      // Try the next candidate.
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolves the files imported by a stylesheet.
+ *
+ * @param {string} filePath - Absolute path of the importing file.
+ * @param {import('postcss').Root} root - The parsed stylesheet.
+ * @returns {Promise<string[]>} - Absolute paths of the imported files that could be found.
+ */
+async function resolveImports(filePath, root) {
+  const importPaths = [];
+
+  for (const importUrl of getImportUrls(root)) {
+    const importPath = await resolveImportPath(importUrl, filePath);
+    if (importPath) {
+      importPaths.push(importPath);
+    } else {
+      console.log(
+        `${path.relative(config.repoPath, filePath)} imports ${importUrl} which can't be resolved, skipping...`,
+      );
+    }
+  }
+
+  return importPaths;
+}
+
+/**
+ * Parses an imported file and resolves the files it imports in turn.
+ *
+ * @param {string} filePath - Absolute path of the imported file.
+ * @returns {Promise<string[]>} - Absolute paths of the files it imports.
+ *
+ * @private
+ */
+async function __getImportedFiles(filePath) {
+  const root = await parseCSS(filePath);
+  return resolveImports(filePath, root);
+}
+
+/**
+ * Cached version of `__getImportedFiles`, since commonly imported files
+ * (e.g. common.css) are reached from many stylesheets. Results are cached for
+ * the length of an analysis run.
+ *
+ * @param {string} filePath - Absolute path of the imported file.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [run] - Run whose
+ * cache to use. Without one, the file is parsed every time.
+ * @returns {Promise<string[]>}
+ */
+export function getImportedFiles(filePath, run = null) {
+  return run
+    ? run.cached('importedFiles', filePath, () => __getImportedFiles(filePath))
+    : __getImportedFiles(filePath);
+}
+
+/**
+ * Follows the `@import` chains of a stylesheet and collects the variables
+ * defined in every file reached.
+ *
+ * Later imports override earlier ones and a file's own definitions override
+ * those it imports, matching the cascade. Each variable is annotated with an
+ * `importChain`: the repo-relative paths followed from the analyzed file to the
+ * file defining it. Import cycles are followed only once.
+ *
+ * @param {string} filePath - Absolute path of the analyzed file.
+ * @param {import('postcss').Root} [root] - The parsed stylesheet, if already available.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [run] - Run whose
+ * caches to read imported files through.
+ * @returns {Promise<Record<string, object>>} - Map of variable names to variable metadata.
+ */
+export async function collectImportedVars(filePath, root, run = null) {
+  const visited = new Set([filePath]);
+  const importPaths = root
+    ? await resolveImports(filePath, root)
+    : await getImportedFiles(filePath, run);
+
+  return collectVarsFromImports(importPaths, [], visited, run);
+}
+
+/**
+ * Recursively collects variables from a list of imported files.
+ *
+ * @param {string[]} importPaths - Absolute paths of the imported files.
+ * @param {string[]} chain - Repo-relative paths followed so far.
+ * @param {Set<string>} visited - Files already followed.
+ * @param {import('./analysisRun.js').AnalysisRun|null} run - Run whose caches
+ * to read imported files through.
+ * @returns {Promise<Record<string, object>>} - Map of variable names to variable metadata.
+ */
+async function collectVarsFromImports(importPaths, chain, visited, run) {
+  let foundVariables = {};
+
+  for (const importPath of importPaths) {
+    if (visited.has(importPath)) {
+      continue;
+    }
+    visited.add(importPath);
+
+    const importChain = [...chain, path.relative(config.repoPath, importPath)];
+
+    try {
+      const nestedVars = await collectVarsFromImports(
+        await getImportedFiles(importPath, run),
+        importChain,
+        visited,
+        run,
+      );
+
+      const ownVars = {};
+      const extVars = await getExternalVars(importPath, run);
+      for (const [name, varData] of Object.entries(extVars)) {
+        // Copy, since getExternalVars results are shared between files.
+        ownVars[name] = { ...varData, importChain };
+      }
+
+      foundVariables = { ...foundVariables, ...nestedVars, ...ownVars };
+    } catch (e) {
+      console.log(
+        `Unable to collect vars from ${importChain.at(-1)}, skipping... ${e.message}`,
+      );
+    }
+  }
+
+  return foundVariables;
+}
+
+/**
+ * Lists every file reachable through the `@import` chains of a stylesheet.
+ *
+ * @param {string} filePath - Absolute path of the analyzed file.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [run] - Run whose
+ * cache to read imported files through.
+ * @returns {Promise<string[]>} - Absolute paths of the imported files, sorted.
+ */
+export async function collectImportedFiles(filePath, run = null) {
+  const visited = new Set([filePath]);
+  const queue = [filePath];
+
+  while (queue.length) {
+    const current = queue.shift();
+    let importPaths = [];
+    try {
+      importPaths = await getImportedFiles(current, run);
+    } catch {
+      // Unreadable files don't import anything.
+    }
+
+    for (const importPath of importPaths) {
+      if (!visited.has(importPath)) {
+        visited.add(importPath);
+        queue.push(importPath);
+      }
+    }
+  }
+
+  visited.delete(filePath);
+  return [...visited].sort();
+}
@@ -0,0 +1,246 @@
+import fs from 'fs/promises';
+import postcss from 'postcss';
+
+import {
+  collectImportedFiles,
+  collectImportedVars,
+  getImportUrls,
+  mapUrlToRepoPaths,
+  resolveImportPath,
+} from './importUtils.js';
+import config from '../../config.js';
+
+vi.mock('node:fs/promises');
+
+const originalConfig = { ...config };
+
+/**
+ * Makes the mocked fs serve the given files.
+ * @param {Record<string, string>} files - Map of absolute paths to CSS content.
+ */
+function mockFiles(files) {
+  fs.readFile = vi.fn(async (filePath) => {
+    if (!(filePath in files)) {
+      throw new Error(`ENOENT: ${filePath}`);
+    }
+    return files[filePath];
+  });
+  fs.access = vi.fn(async (filePath) => {
+    if (!(filePath in files)) {
+      throw new Error(`ENOENT: ${filePath}`);
+    }
+  });
+}
+
+describe('getImportUrls', () => {
+  test('extracts string and url() imports in order', () => {
+    const root = postcss.parse(`
+      @import "a.css";
+      @import url("chrome://global/skin/b.css") layer(base);
+      @import url(c.css);
+      .btn { color: red; }
+    `);
+
+    expect(getImportUrls(root)).toEqual([
+      'a.css',
+      'chrome://global/skin/b.css',
+      'c.css',
+    ]);
+  });
+});
+
+describe('resolving imports', () => {
+  beforeAll(() => {
+    Object.assign(config, {
+      repoPath: '/project',
+      importUrlMapping: {
+        'chrome://global/skin/': [
+          'toolkit/themes/shared/',
+          'toolkit/themes/shared/global/',
+        ],
+        'chrome://global/skin/in-content/': ['toolkit/themes/in-content/'],
+      },
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  test('mapUrlToRepoPaths uses the longest matching prefix', () => {
+    expect(mapUrlToRepoPaths('chrome://global/skin/in-content/a.css')).toEqual([
+      '/project/toolkit/themes/in-content/a.css',
+    ]);
+    expect(mapUrlToRepoPaths('chrome://global/skin/b.css')).toEqual([
+      '/project/toolkit/themes/shared/b.css',
+      '/project/toolkit/themes/shared/global/b.css',
+    ]);
+    expect(mapUrlToRepoPaths('chrome://unknown/c.css')).toEqual([]);
+  });
+
+  test('resolveImportPath resolves relative urls against the importing file', async () => {
+    mockFiles({ '/project/browser/common.css': '' });
+
+    const result = await resolveImportPath(
+      '../common.css?v=1',
+      '/project/browser/components/a.css',
+    );
+    expect(result).toBe('/project/browser/common.css');
+  });
+
+  test('resolveImportPath picks the first mapped candidate that exists', async () => {
+    mockFiles({ '/project/toolkit/themes/shared/global/b.css': '' });
+
+    const result = await resolveImportPath(
+      'chrome://global/skin/b.css',
+      '/project/browser/a.css',
+    );
+    expect(result).toBe('/project/toolkit/themes/shared/global/b.css');
+  });
+
+  test('resolveImportPath returns null when nothing matches', async () => {
+    mockFiles({});
+
+    const result = await resolveImportPath(
+      'chrome://unknown/c.css',
+      '/project/browser/a.css',
+    );
+    expect(result).toBe(null);
+  });
+});
+
+describe('default importUrlMapping', () => {
+  beforeAll(() => {
+    Object.assign(config, {
+      repoPath: '/project',
+      importUrlMapping: originalConfig.importUrlMapping,
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  test('follows resource:// imports to their files', async () => {
+    mockFiles({
+      '/project/toolkit/content/a.css': `
+        @import url("resource://content-accessible/viewsource.css");
+        @import "resource://gre/modules/shared.css";
+      `,
+      '/project/layout/style/res/viewsource.css': ':root { --a: 1px; }',
+      '/project/toolkit/modules/shared.css': ':root { --b: 2px; }',
+    });
+
+    const result = await collectImportedVars('/project/toolkit/content/a.css');
+
+    expect(result['--a'].importChain).toEqual([
+      'layout/style/res/viewsource.css',
+    ]);
+    expect(result['--b'].importChain).toEqual(['toolkit/modules/shared.css']);
+  });
+});
+
+describe('collectImportedVars', () => {
+  beforeAll(() => {
+    Object.assign(config, {
+      repoPath: '/project',
+      importUrlMapping: {
+        'chrome://global/skin/': ['toolkit/themes/shared/'],
+      },
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  afterEach(() => {
+    vi.resetAllMocks();
+  });
+
+  test('follows nested import chains and records them', async () => {
+    mockFiles({
+      '/project/browser/a.css': `
+        @import "chrome://global/skin/common.css";
+        .btn { color: var(--btn-color); }
+      `,
+      '/project/toolkit/themes/shared/common.css': `
+        @import url(tokens.css);
+        :root { --btn-color: var(--text-color); }
+      `,
+      '/project/toolkit/themes/shared/tokens.css': `
+        :root { --text-color: var(--color-gray-100); }
+      `,
+    });
+
+    const result = await collectImportedVars('/project/browser/a.css');
+
+    expect(result['--btn-color']).toEqual(
+      expect.objectContaining({
+        value: 'var(--text-color)',
+        isExternal: true,
+        src: '/project/toolkit/themes/shared/common.css',
+        importChain: ['toolkit/themes/shared/common.css'],
+      }),
+    );
+    expect(result['--text-color'].importChain).toEqual([
+      'toolkit/themes/shared/common.css',
+      'toolkit/themes/shared/tokens.css',
+    ]);
+  });
+
+  test("a file's own definitions override those it imports", async () => {
+    mockFiles({
+      '/project/a.css': '@import "b.css";',
+      '/project/b.css': '@import "c.css"; :root { --x: 2px; }',
+      '/project/c.css': ':root { --x: 1px; --y: 1px; }',
+    });
+
+    const result = await collectImportedVars('/project/a.css');
+
+    expect(result['--x'].value).toBe('2px');
+    expect(result['--y'].value).toBe('1px');
+  });
+
+  test('handles import cycles and unresolvable imports', async () => {
+    mockFiles({
+      '/project/a.css': '@import "b.css"; @import "missing.css";',
+      '/project/b.css': '@import "a.css"; :root { --b: 1px; }',
+    });
+
+    const result = await collectImportedVars('/project/a.css');
+
+    expect(Object.keys(result)).toEqual(['--b']);
+  });
+
+  test('uses an already parsed root for the analyzed file', async () => {
+    mockFiles({ '/project/b.css': ':root { --b: 1px; }' });
+
+    const root = postcss.parse('@import "b.css";');
+    const result = await collectImportedVars('/project/a.css', root);
+
+    expect(result['--b'].importChain).toEqual(['b.css']);
+    expect(fs.readFile).not.toHaveBeenCalledWith('/project/a.css', 'utf8');
+  });
+
+  test('collectImportedFiles lists every reachable import once', async () => {
+    mockFiles({
+      '/project/a.css': '@import "c.css"; @import "b.css"; @import "x.css";',
+      '/project/b.css': '@import "a.css"; @import "c.css";',
+      '/project/c.css': ':root { --c: 1px; }',
+    });
+
+    expect(await collectImportedFiles('/project/a.css')).toEqual([
+      '/project/b.css',
+      '/project/c.css',
+    ]);
+  });
+});
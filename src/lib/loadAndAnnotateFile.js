@@ -1,6 +1,12 @@
 import fs from 'node:fs/promises';
 import { codeToHtml } from 'shiki';
 import { isDesignToken, extractValidTokensForProp } from './tokenUtils.js';
+import { stripVarFallbacks } from './resolutionUtils.js';
+import { formatNodeContext } from './cssParser.js';
+import { DEFAULT_CONTEXT } from './contextUtils.js';
+import { getSourceLanguage } from './embeddedCss.js';
+import { getTokenThemeValues } from './themeUtils.js';
+import { getNearestTokens } from './nearestTokens.js';
 
 /**
  * Removes consecutive duplicate values from a resolution trace.
@@ -49,6 +55,10 @@ export function getStatus(prop) {
     return 'good-external';
   }
 
+  if (resolutionType === 'inferred' && base === 'good') {
+    return 'good-inferred';
+  }
+
   if (isExcludedByStylelint) {
     return `${base}-excludedByStylelint`;
   }
@@ -59,15 +69,25 @@ export function getStatus(prop) {
 /**
  * Constructs tooltip metadata for a given resolved property.
  *
- * Extracts trace, tokens used, resolution sources, and unresolved variables.
+ * Extracts trace, tokens used and their values in each theme, resolution
+ * sources, and unresolved variables. Invalid values get the tokens nearest to
+ * each of their literals.
  *
  * @param {object} decl - A resolved declaration with metadata from analysis.
  * @returns {{
  *   status: string,
  *   trace: string[],
  *   tokens: string[],
+ *   themes: import('./themeUtils.js').TokenThemeValues[],
  *   source: string[],
  *   unresolved: string[]
+ *   imports: string[][],
+ *   fallbacks: object[],
+ *   variants: object[],
+ *   contexts: string[],
+ *   baseTokens: string[],
+ *   suggestion: object|null,
+ *   nearest: Array<{ literal: string, candidates: import('./nearestTokens.js').NearestToken[] }>,
  *   resolutionType: string,
  * }}
  */
@@ -82,7 +102,10 @@ function extractTooltipData(decl) {
 
   const validTokensUsed = new Set();
   for (const step of trace) {
-    const extractedTokens = extractValidTokensForProp(decl.prop, step);
+    const extractedTokens = extractValidTokensForProp(
+      decl.prop,
+      stripVarFallbacks(step),
+    );
     for (const token of extractedTokens) {
       validTokensUsed.add(token);
     }
@@ -92,10 +115,49 @@ function extractTooltipData(decl) {
     status,
     trace,
     tokens: [...validTokensUsed],
+    themes: [...new Set([...validTokensUsed, ...(decl.baseTokens || [])])]
+      .map((token) => getTokenThemeValues(token))
+      .filter(Boolean),
     source: decl.resolutionSources || [],
     unresolved,
+    imports: decl.importChains || [],
+    fallbacks: decl.resolutionBranches || [],
+    contexts: (decl.contextTags || []).filter((tag) => tag !== DEFAULT_CONTEXT),
+    baseTokens: decl.baseTokens || [],
+    // Only worth showing for values with more than one component.
+    components:
+      decl.componentScore?.components.length > 1
+        ? decl.componentScore.components
+        : [],
+    variants: (decl.definitionVariants || []).map((variant) => ({
+      variable: variant.variable,
+      context: formatNodeContext(variant.context),
+      line: variant.line,
+      isDefault: variant.isDefault,
+      status: getStatus({ ...decl, ...variant }),
+      baseTokens: variant.baseTokens,
+    })),
+    suggestion: decl.suggestion
+      ? {
+          value: decl.suggestion.value,
+          source: decl.suggestion.source,
+          // Only worth showing when it differs from the authored value.
+          from:
+            decl.suggestion.from !== decl.value ? decl.suggestion.from : null,
+          alternatives: decl.suggestion.isAmbiguous
+            ? decl.suggestion.replacements.flatMap(({ candidates }) =>
+                candidates.slice(1),
+              )
+            : [],
+        }
+      : null,
+    nearest:
+      decl.isValidPropertyValue || decl.baseTokens?.length
+        ? []
+        : getNearestTokens(decl.prop, trace.at(-1) ?? decl.value),
     resolutionType: decl.resolutionType,
     isExcludedByStylelint: decl.isExcludedByStylelint,
+    stylelintExclusion: decl.stylelintExclusion || null,
   };
 }
 
@@ -105,14 +167,38 @@ function extractTooltipData(decl) {
  * Adds data attributes to Shiki decorations for tooltip display, including resolution trace,
  * token usage, unresolved variables, and resolution status.
  *
- * @param {string} filePath - Absolute path to the CSS file.
+ * JS modules and markup with embedded styles are highlighted as such, with the
+ * declarations in their style blocks annotated in place.
+ *
+ * Lines with references to Desktop Firefox from toolkit code are marked with
+ * the `browser-ref` class and the reasons as their title.
+ *
+ * Custom property definitions nothing uses get the `awdty--unused` class and
+ * an `unused-variable` or `dead-variable` status.
+ *
+ * @param {string} filePath - Absolute path to the CSS file, or a file that embeds CSS.
  * @param {Array<object>} foundPropValues - An array of resolved CSS properties to annotate.
+ * @param {import('./browserRefs.js').BrowserRef[]} [browserRefs] - References to Desktop Firefox to mark.
+ * @param {import('./unusedVars.js').UnusedVariable[]} [unusedVariables] - Unused custom property definitions to mark.
  * @returns {Promise<string>} - HTML string with Shiki syntax highlighting and tooltip metadata.
  */
-export default async function loadAndAnnotateFile(filePath, foundPropValues) {
+export default async function loadAndAnnotateFile(
+  filePath,
+  foundPropValues,
+  browserRefs = [],
+  unusedVariables = [],
+) {
   const content = await fs.readFile(filePath, 'utf8');
   const decorations = [];
 
+  const browserRefMessages = new Map();
+  for (const { line, message } of browserRefs) {
+    browserRefMessages.set(line, [
+      ...(browserRefMessages.get(line) ?? []),
+      message,
+    ]);
+  }
+
   for (const decl of foundPropValues) {
     const { start, end, resolutionType } = decl;
 
@@ -132,9 +218,23 @@ export default async function loadAndAnnotateFile(filePath, foundPropValues) {
         'data-status': tooltipData.status,
         'data-trace': JSON.stringify(tooltipData.trace),
         'data-tokens': JSON.stringify(tooltipData.tokens),
+        'data-themes': JSON.stringify(tooltipData.themes),
         'data-source': JSON.stringify(tooltipData.source),
         'data-unresolved': JSON.stringify(tooltipData.unresolved),
+        'data-imports': JSON.stringify(tooltipData.imports),
+        'data-fallbacks': JSON.stringify(tooltipData.fallbacks),
+        'data-variants': JSON.stringify(tooltipData.variants),
+        'data-contexts': JSON.stringify(tooltipData.contexts),
+        'data-baseTokens': JSON.stringify(tooltipData.baseTokens),
+        'data-components': JSON.stringify(tooltipData.components),
+        'data-suggestion': JSON.stringify(tooltipData.suggestion),
+        'data-nearest': JSON.stringify(tooltipData.nearest),
+        'data-mixed': Boolean(decl.hasMixedResults),
+        'data-baseToken': tooltipData.baseTokens.length > 0,
         'data-isExcludedByStylelint': tooltipData.isExcludedByStylelint,
+        'data-stylelintExclusion': JSON.stringify(
+          tooltipData.stylelintExclusion,
+        ),
         'data-resolutionType': resolutionType,
         tabindex: '0',
         role: 'button',
@@ -143,15 +243,36 @@ export default async function loadAndAnnotateFile(filePath, foundPropValues) {
     });
   }
 
+  for (const { status, start, end } of unusedVariables) {
+    decorations.push({
+      start: {
+        line: start.line - 1,
+        character: start.column - 1,
+      },
+      end: {
+        line: end.line - 1,
+        character: end.column - 1,
+      },
+      properties: {
+        class: 'awdty--unused',
+        'data-status': `${status}-variable`,
+        tabindex: '0',
+        role: 'button',
+        'aria-describedby': 'token-tooltip',
+      },
+    });
+  }
+
   const html = await codeToHtml(content, {
-    lang: 'css',
+    lang: getSourceLanguage(filePath),
     theme: 'slack-ochin',
     tabindex: false,
     decorations,
     transformers: [
       {
         /**
-         * Adds a `data-line` attribute and unique `id` to each line for line highlighting.
+         * Adds a `data-line` attribute and unique `id` to each line for line
+         * highlighting, and marks lines with references to Desktop Firefox.
          *
          * @param {import('hast').Element} node - The HAST line node.
          * @param {number} line - The line number.
@@ -169,6 +290,11 @@ export default async function loadAndAnnotateFile(filePath, foundPropValues) {
           node.properties.id = `L${line}`;
           node.properties['data-line'] = String(line);
           node.properties.class = [...existingClassList, 'line-numbered'];
+
+          if (browserRefMessages.has(line)) {
+            node.properties.class.push('browser-ref');
+            node.properties.title = browserRefMessages.get(line).join('\n');
+          }
         },
       },
     ],
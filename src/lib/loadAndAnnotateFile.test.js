@@ -31,6 +31,16 @@ describe('getStatus', () => {
     ).toBe('good-external');
   });
 
+  test(`it returns 'good-inferred' when resolved via the var index and has a design token`, () => {
+    expect(
+      getStatus({
+        resolutionType: 'inferred',
+        containsValidDesignToken: true,
+        isValidPropertyValue: true,
+      }),
+    ).toBe('good-inferred');
+  });
+
   test(`it returns 'warn' when external ref and does not have a design token but is a valid prop`, () => {
     expect(
       getStatus({
@@ -91,6 +101,17 @@ describe('getStatus', () => {
     ).toBe('bad-excludedByStylelint');
   });
 
+  test(`it ignores base color tokens, which are flagged separately`, () => {
+    expect(
+      getStatus({
+        containsValidDesignToken: true,
+        isValidPropertyValue: false,
+        isExcludedByStylelint: true,
+        baseTokens: ['--color-gray-80'],
+      }),
+    ).toBe('bad-excludedByStylelint');
+  });
+
   test(`it returns 'good' when is both a valid token and prop value`, () => {
     expect(
       getStatus({
@@ -155,6 +176,111 @@ describe('loadAndAnnotateFile', () => {
     expect(html).toMatch(/tokens\/colors\.css/);
   });
 
+  test('embeds the values of the tokens used in each theme', async () => {
+    const css = '.a {\n  background-color: var(--background-color-box);\n}';
+    fs.readFile.mockResolvedValueOnce(css);
+    const { startColumn, endColumn } = getOffsetRange(
+      css.split('\n')[1],
+      'var(--background-color-box)',
+    );
+
+    const html = await loadAndAnnotateFile('/project/a.css', [
+      {
+        prop: 'background-color',
+        value: 'var(--background-color-box)',
+        start: { line: 2, column: startColumn },
+        end: { line: 2, column: endColumn },
+        resolutionTrace: ['var(--background-color-box)'],
+        containsValidDesignToken: true,
+        isValidPropertyValue: true,
+      },
+    ]);
+
+    const themes = JSON.parse(
+      html.match(/data-themes="([^"]*)"/)[1].replaceAll('&#x22;', '"'),
+    );
+    expect(themes).toEqual([
+      expect.objectContaining({
+        token: '--background-color-box',
+        isColor: true,
+        themes: expect.arrayContaining([
+          { theme: 'light', values: ['#ffffff'] },
+          { theme: 'dark', values: ['#23222b'] },
+        ]),
+      }),
+    ]);
+  });
+
+  test('embeds the nearest tokens for values without a valid token', async () => {
+    const css = '.a {\n  font-size: 13px;\n}';
+    fs.readFile.mockResolvedValueOnce(css);
+    const { startColumn, endColumn } = getOffsetRange(
+      css.split('\n')[1],
+      '13px',
+    );
+
+    const html = await loadAndAnnotateFile('/project/a.css', [
+      {
+        prop: 'font-size',
+        value: '13px',
+        start: { line: 2, column: startColumn },
+        end: { line: 2, column: endColumn },
+        resolutionTrace: ['13px'],
+        containsValidDesignToken: false,
+        isValidPropertyValue: false,
+      },
+    ]);
+
+    const [nearest] = JSON.parse(
+      html.match(/data-nearest="([^"]*)"/)[1].replaceAll('&#x22;', '"'),
+    );
+    expect(nearest.literal).toBe('13px');
+    expect(nearest.candidates[0]).toMatchObject({
+      name: '--font-size-small',
+      value: '0.867rem',
+      kind: 'dimension',
+    });
+  });
+
+  test('flags base color tokens on top of the status', async () => {
+    const css = '.a {\n  color: var(--color-gray-80);\n}';
+    fs.readFile.mockResolvedValueOnce(css);
+    const { startColumn, endColumn } = getOffsetRange(
+      css.split('\n')[1],
+      'var(--color-gray-80)',
+    );
+
+    const html = await loadAndAnnotateFile('/project/a.css', [
+      {
+        prop: 'color',
+        value: 'var(--color-gray-80)',
+        start: { line: 2, column: startColumn },
+        end: { line: 2, column: endColumn },
+        resolutionTrace: ['var(--color-gray-80)'],
+        containsValidDesignToken: true,
+        isValidPropertyValue: true,
+        baseTokens: ['--color-gray-80'],
+        definitionVariants: [
+          { variable: '--a', isDefault: true, baseTokens: [] },
+          {
+            variable: '--a',
+            isDefault: false,
+            baseTokens: ['--color-gray-80'],
+          },
+        ],
+      },
+    ]);
+
+    expect(html).toMatch(/data-status="good"[^>]* data-baseToken /);
+    const variants = JSON.parse(
+      html.match(/data-variants="([^"]*)"/)[1].replaceAll('&#x22;', '"'),
+    );
+    expect(variants.map((v) => v.baseTokens)).toEqual([
+      [],
+      ['--color-gray-80'],
+    ]);
+  });
+
   test('handles files without matches gracefully', async () => {
     const css = `
       .card {
@@ -168,4 +294,49 @@ describe('loadAndAnnotateFile', () => {
     expect(html).toMatch(/16/);
     expect(html).not.toMatch(/awdty--/);
   });
+
+  test('marks lines referencing Desktop Firefox', async () => {
+    const css =
+      '.a {\n  background-image: url(chrome://browser/skin/a.svg);\n}';
+    fs.readFile.mockResolvedValueOnce(css);
+
+    const html = await loadAndAnnotateFile(
+      '/project/toolkit/a.css',
+      [],
+      [
+        {
+          line: 2,
+          message: 'chrome://browser/skin/a.svg is part of Desktop Firefox',
+        },
+      ],
+    );
+
+    expect(html).toMatch(
+      /class="line line-numbered browser-ref" id="L2" data-line="2" title="chrome:\/\/browser\/skin\/a.svg is part of Desktop Firefox"/,
+    );
+    expect(html).not.toMatch(/id="L1"[^>]*browser-ref|browser-ref[^>]*id="L1"/);
+  });
+
+  test('marks unused custom property definitions', async () => {
+    const css = ':root {\n  --unused: 4px;\n}';
+    fs.readFile.mockResolvedValueOnce(css);
+
+    const html = await loadAndAnnotateFile(
+      '/project/a.css',
+      [],
+      [],
+      [
+        {
+          name: '--unused',
+          status: 'dead',
+          start: { line: 2, column: 3 },
+          end: { line: 2, column: 17 },
+        },
+      ],
+    );
+
+    expect(html).toMatch(
+      /<span class="awdty--unused" data-status="dead-variable"[^>]*>.*--unused/,
+    );
+  });
 });
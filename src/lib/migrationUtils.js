@@ -0,0 +1,271 @@
+import fs from 'node:fs/promises';
+import postcss from 'postcss';
+
+import { parseSource } from './cssParser.js';
+import { collectDeclarations } from './propagationUtils.js';
+import { getTokenSuggestion, isThemedToken } from './suggestionUtils.js';
+import { getCSSVariables, isValidPropertyValue } from './tokenUtils.js';
+
+/**
+ * Suggestion sources that swap a literal for an equivalent value. System color
+ * suggestions map to tokens that look different, so they're left out.
+ */
+const MIGRATABLE_SOURCES = ['fix', 'token'];
+
+/**
+ * @typedef {object} MigrationEdit
+ * @property {string} prop - The CSS property.
+ * @property {string} from - The literal value being replaced.
+ * @property {string} to - The replacement value.
+ * @property {number} start - Offset of the value in the file.
+ * @property {number} end - Offset just past the value in the file.
+ * @property {number} line - The line the declaration starts on.
+ * @property {string} source - The suggestion source, e.g. "fix" or "token".
+ */
+
+/**
+ * A declaration that could be migrated, but whose value couldn't be found in
+ * the file to edit, e.g. because it has comments in it, which postcss strips.
+ *
+ * @typedef {object} SkippedMigration
+ * @property {string} prop - The CSS property.
+ * @property {string} from - The literal value that would have been replaced.
+ * @property {string} to - The replacement value.
+ * @property {number} line - The line the declaration starts on.
+ */
+
+/**
+ * Finds the declarations in a stylesheet whose literal values can be swapped
+ * for design tokens without changing behavior.
+ *
+ * A declaration is migrated when:
+ * - it doesn't already use a valid value and isn't excluded by stylelint,
+ * - the suggestion replaces its authored value, rather than a var it uses,
+ * - every literal maps to a single token, or to a stylelint autofix,
+ * - none of the tokens used vary by theme,
+ * - the rewritten value passes `isValidPropertyValue`.
+ *
+ * @param {string} content - The stylesheet source.
+ * @param {import('postcss').Root} [root] - The parsed stylesheet, if already available.
+ * @returns {{ edits: MigrationEdit[], skipped: SkippedMigration[] }} - Edits
+ * in source order, and the declarations that couldn't be edited.
+ */
+export function getMigrationEdits(content, root = postcss.parse(content)) {
+  const edits = [];
+  const skipped = [];
+
+  for (const decl of collectDeclarations(root, {})) {
+    const { prop, value, start, end, localCustomProperties } = decl;
+    if (
+      decl.isExcludedByStylelint ||
+      isValidPropertyValue(prop, value, localCustomProperties)
+    ) {
+      continue;
+    }
+
+    const suggestion = getTokenSuggestion(prop, value, {
+      localCustomProperties,
+    });
+    if (
+      !suggestion ||
+      suggestion.isAmbiguous ||
+      suggestion.from !== value ||
+      !MIGRATABLE_SOURCES.includes(suggestion.source) ||
+      getCSSVariables(suggestion.value).some(isThemedToken) ||
+      !isValidPropertyValue(prop, suggestion.value, localCustomProperties)
+    ) {
+      continue;
+    }
+
+    // Find the value within the declaration's source, skipping the prop.
+    const declSource = content.slice(start.offset, end.offset);
+    const valueIndex = declSource.indexOf(value, declSource.indexOf(':') + 1);
+    if (valueIndex === -1) {
+      skipped.push({
+        prop,
+        from: value,
+        to: suggestion.value,
+        line: start.line,
+      });
+      continue;
+    }
+
+    edits.push({
+      prop,
+      from: value,
+      to: suggestion.value,
+      start: start.offset + valueIndex,
+      end: start.offset + valueIndex + value.length,
+      line: start.line,
+      source: suggestion.source,
+    });
+  }
+
+  return { edits: edits.sort((a, b) => a.start - b.start), skipped };
+}
+
+/**
+ * Applies edits to some content.
+ *
+ * @param {string} content - The original content.
+ * @param {Array<{ start: number, end: number, to: string }>} edits - Non-overlapping edits.
+ * @returns {string} - The edited content.
+ */
+export function applyEdits(content, edits) {
+  let result = '';
+  let lastIndex = 0;
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    result += content.slice(lastIndex, edit.start) + edit.to;
+    lastIndex = edit.end;
+  }
+  return result + content.slice(lastIndex);
+}
+
+/**
+ * Splits content into lines, noting whether it ends with a newline.
+ *
+ * @param {string} content - The content to split.
+ * @returns {{ lines: string[], hasTrailingNewline: boolean }}
+ */
+function splitLines(content) {
+  const lines = content.split('\n');
+  const hasTrailingNewline = lines.at(-1) === '';
+  if (hasTrailingNewline) {
+    lines.pop();
+  }
+  return { lines, hasTrailingNewline };
+}
+
+/**
+ * Creates a unified diff for a set of edits to a file, suitable for
+ * `git apply` or `patch -p1` from the repo root.
+ *
+ * @param {string} relativePath - Repo-relative path of the file.
+ * @param {string} content - The original content.
+ * @param {Array<{ start: number, end: number, to: string }>} edits - Non-overlapping edits.
+ * @param {number} [context] - Lines of context around each change.
+ * @returns {string} - The diff, or an empty string if nothing changes.
+ */
+export function createUnifiedDiff(relativePath, content, edits, context = 3) {
+  if (!edits.length) {
+    return '';
+  }
+
+  const { lines, hasTrailingNewline } = splitLines(content);
+  const lineStarts = [0];
+  for (const line of lines) {
+    lineStarts.push(lineStarts.at(-1) + line.length + 1);
+  }
+  const getLine = (offset) =>
+    lineStarts.findLastIndex((lineStart) => lineStart <= offset);
+
+  // Group edits on the same or adjacent lines into changes, so the removed
+  // lines of a block are listed before the added ones.
+  const changes = [];
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    const first = getLine(edit.start);
+    const last = getLine(Math.max(edit.start, edit.end - 1));
+    const previous = changes.at(-1);
+    if (previous && first <= previous.last + 1) {
+      previous.last = Math.max(previous.last, last);
+      previous.edits.push(edit);
+    } else {
+      changes.push({ first, last, edits: [edit] });
+    }
+  }
+
+  for (const change of changes) {
+    const offset = lineStarts[change.first];
+    const oldText = lines.slice(change.first, change.last + 1).join('\n');
+    change.newLines = applyEdits(
+      oldText,
+      change.edits.map((edit) => ({
+        ...edit,
+        start: edit.start - offset,
+        end: edit.end - offset,
+      })),
+    ).split('\n');
+  }
+
+  // Group changes whose context overlaps into hunks.
+  const hunks = [];
+  for (const change of changes) {
+    const previous = hunks.at(-1);
+    if (
+      previous &&
+      change.first - previous.changes.at(-1).last <= 2 * context
+    ) {
+      previous.changes.push(change);
+    } else {
+      hunks.push({ changes: [change] });
+    }
+  }
+
+  const noNewline = '\\ No newline at end of file';
+  const output = [`--- a/${relativePath}`, `+++ b/${relativePath}`];
+  let lineDelta = 0;
+
+  for (const { changes: hunkChanges } of hunks) {
+    const oldStart = Math.max(0, hunkChanges[0].first - context);
+    const oldEnd = Math.min(
+      lines.length - 1,
+      hunkChanges.at(-1).last + context,
+    );
+    const body = [];
+    let newCount = 0;
+    let line = oldStart;
+
+    const pushLine = (prefix, text, index) => {
+      body.push(`${prefix}${text}`);
+      if (!hasTrailingNewline && index === lines.length - 1) {
+        body.push(noNewline);
+      }
+    };
+
+    for (const change of hunkChanges) {
+      for (; line < change.first; line++) {
+        pushLine(' ', lines[line], line);
+        newCount++;
+      }
+      for (; line <= change.last; line++) {
+        pushLine('-', lines[line], line);
+      }
+      change.newLines.forEach((newLine, i) => {
+        pushLine(
+          '+',
+          newLine,
+          i === change.newLines.length - 1 ? change.last : -1,
+        );
+      });
+      newCount += change.newLines.length;
+    }
+    for (; line <= oldEnd; line++) {
+      pushLine(' ', lines[line], line);
+      newCount++;
+    }
+
+    const oldCount = oldEnd - oldStart + 1;
+    output.push(
+      `@@ -${oldStart + 1},${oldCount} +${oldStart + 1 + lineDelta},${newCount} @@`,
+      ...body,
+    );
+    lineDelta += newCount - oldCount;
+  }
+
+  return `${output.join('\n')}\n`;
+}
+
+/**
+ * Reads a stylesheet and works out its token migration. Styles embedded in JS
+ * modules and markup keep their positions when extracted, and preprocessed
+ * stylesheets are mapped back to their own lines, so edits apply to the file
+ * as it is.
+ *
+ * @param {string} filePath - Absolute path of the stylesheet.
+ * @returns {Promise<{ content: string, edits: MigrationEdit[], skipped: SkippedMigration[] }>}
+ */
+export async function getFileMigration(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const root = await parseSource(content, filePath);
+  return { content, ...getMigrationEdits(content, root) };
+}
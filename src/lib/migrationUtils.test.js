@@ -0,0 +1,182 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'path';
+
+import {
+  applyEdits,
+  createUnifiedDiff,
+  getFileMigration,
+  getMigrationEdits,
+} from './migrationUtils.js';
+
+describe('getMigrationEdits', () => {
+  test('replaces literals with an unambiguous, equivalent token', () => {
+    const css = `.a {
+  padding: 4px 8px;
+  color: #FFF !important;
+}`;
+    const { edits, skipped } = getMigrationEdits(css);
+
+    expect(skipped).toEqual([]);
+    expect(edits).toEqual([
+      expect.objectContaining({
+        prop: 'padding',
+        from: '4px 8px',
+        to: 'var(--space-xsmall) var(--space-small)',
+        line: 2,
+      }),
+      expect.objectContaining({ prop: 'color', from: '#FFF', to: 'white' }),
+    ]);
+    expect(css.slice(edits[0].start, edits[0].end)).toBe('4px 8px');
+    expect(applyEdits(css, edits)).toBe(`.a {
+  padding: var(--space-xsmall) var(--space-small);
+  color: white !important;
+}`);
+  });
+
+  test('skips valid, excluded, unmatched and theme-dependent values', () => {
+    const css = `.a {
+  --gap: 4px;
+  margin: var(--gap);
+  padding: var(--space-small);
+  /* stylelint-disable-next-line stylelint-plugin-mozilla/use-design-tokens */
+  border-radius: 4px;
+  width: 3px;
+  color: GrayText;
+}`;
+
+    expect(getMigrationEdits(css)).toEqual({ edits: [], skipped: [] });
+  });
+
+  test('reports declarations whose value it cannot find in the file', () => {
+    const css = `.a {
+  padding: 4px /* compact */ 8px;
+}`;
+
+    expect(getMigrationEdits(css)).toEqual({
+      edits: [],
+      skipped: [expect.objectContaining({ prop: 'padding', line: 2 })],
+    });
+  });
+});
+
+describe('getFileMigration', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('edits preprocessed stylesheets in place', async () => {
+    const filePath = path.join(tmpDir, 'theme.css');
+    const content = `%ifdef XP_MACOSX
+.a {
+  padding: 4px 8px;
+}
+%else
+.a {
+  margin: 4px /* compact */ 8px;
+  padding: 8px
+}
+%endif
+`;
+    await fs.writeFile(filePath, content);
+
+    const { edits, skipped } = await getFileMigration(filePath);
+
+    expect(edits.map(({ line, from }) => [line, from])).toEqual([
+      [3, '4px 8px'],
+      [8, '8px'],
+    ]);
+    expect(skipped).toEqual([expect.objectContaining({ line: 7 })]);
+    expect(applyEdits(content, edits)).toBe(`%ifdef XP_MACOSX
+.a {
+  padding: var(--space-xsmall) var(--space-small);
+}
+%else
+.a {
+  margin: 4px /* compact */ 8px;
+  padding: var(--space-small)
+}
+%endif
+`);
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  const content = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+
+  /**
+   * Returns an edit replacing a whole line of `content`.
+   * @param {string} line - The line to replace.
+   * @param {string} to - The replacement.
+   * @returns {{ start: number, end: number, to: string }}
+   */
+  const replaceLine = (line, to) => {
+    const start = content.indexOf(line);
+    return { start, end: start + line.length, to };
+  };
+
+  test('returns an empty string without edits', () => {
+    expect(createUnifiedDiff('x.css', content, [])).toBe('');
+  });
+
+  test('groups nearby changes into one hunk with context', () => {
+    const diff = createUnifiedDiff(
+      'dir/x.css',
+      `${content}\n`,
+      [replaceLine('b', 'B'), replaceLine('c', 'C'), replaceLine('g', 'G')],
+      1,
+    );
+
+    expect(diff).toBe(
+      [
+        '--- a/dir/x.css',
+        '+++ b/dir/x.css',
+        '@@ -1,4 +1,4 @@',
+        ' a',
+        '-b',
+        '-c',
+        '+B',
+        '+C',
+        ' d',
+        '@@ -6,3 +6,3 @@',
+        ' f',
+        '-g',
+        '+G',
+        ' h',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  test('offsets later hunks by added lines and marks a missing final newline', () => {
+    const diff = createUnifiedDiff(
+      'x.css',
+      content,
+      [replaceLine('a', 'a1\na2'), replaceLine('j', 'J')],
+      0,
+    );
+
+    expect(diff).toBe(
+      [
+        '--- a/x.css',
+        '+++ b/x.css',
+        '@@ -1,1 +1,2 @@',
+        '-a',
+        '+a1',
+        '+a2',
+        '@@ -10,1 +11,1 @@',
+        '-j',
+        '\\ No newline at end of file',
+        '+J',
+        '\\ No newline at end of file',
+        '',
+      ].join('\n'),
+    );
+  });
+});
@@ -0,0 +1,344 @@
+import valueParser from 'postcss-value-parser';
+
+import { splitValueComponents } from './componentScoring.js';
+import { memoize } from './memoize.js';
+import { getTokenThemeValues } from './themeUtils.js';
+import { getValidTokensForProp } from './tokenUtils.js';
+
+/**
+ * Root font size used to compare `rem` values with `px` ones.
+ */
+export const ROOT_FONT_SIZE = 16;
+
+/**
+ * How far a token's value can be from a literal to still be a candidate, by
+ * kind: the OKLab ΔE for colors, where 0.02 is about the smallest noticeable
+ * difference, and the difference relative to the larger of the two values for
+ * dimensions and numbers.
+ */
+export const MAX_DISTANCE = {
+  color: 0.1,
+  dimension: 0.5,
+  number: 0.5,
+};
+
+/**
+ * Named colors worth matching against tokens. Other keywords are left alone.
+ */
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  transparent: '#00000000',
+};
+
+/**
+ * @typedef {object} NearestToken
+ * @property {string} name - The token name, e.g. "--color-blue-50".
+ * @property {string} value - The token's value it was compared with.
+ * @property {number} distance - How far the value is from the literal, see
+ * `MAX_DISTANCE`. 0 means they're the same.
+ * @property {'color'|'dimension'|'number'} kind - What sort of value it is.
+ */
+
+/**
+ * @typedef {object} ParsedLiteral
+ * @property {'color'|'dimension'|'number'} kind - What sort of value it is.
+ * @property {number[]} [lab] - OKLab coordinates and alpha of colors.
+ * @property {number} [number] - The numeric value of dimensions and numbers,
+ * in pixels for `px` and `rem`.
+ * @property {string} [unit] - The unit of dimensions, with `rem` as "px".
+ */
+
+/**
+ * Parses a number or percentage, with percentages scaled so 100% is `max`.
+ *
+ * @param {string} part - e.g. "0.5" or "50%".
+ * @param {number} max - What 100% is.
+ * @returns {number|null}
+ */
+function parseChannel(part, max) {
+  const { number, unit } = valueParser.unit(part) || {};
+  if (number === undefined || (unit && unit !== '%')) {
+    return null;
+  }
+  return unit === '%' ? (Number(number) / 100) * max : Number(number);
+}
+
+/**
+ * Parses a hue in degrees, turns, radians or gradians into degrees.
+ *
+ * @param {string} part - e.g. "210" or "0.5turn".
+ * @returns {number|null}
+ */
+function parseHue(part) {
+  const { number, unit } = valueParser.unit(part) || {};
+  const perDegree = { '': 1, deg: 1, turn: 360, rad: 180 / Math.PI, grad: 0.9 };
+  if (number === undefined || !(unit in perDegree)) {
+    return null;
+  }
+  return Number(number) * perDegree[unit];
+}
+
+/**
+ * Converts gamma-encoded sRGB channels, from 0 to 1, to OKLab.
+ *
+ * @param {number[]} rgb - Red, green and blue.
+ * @returns {number[]} - Lightness, a and b.
+ */
+function srgbToOklab(rgb) {
+  const [r, g, b] = rgb.map((c) =>
+    c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4,
+  );
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ];
+}
+
+/**
+ * Converts HSL to sRGB channels from 0 to 1.
+ *
+ * @param {number} hue - Hue in degrees.
+ * @param {number} saturation - Saturation from 0 to 1.
+ * @param {number} lightness - Lightness from 0 to 1.
+ * @returns {number[]}
+ */
+function hslToSrgb(hue, saturation, lightness) {
+  const convert = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = saturation * Math.min(lightness, 1 - lightness);
+    return lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [convert(0), convert(8), convert(4)];
+}
+
+/**
+ * Parses a color written as hex, `rgb()`, `hsl()`, `oklab()`, `oklch()` or one
+ * of a few named colors into OKLab, so it can be compared perceptually.
+ *
+ * @param {string} value - A single value, e.g. "#0061e0".
+ * @returns {number[]|null} - Lightness, a, b and alpha, or null if it isn't a
+ * color that can be parsed.
+ */
+export function parseColor(value) {
+  const color = NAMED_COLORS[value] ?? value;
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)?.[1];
+  if (hex) {
+    const full = hex.length <= 4 ? [...hex].map((c) => c + c).join('') : hex;
+    const channels = full.match(/../g).map((c) => parseInt(c, 16) / 255);
+    return [...srgbToOklab(channels), channels[3] ?? 1];
+  }
+
+  const match = color.match(/^(rgba?|hsla?|oklab|oklch)\((.*)\)$/);
+  const parts = match?.[2].split(/[\s,/]+/).filter(Boolean);
+  if (!parts || parts.length < 3 || parts.length > 4) {
+    return null;
+  }
+
+  const alpha = parts[3] === undefined ? 1 : parseChannel(parts[3], 1);
+  let channels;
+  switch (match[1]) {
+    case 'rgb':
+    case 'rgba': {
+      const rgb = parts.slice(0, 3).map((part) => parseChannel(part, 255));
+      channels = !rgb.includes(null) && srgbToOklab(rgb.map((c) => c / 255));
+      break;
+    }
+    case 'hsl':
+    case 'hsla': {
+      const hue = parseHue(parts[0]);
+      const saturation = parseChannel(parts[1], 1);
+      const lightness = parseChannel(parts[2], 1);
+      channels =
+        hue !== null &&
+        saturation !== null &&
+        lightness !== null &&
+        srgbToOklab(hslToSrgb(hue, saturation, lightness));
+      break;
+    }
+    case 'oklab':
+      channels = [
+        parseChannel(parts[0], 1),
+        parseChannel(parts[1], 0.4),
+        parseChannel(parts[2], 0.4),
+      ];
+      break;
+    case 'oklch': {
+      const chroma = parseChannel(parts[1], 0.4);
+      const hue = parseHue(parts[2]);
+      channels = chroma !== null &&
+        hue !== null && [
+          parseChannel(parts[0], 1),
+          chroma * Math.cos((hue * Math.PI) / 180),
+          chroma * Math.sin((hue * Math.PI) / 180),
+        ];
+      break;
+    }
+  }
+
+  if (!channels || channels.includes(null) || alpha === null) {
+    return null;
+  }
+  return [...channels, Math.min(Math.max(alpha, 0), 1)];
+}
+
+/**
+ * Parses a single literal value into something that can be compared with
+ * token values. Zero, keywords, vars and other functions aren't.
+ *
+ * @param {string} literal - A single value, e.g. "#0061e0" or "13px".
+ * @returns {ParsedLiteral|null}
+ */
+function parseLiteral(literal) {
+  const value = literal.trim().toLowerCase();
+
+  const lab = parseColor(value);
+  if (lab) {
+    return { kind: 'color', lab };
+  }
+
+  const dimension = valueParser.unit(value);
+  if (!dimension || !/^[a-z%]*$/.test(dimension.unit)) {
+    return null;
+  }
+
+  const unit = dimension.unit === 'rem' ? 'px' : dimension.unit;
+  const number =
+    Number(dimension.number) * (dimension.unit === 'rem' ? ROOT_FONT_SIZE : 1);
+  if (!Number.isFinite(number)) {
+    return null;
+  }
+  return { kind: unit ? 'dimension' : 'number', number, unit };
+}
+
+/**
+ * Returns how far apart two parsed literals of the same kind are: the OKLab
+ * ΔE for colors, with the difference in alpha included, and the difference
+ * relative to the larger value for dimensions and numbers in the same unit.
+ *
+ * @param {ParsedLiteral} a - One literal.
+ * @param {ParsedLiteral} b - The other literal.
+ * @returns {number} - The distance, or Infinity if they can't be compared.
+ */
+function getDistance(a, b) {
+  if (a.kind !== b.kind) {
+    return Infinity;
+  }
+
+  if (a.kind === 'color') {
+    return Math.hypot(...a.lab.map((channel, i) => channel - b.lab[i]));
+  }
+
+  if (a.unit !== b.unit) {
+    return Infinity;
+  }
+  const largest = Math.max(Math.abs(a.number), Math.abs(b.number));
+  return largest === 0 ? 0 : Math.abs(a.number - b.number) / largest;
+}
+
+/**
+ * Parses the values of the tokens valid for a property. Tokens are compared
+ * with their value in the default light theme, or in the brand theme for
+ * tokens only the brand and platform themes set.
+ *
+ * @param {string} prop - The CSS property.
+ * @returns {Array<{ name: string, value: string, parsed: ParsedLiteral }>}
+ *
+ * @private
+ */
+function __getComparableTokens(prop) {
+  const tokens = [];
+  for (const name of getValidTokensForProp(prop)) {
+    const themes = getTokenThemeValues(name)?.themes ?? [];
+    const { values } =
+      ['all', 'light', 'brand', 'platform']
+        .map((theme) => themes.find((entry) => entry.theme === theme))
+        .find(Boolean) ?? {};
+    const parsed = values && parseLiteral(values[0]);
+    if (parsed) {
+      tokens.push({ name, value: values[0], parsed });
+    }
+  }
+  return tokens;
+}
+
+const getComparableTokens = memoize(__getComparableTokens);
+
+/**
+ * Ranks the tokens valid for a property by how close their value is to a
+ * literal, e.g. `--color-blue-50` for `color: #0061e0`, or
+ * `--font-size-small` for `font-size: 13px`.
+ *
+ * Colors are compared perceptually, by their distance in OKLab, and
+ * dimensions by their relative difference once `rem` is converted to `px`.
+ * Only tokens within `MAX_DISTANCE` of the literal are returned.
+ *
+ * @param {string} prop - The CSS property, e.g. "color".
+ * @param {string} literal - A single value, e.g. "#0061e0".
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of tokens to return.
+ * @param {number} [options.maxDistance] - Overrides `MAX_DISTANCE` for the
+ * literal's kind.
+ * @returns {NearestToken[]} - The closest tokens first.
+ */
+export function findNearestTokens(
+  prop,
+  literal,
+  { limit = 3, maxDistance } = {},
+) {
+  const parsed = parseLiteral(literal);
+  if (!parsed || (parsed.kind !== 'color' && parsed.number === 0)) {
+    return [];
+  }
+
+  const threshold = maxDistance ?? MAX_DISTANCE[parsed.kind];
+  const candidates = [];
+  for (const token of getComparableTokens(prop)) {
+    const distance = getDistance(parsed, token.parsed);
+    if (distance <= threshold) {
+      candidates.push({
+        name: token.name,
+        value: token.value,
+        // Rounded so floating point noise doesn't hide exact matches.
+        distance: +distance.toFixed(4),
+        kind: parsed.kind,
+      });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Finds the nearest tokens for each literal in a value, e.g. for both `7px`
+ * and `13px` in `padding: 7px 13px`.
+ *
+ * @param {string} prop - The CSS property.
+ * @param {string} value - The value, e.g. "1px solid #0061e0".
+ * @param {object} [options] - Options for `findNearestTokens`.
+ * @returns {Array<{ literal: string, candidates: NearestToken[] }>} - Literals
+ * with at least one candidate, in the order they're used.
+ */
+export function getNearestTokens(prop, value, options) {
+  const nearest = [];
+  const seen = new Set();
+  for (const literal of splitValueComponents(value)) {
+    if (seen.has(literal)) {
+      continue;
+    }
+    seen.add(literal);
+
+    const candidates = findNearestTokens(prop, literal, options);
+    if (candidates.length) {
+      nearest.push({ literal, candidates });
+    }
+  }
+  return nearest;
+}
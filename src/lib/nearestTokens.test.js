@@ -0,0 +1,109 @@
+import {
+  findNearestTokens,
+  getNearestTokens,
+  parseColor,
+} from './nearestTokens.js';
+import { getValidTokensForProp } from './tokenUtils.js';
+
+describe('parseColor', () => {
+  test('parses the same color the same way however it is written', () => {
+    const white = parseColor('#ffffff');
+    expect(white[0]).toBeCloseTo(1);
+    expect(white[3]).toBe(1);
+    for (const color of ['#fff', 'rgb(255, 255, 255)', 'hsl(0 0% 100%)']) {
+      parseColor(color).forEach((channel, i) => {
+        expect(channel).toBeCloseTo(white[i]);
+      });
+    }
+    expect(parseColor('white')).toEqual(white);
+    expect(parseColor('rgb(0 0 0 / 50%)')[3]).toBe(0.5);
+  });
+
+  test('parses oklch as OKLab', () => {
+    const [lightness, a, b] = parseColor('oklch(55% 0.24 260)');
+    expect(lightness).toBeCloseTo(0.55);
+    expect(Math.hypot(a, b)).toBeCloseTo(0.24);
+  });
+
+  test('returns null for values that are not colors', () => {
+    expect(parseColor('currentColor')).toBeNull();
+    expect(parseColor('var(--color)')).toBeNull();
+    expect(parseColor('color-mix(in srgb, red, blue)')).toBeNull();
+    expect(parseColor('rgb(1px, 2, 3)')).toBeNull();
+  });
+});
+
+describe('findNearestTokens', () => {
+  test('ranks dimension tokens by relative difference, in px', () => {
+    const [nearest, ...others] = findNearestTokens('font-size', '13px');
+
+    expect(nearest).toEqual({
+      name: '--font-size-small',
+      value: '0.867rem',
+      distance: 0.0629,
+      kind: 'dimension',
+    });
+    expect(others.length).toBeLessThanOrEqual(2);
+    expect(others.every(({ distance }) => distance >= nearest.distance)).toBe(
+      true,
+    );
+  });
+
+  test('ranks color tokens by their distance in OKLab', () => {
+    const candidates = findNearestTokens('color', '#0061E0', { limit: 10 });
+
+    expect(candidates.length).toBeGreaterThan(0);
+    expect(candidates.map(({ distance }) => distance)).toEqual(
+      candidates.map(({ distance }) => distance).sort((a, b) => a - b),
+    );
+    expect(
+      candidates.every(
+        ({ distance, kind }) => distance < 0.1 && kind === 'color',
+      ),
+    ).toBe(true);
+  });
+
+  test('finds tokens with the same value at a distance of 0', () => {
+    const [nearest] = findNearestTokens('padding', '0.5rem');
+
+    expect(nearest.distance).toBe(0);
+    expect(findNearestTokens('padding', '8px')[0]).toEqual(nearest);
+  });
+
+  test('only returns tokens valid for the property', () => {
+    const validTokens = getValidTokensForProp('padding');
+
+    const candidates = findNearestTokens('padding', '13px', { limit: 20 });
+
+    expect(candidates.length).toBeGreaterThan(0);
+    expect(candidates.every(({ name }) => validTokens.has(name))).toBe(true);
+    expect(findNearestTokens('not-a-property', '13px')).toEqual([]);
+  });
+
+  test('leaves out tokens further away than the maximum distance', () => {
+    expect(findNearestTokens('font-size', '13px', { maxDistance: 0 })).toEqual(
+      [],
+    );
+    expect(findNearestTokens('font-size', '500px')).toEqual([]);
+  });
+
+  test('returns nothing for zero, keywords and vars', () => {
+    expect(findNearestTokens('padding', '0')).toEqual([]);
+    expect(findNearestTokens('padding', 'auto')).toEqual([]);
+    expect(findNearestTokens('color', 'var(--text-color)')).toEqual([]);
+  });
+});
+
+describe('getNearestTokens', () => {
+  test('finds the nearest tokens for each literal in a value', () => {
+    const nearest = getNearestTokens(
+      'border',
+      '1px solid var(--border-color) 1px',
+    );
+
+    expect(nearest).toEqual([
+      { literal: '1px', candidates: expect.any(Array) },
+    ]);
+    expect(nearest[0].candidates[0].distance).toBe(0);
+  });
+});
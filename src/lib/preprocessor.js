@@ -0,0 +1,424 @@
+import fs from 'node:fs/promises';
+import path from 'path';
+import config from '../../config.js';
+
+/**
+ * Matches a Firefox build preprocessor directive. Stylesheets use `%` as the
+ * marker rather than `#`, e.g. `%ifdef XP_MACOSX` or `%include foo.inc.css`.
+ */
+const DIRECTIVE_PATTERN = /^%\s*([a-z]+)\b[ \t]*(.*?)\s*$/;
+
+/**
+ * @typedef {object} SourceLine
+ * @property {string} file - Absolute path of the file the line comes from.
+ * @property {number} line - Line number in that file.
+ * @property {boolean} included - Whether the line was pulled in by `%include`.
+ * @property {string[]} conditions - The conditional blocks the line is in,
+ * outermost first, e.g. `['%ifdef XP_MACOSX']`. Only recorded when conditions
+ * aren't evaluated.
+ */
+
+/**
+ * Returns true if a stylesheet uses preprocessor directives.
+ *
+ * @param {string} source - The stylesheet source.
+ * @returns {boolean}
+ */
+export function isPreprocessed(source) {
+  return source.split('\n').some((line) => DIRECTIVE_PATTERN.test(line));
+}
+
+/**
+ * Parses a directive line.
+ *
+ * @param {string} line - A line of the stylesheet.
+ * @returns {{ name: string, args: string }|null} - The directive, or null if the line isn't one.
+ */
+export function parseDirective(line) {
+  const match = line.match(DIRECTIVE_PATTERN);
+  return match ? { name: match[1], args: match[2] } : null;
+}
+
+/**
+ * Evaluates a `%if` / `%elif` expression against a set of defines.
+ *
+ * Supports `defined(NAME)`, bare names (true when defined and not "0"),
+ * `!`, `&&`, `||`, `==`, `!=` and parentheses.
+ *
+ * @param {string} expression - The expression, e.g. "defined(XP_WIN) && !MOZ_X".
+ * @param {Record<string, string>} defines - Defined names and their values.
+ * @returns {boolean}
+ */
+export function evaluateCondition(expression, defines) {
+  const tokens =
+    expression.match(/defined\s*\(\s*\w+\s*\)|&&|\|\||[!=]=|[!()]|[\w.-]+/g) ??
+    [];
+  let index = 0;
+
+  const value = (token) => {
+    const defined = token.match(/^defined\s*\(\s*(\w+)\s*\)$/);
+    if (defined) {
+      return defined[1] in defines;
+    }
+    return token in defines ? defines[token] : token;
+  };
+  const truthy = (result) =>
+    typeof result === 'boolean' ? result : result !== '' && result !== '0';
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (token === '!') {
+      return !truthy(parsePrimary());
+    }
+    if (token === '(') {
+      const result = parseOr();
+      index++;
+      return result;
+    }
+    const left = value(token);
+    if (tokens[index] === '==' || tokens[index] === '!=') {
+      const operator = tokens[index++];
+      const right = value(tokens[index++]);
+      return operator === '==' ? left === right : left !== right;
+    }
+    return token in defines || token?.startsWith('defined')
+      ? left
+      : // Undefined names are false, like in the build preprocessor.
+        false;
+  };
+  const parseAnd = () => {
+    let result = truthy(parsePrimary());
+    while (tokens[index] === '&&') {
+      index++;
+      result = truthy(parsePrimary()) && result;
+    }
+    return result;
+  };
+  const parseOr = () => {
+    let result = parseAnd();
+    while (tokens[index] === '||') {
+      index++;
+      result = parseAnd() || result;
+    }
+    return result;
+  };
+
+  return parseOr();
+}
+
+/**
+ * Resolves the path of an `%include`, relative to the including file or, if
+ * there's no such file, to the repo root.
+ *
+ * @param {string} includePath - The path given to `%include`.
+ * @param {string} fromFile - Absolute path of the including file.
+ * @param {string} repoPath - Root of the repo.
+ * @returns {Promise<string|null>} - Absolute path of the included file, or null if it doesn't exist.
+ */
+async function resolveInclude(includePath, fromFile, repoPath) {
+  const candidates = [
+    path.resolve(path.dirname(fromFile), includePath),
+    path.resolve(repoPath, includePath.replace(/^\/+/, '')),
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Try the next candidate.
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Labels the branch of a conditional block that follows `%else`.
+ *
+ * @param {string[]} branches - The labels of the block's earlier branches.
+ * @returns {string}
+ */
+function getElseLabel(branches) {
+  if (branches.length === 1) {
+    const [, name, args] = branches[0].match(/^%(\w+)\s*(.*)$/);
+    if (name === 'ifdef') {
+      return `%ifndef ${args}`;
+    }
+    if (name === 'ifndef') {
+      return `%ifdef ${args}`;
+    }
+  }
+  return `%else (not ${branches.join(', ')})`;
+}
+
+/**
+ * Runs a stylesheet through the subset of the Firefox build preprocessor
+ * that stylesheets use.
+ *
+ * Directive lines are replaced with empty lines. `%include` is expanded in
+ * place. Conditional blocks are evaluated when `defines` is given, with lines
+ * in branches that aren't taken left empty. Otherwise every branch is kept
+ * and its lines are labelled with the conditions they depend on, so they can
+ * be told apart per platform. `%filter substitution` replaces `@NAME@` with
+ * the value of defined names.
+ *
+ * Every output line is mapped back to the file and line it came from.
+ *
+ * @param {string} source - The stylesheet source.
+ * @param {string} filePath - Absolute path of the stylesheet.
+ * @param {object} [options]
+ * @param {Record<string, string>|null} [options.defines] - Defined names to evaluate conditions with.
+ * @param {string} [options.repoPath] - Root of the repo, for includes that aren't relative to the file.
+ * @returns {Promise<{ css: string, lineMap: SourceLine[], includedFiles: string[] }>}
+ * The CSS, the source of each of its lines (zero-indexed) and the files included.
+ */
+export async function preprocess(
+  source,
+  filePath,
+  { defines = config.preprocessorDefines, repoPath = config.repoPath } = {},
+) {
+  const isEvaluating = Boolean(defines);
+  const activeDefines = { ...defines };
+  const output = [];
+  const lineMap = [];
+  const includedFiles = new Set();
+  let substitute = false;
+
+  /**
+   * Appends the lines of a file to the output.
+   *
+   * @param {string} text - The file's content.
+   * @param {string} file - Absolute path of the file.
+   * @param {object} state - Where the file is being expanded.
+   * @param {boolean} state.included - Whether the file was included.
+   * @param {string[]} state.conditions - Conditions of the `%include` line.
+   * @param {Set<string>} state.ancestors - Files being expanded, to stop include cycles.
+   * @returns {Promise<void>}
+   */
+  async function expand(text, file, { included, conditions, ancestors }) {
+    // Each block is { branches, taken, active, isElse }.
+    const blocks = [];
+    const isActive = () => blocks.every((block) => block.active);
+    const getConditions = () => [
+      ...conditions,
+      ...blocks.map((block) =>
+        block.isElse ? getElseLabel(block.branches) : block.branches.at(-1),
+      ),
+    ];
+
+    const lines = text.split('\n');
+    for (const [index, rawLine] of lines.entries()) {
+      const sourceLine = {
+        file,
+        line: index + 1,
+        included,
+        conditions: isEvaluating ? [] : getConditions(),
+      };
+      const directive = parseDirective(rawLine);
+
+      if (!directive) {
+        let line = isActive() ? rawLine : '';
+        if (substitute && line) {
+          line = line.replace(/@(\w+)@/g, (match, name) =>
+            name in activeDefines ? activeDefines[name] : match,
+          );
+        }
+        output.push(line);
+        lineMap.push(sourceLine);
+        continue;
+      }
+
+      output.push('');
+      lineMap.push(sourceLine);
+
+      const { name, args } = directive;
+      const label = `%${name}${args ? ` ${args}` : ''}`;
+      const evaluate = () => {
+        switch (name) {
+          case 'ifdef':
+          case 'elifdef':
+            return args in activeDefines;
+          case 'ifndef':
+          case 'elifndef':
+            return !(args in activeDefines);
+          default:
+            return evaluateCondition(args, activeDefines);
+        }
+      };
+
+      switch (name) {
+        case 'if':
+        case 'ifdef':
+        case 'ifndef': {
+          const active = !isEvaluating || evaluate();
+          blocks.push({
+            branches: [label],
+            taken: active,
+            active,
+            isElse: false,
+          });
+          break;
+        }
+        case 'elif':
+        case 'elifdef':
+        case 'elifndef': {
+          const block = blocks.at(-1);
+          if (block) {
+            block.branches.push(label);
+            block.active = !isEvaluating || (!block.taken && evaluate());
+            block.taken ||= block.active;
+          }
+          break;
+        }
+        case 'else': {
+          const block = blocks.at(-1);
+          if (block) {
+            block.isElse = true;
+            block.active = !isEvaluating || !block.taken;
+          }
+          break;
+        }
+        case 'endif':
+          blocks.pop();
+          break;
+        case 'define': {
+          if (isActive()) {
+            const [defineName, ...value] = args.split(/\s+/);
+            activeDefines[defineName] = value.join(' ') || '1';
+          }
+          break;
+        }
+        case 'undef':
+          if (isActive()) {
+            delete activeDefines[args];
+          }
+          break;
+        case 'filter':
+        case 'unfilter':
+          if (isActive() && args.split(/\s+/).includes('substitution')) {
+            substitute = name === 'filter' && isEvaluating;
+          }
+          break;
+        case 'include': {
+          if (!isActive()) {
+            break;
+          }
+          const includePath = await resolveInclude(args, file, repoPath);
+          if (!includePath || ancestors.has(includePath)) {
+            break;
+          }
+          let includeSource;
+          try {
+            includeSource = await fs.readFile(includePath, 'utf8');
+          } catch {
+            break;
+          }
+          includedFiles.add(includePath);
+          await expand(includeSource, includePath, {
+            included: true,
+            conditions: sourceLine.conditions,
+            ancestors: new Set([...ancestors, includePath]),
+          });
+          break;
+        }
+        default:
+          // e.g. %literal, %expand or %error, which don't affect the CSS.
+          break;
+      }
+    }
+  }
+
+  await expand(source, filePath, {
+    included: false,
+    conditions: [],
+    ancestors: new Set([filePath]),
+  });
+
+  return {
+    css: output.join('\n'),
+    lineMap,
+    includedFiles: [...includedFiles].sort(),
+  };
+}
+
+/**
+ * Returns the offsets at which each line of some text starts.
+ *
+ * @param {string} text - The text.
+ * @returns {number[]}
+ */
+function getLineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Maps the positions of every node in a parsed preprocessed stylesheet back to
+ * the file and line they came from.
+ *
+ * Positions of nodes from the stylesheet itself are rewritten to its own
+ * lines and offsets. Every node also gets `source.preprocessor` with its
+ * `SourceLine`, so included content and conditional blocks can be told apart.
+ *
+ * @param {import('postcss').Root} root - The parsed output of `preprocess`.
+ * @param {SourceLine[]} lineMap - The line map from `preprocess`.
+ * @param {string} source - The original stylesheet source, for offsets.
+ * @returns {import('postcss').Root} - The same root.
+ */
+export function mapPreprocessedPositions(root, lineMap, source) {
+  const lineStarts = getLineStarts(source);
+
+  // Columns are 1-based and inclusive, while PostCSS end offsets point just
+  // past the node's last character.
+  const mapPosition = (position, isEnd = false) => {
+    const sourceLine = lineMap[position.line - 1];
+    if (!sourceLine) {
+      return position;
+    }
+    return {
+      ...position,
+      line: sourceLine.line,
+      offset: sourceLine.included
+        ? position.offset
+        : lineStarts[sourceLine.line - 1] + position.column - (isEnd ? 0 : 1),
+    };
+  };
+
+  root.walk((node) => {
+    if (!node.source?.start) {
+      return;
+    }
+    node.source.preprocessor = lineMap[node.source.start.line - 1];
+    node.source.start = mapPosition(node.source.start);
+    if (node.source.end) {
+      node.source.end = mapPosition(node.source.end, true);
+    }
+  });
+
+  return root;
+}
+
+/**
+ * Lists the files a stylesheet pulls in with `%include`, at any depth.
+ *
+ * @param {string} filePath - Absolute path of the stylesheet.
+ * @returns {Promise<string[]>} - Absolute paths, sorted.
+ */
+export async function getIncludedFiles(filePath) {
+  let source;
+  try {
+    source = await fs.readFile(filePath, 'utf8');
+  } catch {
+    return [];
+  }
+  if (!isPreprocessed(source)) {
+    return [];
+  }
+  return (await preprocess(source, filePath)).includedFiles;
+}
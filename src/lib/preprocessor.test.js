@@ -0,0 +1,193 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'path';
+import postcss from 'postcss';
+import {
+  evaluateCondition,
+  getIncludedFiles,
+  isPreprocessed,
+  mapPreprocessedPositions,
+  parseDirective,
+  preprocess,
+} from './preprocessor.js';
+
+describe('parseDirective', () => {
+  test('parses directive lines', () => {
+    expect(parseDirective('%ifdef XP_MACOSX')).toEqual({
+      name: 'ifdef',
+      args: 'XP_MACOSX',
+    });
+    expect(parseDirective('%endif')).toEqual({ name: 'endif', args: '' });
+    expect(parseDirective('  .a { width: 10%; }')).toBeNull();
+    expect(isPreprocessed('.a {}\n%include b.css\n')).toBe(true);
+    expect(isPreprocessed('.a { width: 10%; }')).toBe(false);
+  });
+});
+
+describe('evaluateCondition', () => {
+  const defines = { XP_WIN: '1', MOZ_BRANDING: 'official', OFF: '0' };
+
+  test.each([
+    ['defined(XP_WIN)', true],
+    ['!defined(XP_WIN)', false],
+    ['XP_WIN && !XP_MACOSX', true],
+    ['XP_MACOSX || OFF', false],
+    ['MOZ_BRANDING == official', true],
+    ['MOZ_BRANDING != official', false],
+    ['(XP_MACOSX || XP_WIN) && defined(MOZ_BRANDING)', true],
+  ])('%s is %s', (expression, expected) => {
+    expect(evaluateCondition(expression, defines)).toBe(expected);
+  });
+});
+
+describe('preprocess', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'preprocessor-'));
+    await fs.mkdir(path.join(tmpDir, 'shared'));
+    await fs.writeFile(
+      path.join(tmpDir, 'shared', 'vars.inc.css'),
+      ':root {\n  --shared-color: red;\n}\n%include ../loop.css',
+    );
+    await fs.writeFile(
+      path.join(tmpDir, 'loop.css'),
+      '%include shared/vars.inc.css\n',
+    );
+    filePath = path.join(tmpDir, 'theme.css');
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const source = [
+    '%include shared/vars.inc.css',
+    '.a {',
+    '%ifdef XP_MACOSX',
+    '  color: red;',
+    '%else',
+    '  color: blue;',
+    '%endif',
+    '}',
+  ].join('\n');
+
+  test('expands includes and keeps every branch when conditions are not evaluated', async () => {
+    const { css, lineMap, includedFiles } = await preprocess(source, filePath, {
+      defines: null,
+      repoPath: tmpDir,
+    });
+
+    const vars = path.join(tmpDir, 'shared', 'vars.inc.css');
+    const loop = path.join(tmpDir, 'loop.css');
+    expect(css.split('\n')).toEqual([
+      '',
+      ':root {',
+      '  --shared-color: red;',
+      '}',
+      '',
+      // loop.css includes vars.inc.css again, which is skipped.
+      '',
+      '',
+      '.a {',
+      '',
+      '  color: red;',
+      '',
+      '  color: blue;',
+      '',
+      '}',
+    ]);
+    expect(css.split('\n')).toHaveLength(lineMap.length);
+    expect(includedFiles).toEqual([loop, vars]);
+    expect(lineMap[2]).toEqual({
+      file: vars,
+      line: 2,
+      included: true,
+      conditions: [],
+    });
+    expect(lineMap[7]).toEqual({
+      file: filePath,
+      line: 2,
+      included: false,
+      conditions: [],
+    });
+    expect(lineMap[9].conditions).toEqual(['%ifdef XP_MACOSX']);
+    expect(lineMap[11].conditions).toEqual(['%ifndef XP_MACOSX']);
+  });
+
+  test('evaluates conditions and substitutions against defines', async () => {
+    const { css } = await preprocess(
+      [
+        '%filter substitution',
+        '%ifdef XP_MACOSX',
+        '.a { color: red; }',
+        '%elif MOZ_BRANDING == official',
+        '.a { color: @ACCENT@; }',
+        '%else',
+        '.a { color: blue; }',
+        '%endif',
+      ].join('\n'),
+      filePath,
+      { defines: { MOZ_BRANDING: 'official', ACCENT: 'orange' } },
+    );
+
+    expect(css.split('\n').filter(Boolean)).toEqual(['.a { color: orange; }']);
+  });
+});
+
+describe('mapPreprocessedPositions', () => {
+  test('maps node positions back to the lines of the file', async () => {
+    const source =
+      '%ifdef XP_WIN\n.a { color: red; }\n%endif\n.b { margin: 0; }';
+    const { css, lineMap } = await preprocess(source, '/theme.css', {
+      defines: null,
+      repoPath: '/',
+    });
+
+    const root = mapPreprocessedPositions(postcss.parse(css), lineMap, source);
+    const decls = [];
+    root.walkDecls((decl) => decls.push(decl));
+
+    expect(decls.map(({ source: { start } }) => start)).toEqual([
+      { line: 2, column: 6, offset: source.indexOf('color') },
+      { line: 4, column: 6, offset: source.indexOf('margin') },
+    ]);
+    expect(decls[0].source.preprocessor.conditions).toEqual(['%ifdef XP_WIN']);
+  });
+
+  test('maps start and end offsets to the same ones as an unprocessed parse', async () => {
+    const source =
+      '%ifdef XP_WIN\n.a { color: red; }\n%endif\n.b {\n  margin: 0;\n}';
+    const { css, lineMap } = await preprocess(source, '/theme.css', {
+      defines: null,
+      repoPath: '/',
+    });
+
+    const root = mapPreprocessedPositions(postcss.parse(css), lineMap, source);
+    const decls = [];
+    root.walkDecls((decl) => decls.push(decl));
+    const unprocessed = [];
+    postcss.parse(source).walkDecls((decl) => unprocessed.push(decl));
+
+    expect(
+      decls.map(({ source: { start, end } }) => [start.offset, end.offset]),
+    ).toEqual(
+      unprocessed.map(({ source: { start, end } }) => [
+        start.offset,
+        end.offset,
+      ]),
+    );
+    expect(
+      decls.map(({ source: { start, end } }) =>
+        source.slice(start.offset, end.offset),
+      ),
+    ).toEqual(['color: red;', 'margin: 0;']);
+  });
+});
+
+describe('getIncludedFiles', () => {
+  test('returns nothing for stylesheets without includes', async () => {
+    expect(await getIncludedFiles('/does/not/exist.css')).toEqual([]);
+  });
+});
@@ -3,23 +3,51 @@ import path from 'path';
 import config from '../../config.js';
 import { minimatch } from 'minimatch';
 
-import { parseCSS } from './cssParser.js';
+import { getNodeContext, parseCSS } from './cssParser.js';
+import { getContextTags } from './contextUtils.js';
+import {
+  getStylelintExclusions,
+  NO_BASE_DESIGN_TOKENS_RULE,
+} from './stylelintDirectives.js';
+import {
+  computeWeightedPercentage,
+  mergeCategoryBreakdowns,
+  mergeContextBreakdowns,
+} from './groupingUtils.js';
+import { getTokenSuggestion } from './suggestionUtils.js';
+import {
+  computeComponentSummary,
+  scoreDeclarationComponents,
+} from './componentScoring.js';
 import {
   isVariableDefinition,
   isTokenizableProperty,
   extractDesignTokenIdsFromDecl,
+  getBaseTokens,
 } from './tokenUtils.js';
 
 import { getExternalVars, getVarData } from './externalVars.js';
+import { collectImportedFiles, collectImportedVars } from './importUtils.js';
+import { getIncludedFiles } from './preprocessor.js';
+import { findBrowserRefs, isToolkitFile } from './browserRefs.js';
+import { collectCustomPropertyUsage } from './unusedVars.js';
+import { getNearestTokens } from './nearestTokens.js';
+import { getPropertyCategories } from './categoryUtils.js';
 import {
-  buildResolutionTrace,
+  traceResolution,
   analyzeTrace,
   getResolutionSources,
   getUnresolvedVariablesFromTrace,
   classifyResolutionFromTrace,
+  getImportChains,
+  getInferredVariables,
+  getDefinitionVariants,
 } from './resolutionUtils.js';
 
-import { getLocalCustomProperties } from '../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/helpers.mjs';
+import {
+  getLocalCustomProperties,
+  isSystemColor,
+} from '../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/helpers.mjs';
 
 /**
  * Convert an absolute file path to a repo-relative path for output.
@@ -49,36 +77,99 @@ export function normalizePathForOutput(absolutePath) {
  * - Identifying token usage
  * - Tracking unresolved variables
  * - Calculating a token usage percentage
+ * - Finding references to Desktop Firefox from toolkit files
+ * - Recording custom property definitions and uses, for `findUnusedVariables`
  *
  * @param {string} filePath - Absolute path to the CSS file.
  * @param {Function} _collectExternalVars - optional function for dependency injection.
+ * @param {object} [options]
+ * @param {object|null} [options.varIndex] - Repo-wide variable index used as a resolution fallback.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [options.run] - Run to add the file's token usage findings to.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [options.caches] - Run
+ * whose caches to read external vars and imports through, `run` by default.
+ * @param {Function} [options.parse] - CSS parser to use instead of postcss's own, see `parseCSS`.
+ * @param {boolean} [options.componentScoring] - Also score each component of
+ * multi-value declarations, see `scoreDeclarationComponents`.
  * @returns {Promise<{
  *   designTokenCount: number,
+ *   inferredTokenCount: number,
+ *   mixedValueCount: number,
+ *   ignoredValueCount: number,
+ *   baseTokenCount: number,
  *   foundProps: number,
+ *   contextBreakdown: object,
+ *   categoryBreakdown: object,
  *   percentage: number,
  *   foundPropValues: object[],
- *   foundVariables: object
+ *   foundVariables: object,
+ *   customProperties: import('./unusedVars.js').CustomPropertyUsage,
+ *   browserRefs?: import('./browserRefs.js').BrowserRef[],
+ *   componentTokenCount?: number,
+ *   componentCount?: number,
+ *   componentPercentage?: number
  * }>} - Summary object including token count, percentage, and annotated data.
+ * References to Desktop Firefox are only included for toolkit files that have
+ * them, and the component figures only with `componentScoring`.
  */
 export async function getPropagationData(
   filePath,
   _collectExternalVars = collectExternalVars,
+  {
+    varIndex = null,
+    run = null,
+    caches = run,
+    parse,
+    componentScoring = config.componentScoring,
+  } = {},
 ) {
   try {
-    const foundVariables = await _collectExternalVars(filePath);
+    const root = await parseCSS(filePath, { parse });
 
-    const root = await parseCSS(filePath);
+    const foundVariables = await _collectExternalVars(filePath, root, caches);
 
-    const foundPropValues = collectDeclarations(root, foundVariables, filePath);
+    const foundPropValues = collectDeclarations(root, foundVariables);
 
     await resolveDeclarationReferences(
       foundPropValues,
       foundVariables,
       filePath,
+      varIndex,
     );
 
-    const { designTokenCount, ignoredValueCount } =
-      computeDesignTokenSummary(foundPropValues);
+    if (componentScoring) {
+      for (const decl of foundPropValues) {
+        if (!isIgnoredValue(decl)) {
+          decl.componentScore = scoreDeclarationComponents(
+            decl,
+            foundVariables,
+            varIndex,
+          );
+        }
+      }
+    }
+
+    run?.addFindings(getUsageFindings(foundPropValues, filePath));
+
+    const customProperties = collectCustomPropertyUsage(root);
+
+    const browserRefs = isToolkitFile(filePath)
+      ? findBrowserRefs(root, { foundVariables, varIndex })
+      : [];
+
+    const {
+      designTokenCount,
+      inferredTokenCount,
+      mixedValueCount,
+      ignoredValueCount,
+      baseTokenCount,
+    } = computeDesignTokenSummary(foundPropValues);
+
+    const contextBreakdown = mergeContextBreakdowns([
+      computeContextBreakdown(foundPropValues),
+    ]);
+    const categoryBreakdown = mergeCategoryBreakdowns([
+      computeCategoryBreakdown(foundPropValues),
+    ]);
 
     const foundLessIgnored = foundPropValues.length - ignoredValueCount;
 
@@ -90,92 +181,117 @@ export async function getPropagationData(
 
     return {
       designTokenCount,
+      inferredTokenCount,
+      mixedValueCount,
+      ignoredValueCount,
+      baseTokenCount,
       foundProps: foundPropValues.length,
+      contextBreakdown,
+      categoryBreakdown,
       percentage,
       foundPropValues,
       foundVariables,
+      customProperties,
+      ...(browserRefs.length ? { browserRefs } : {}),
+      ...(componentScoring ? getComponentPercentage(foundPropValues) : {}),
     };
   } catch (err) {
     console.error(`Unable to read or parse ${filePath} ${err.message}`);
-    throw new Error(err);
+    // Keep the original error, so its line and column can be reported.
+    throw new Error(err, { cause: err });
   }
 }
 
 /**
- * Collects external variables for a given file based on pattern matching from config.
- *
- * Skips external files that are the same as the input file.
+ * Returns the files `config.externalVarMapping` pulls vars in from for a file.
  *
- * @param {string} filePath - The file path to match against config.externalVarMapping.
- * @returns {Promise<object>} - Map of variable names to external variable metadata.
+ * @param {string} filePath - Absolute path of the analyzed file.
+ * @returns {string[]} - Absolute paths, in mapping order.
  */
-export async function collectExternalVars(filePath) {
-  let foundVariables = {};
-
+function getMappedVarFiles(filePath) {
+  const mappedFiles = [];
   for (const pattern in config.externalVarMapping) {
     if (minimatch(filePath, `**/${pattern}`)) {
       for (const externalRelPath of config.externalVarMapping[pattern]) {
-        const externalAbsPath = path.resolve(
-          path.join(config.repoPath, externalRelPath),
+        mappedFiles.push(
+          path.resolve(path.join(config.repoPath, externalRelPath)),
         );
-
-        if (externalAbsPath === filePath) {
-          console.log(`Skipping var extraction from ${externalRelPath}`);
-          continue;
-        }
-
-        let extVars = {};
-        try {
-          await fs.access(externalAbsPath, fs.constants.R_OK);
-          extVars = await getExternalVars(externalAbsPath);
-        } catch (e) {
-          console.log(
-            `${externalRelPath} doesn't exist, skipping... ${e.message}`,
-          );
-        }
-
-        foundVariables = { ...foundVariables, ...extVars };
       }
     }
   }
-
-  return foundVariables;
+  return mappedFiles;
 }
 
 /**
- * Checks whether a comment node is a Stylelint disable-next-line directive
- * specifically targeting the `stylelint-plugin-mozilla/use-design-tokens` rule.
+ * Lists the files a file's external vars can come from: those mapped via
+ * `config.externalVarMapping` and, when `config.followImports` is set, every
+ * file reached through its `@import` chains.
  *
- * This is used to detect intentional rule suppression comments like:
- * "stylelint-disable-next-line stylelint-plugin-mozilla/use-design-tokens"
- *
- * @param {object} comment - The AST comment node to evaluate.
- * @param {string} comment.type - The node type (expected to be "comment").
- * @param {string} comment.text - The raw text content of the comment.
- * @returns {boolean} True if the comment disables the specified Stylelint rule on the next line; otherwise false.
+ * @param {string} filePath - Absolute path of the analyzed file.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [run] - Run whose
+ * cache to read imported files through.
+ * @returns {Promise<string[]>} - Absolute paths, sorted and without duplicates.
  */
-function isStylelintDisableNextLine(comment) {
-  return (
-    comment.type === 'comment' &&
-    /^stylelint-disable-next-line\s+stylelint-plugin-mozilla\/use-design-tokens/.test(
-      comment.text.trim(),
-    )
+export async function getExternalVarDependencies(filePath, run = null) {
+  const dependencies = new Set(
+    getMappedVarFiles(filePath).filter((file) => file !== filePath),
   );
+
+  if (config.followImports) {
+    for (const importPath of await collectImportedFiles(filePath, run)) {
+      dependencies.add(importPath);
+    }
+  }
+
+  for (const includePath of await getIncludedFiles(filePath)) {
+    dependencies.add(includePath);
+  }
+
+  return [...dependencies].sort();
 }
 
 /**
- * Determines whether a given comment appears immediately before a node,
- * i.e., on the exact previous line in the source file.
+ * Collects external variables for a given file based on pattern matching from config.
  *
- * This relies on source location metadata.
+ * Skips external files that are the same as the input file.
  *
- * @param {object} node - The AST node to check against.
- * @param {object} comment - The AST comment node.
+ * When `config.followImports` is set, variables reachable through the file's
+ * `@import` chains are collected too. Variables from `config.externalVarMapping`
+ * take precedence over imported ones.
  *
- * @returns {boolean} True if the comment is exactly one line above the node; otherwise false.
+ * @param {string} filePath - The file path to match against config.externalVarMapping.
+ * @param {import('postcss').Root} [root] - The parsed file, used to find its imports.
+ * @param {import('./analysisRun.js').AnalysisRun|null} [run] - Run whose
+ * caches to read external vars and imports through.
+ * @returns {Promise<object>} - Map of variable names to external variable metadata.
  */
-function isExactPreviousLine(node, comment) {
-  return node.source?.start?.line === comment.source?.end?.line + 1;
+export async function collectExternalVars(filePath, root, run = null) {
+  let foundVariables = {};
+
+  if (config.followImports) {
+    foundVariables = await collectImportedVars(filePath, root, run);
+  }
+
+  for (const externalAbsPath of getMappedVarFiles(filePath)) {
+    const externalRelPath = path.relative(config.repoPath, externalAbsPath);
+
+    if (externalAbsPath === filePath) {
+      console.log(`Skipping var extraction from ${externalRelPath}`);
+      continue;
+    }
+
+    let extVars = {};
+    try {
+      await fs.access(externalAbsPath, fs.constants.R_OK);
+      extVars = await getExternalVars(externalAbsPath, run);
+    } catch (e) {
+      console.log(`${externalRelPath} doesn't exist, skipping... ${e.message}`);
+    }
+
+    foundVariables = { ...foundVariables, ...extVars };
+  }
+
+  return foundVariables;
 }
 
 /**
@@ -183,14 +299,14 @@ function isExactPreviousLine(node, comment) {
  * - Tokenizable properties (e.g. `color`, `font-size`)
  * - Variable definitions (`--*`) that are not external
  *
- * Adds new local variables to `foundVariables`.
+ * Adds new local variables to `foundVariables`. The first definition of a
+ * variable is used for resolution, later ones are kept as `alternateDefinitions`.
  *
  * @param {import('postcss').Root} root - Parsed CSS AST.
  * @param {object} foundVariables - Accumulator object for collected variables.
- * @param {string} filePath - Path to the file being analyzed.
  * @returns {object[]} - Array of property declaration objects.
  */
-function collectDeclarations(root, foundVariables, filePath) {
+export function collectDeclarations(root, foundVariables) {
   const declarations = [];
 
   // This is what stylelint uses to gather props and is needed for
@@ -198,39 +314,72 @@ function collectDeclarations(root, foundVariables, filePath) {
   // This might be able to be consolidated with foundVariables later.
   const localCustomProperties = getLocalCustomProperties(root);
 
+  const getStylelintExclusion = getStylelintExclusions(root);
+  const getBaseTokenExclusion = getStylelintExclusions(
+    root,
+    NO_BASE_DESIGN_TOKENS_RULE,
+  );
+
   root.walk((node) => {
     if (!node.prop || !node.value) {
       return;
     }
 
+    // Content pulled in with `%include` is counted in the included file, but
+    // the variables it defines are available to this one.
+    const preprocessor = node.source?.preprocessor;
+    if (preprocessor?.included) {
+      if (isVariableDefinition(node.prop) && !foundVariables[node.prop]) {
+        foundVariables[node.prop] = getVarData(node, {
+          isExternal: true,
+          filePath: preprocessor.file,
+        });
+      }
+      return;
+    }
+
     // We're only gathering decls for properties that have tokens
     // according to the stylelint config.
     if (isTokenizableProperty(node.prop)) {
-      let isExcludedByStylelint = false;
-      const prevNode = node.prev();
-      if (
-        prevNode &&
-        isStylelintDisableNextLine(prevNode) &&
-        isExactPreviousLine(node, prevNode)
-      ) {
-        isExcludedByStylelint = true;
-      }
+      const stylelintExclusion = getStylelintExclusion(node);
+      const context = getNodeContext(node);
+      const baseTokenExclusion = getBaseTokenExclusion(node);
+      const baseTokens = baseTokenExclusion ? [] : getBaseTokens(node.value);
 
       declarations.push({
-        isExcludedByStylelint,
+        isExcludedByStylelint: Boolean(stylelintExclusion),
+        ...(stylelintExclusion ? { stylelintExclusion } : {}),
+        ...(baseTokenExclusion ? { baseTokenExclusion } : {}),
+        ...(baseTokens.length ? { baseTokens } : {}),
         prop: node.prop,
         value: node.value,
         start: node.source.start,
         end: node.source.end,
+        context,
+        contextTags: getContextTags([
+          ...(context.conditions ?? []),
+          ...context.atRules,
+        ]),
         localCustomProperties,
       });
     } else if (isVariableDefinition(node.prop)) {
-      if (foundVariables[node.prop]) {
-        console.log(
-          `${path.relative(config.repoPath, filePath)}:${node.source.start.line} "${node.prop}" already exists, skipping...`,
-        );
+      const existing = foundVariables[node.prop];
+      const varData = getVarData(node, { isExternal: false });
+
+      // The file's own definitions override those pulled in via @import.
+      if (existing && !existing.importChain) {
+        // Keep redefinitions (e.g. under `:host([type=primary])` or
+        // `@media (prefers-contrast)`) so declarations can be evaluated
+        // against each of them. Copy, as external var data is shared.
+        foundVariables[node.prop] = {
+          ...existing,
+          alternateDefinitions: [
+            ...(existing.alternateDefinitions ?? []),
+            varData,
+          ],
+        };
       } else {
-        foundVariables[node.prop] = getVarData(node, { isExternal: false });
+        foundVariables[node.prop] = varData;
       }
     }
   });
@@ -238,10 +387,6 @@ function collectDeclarations(root, foundVariables, filePath) {
   return declarations;
 }
 
-// Track unresolved variables and token usage globally within this run.
-
-/** @type {Array<{ path: string, property: string, value: string, containsToken: boolean, isIgnored: boolean, tokens?: string[] }>} */
-const usageFindingsBuffer = [];
 const CANONICAL_TOKEN_KEY_SET = new Set(
   Array.isArray(config.allTokens) ? config.allTokens : [],
 );
@@ -253,41 +398,82 @@ const CANONICAL_TOKEN_KEY_SET = new Set(
  * @param {object[]} declarations - Declarations to resolve and annotate.
  * @param {object} foundVariables - Known variables available for resolution.
  * @param {string} filePath - Path of the file being analyzed.
+ * @param {object|null} [varIndex] - Repo-wide variable index used as a resolution fallback.
  * @returns {Promise<void>}
  */
 async function resolveDeclarationReferences(
   declarations,
   foundVariables,
   filePath,
+  varIndex = null,
 ) {
   for (const decl of declarations) {
-    const trace = buildResolutionTrace(decl.value, foundVariables);
+    const { trace, branches } = traceResolution(
+      decl.value,
+      foundVariables,
+      varIndex,
+    );
+    const knownVariables = {
+      ...foundVariables,
+      ...getInferredVariables(trace, foundVariables, varIndex),
+    };
     const analysis = analyzeTrace(trace, decl);
 
     decl.resolutionTrace = trace;
+    if (branches.length > 0) {
+      decl.resolutionBranches = branches;
+    }
     decl.containsValidDesignToken = analysis.containsValidDesignToken;
     decl.isValidPropertyValue = analysis.isValidPropertyValue;
 
-    const isIgnored = isIgnoredValue(decl);
+    // Suggest replacements for values without a valid token, including system
+    // colors, which are valid but flagged by stylelint.
+    const resolvedValue = trace.at(-1);
+    const suggestion =
+      !decl.isValidPropertyValue || isSystemColor(resolvedValue)
+        ? getTokenSuggestion(decl.prop, decl.value, {
+            resolvedValue,
+            localCustomProperties: decl.localCustomProperties,
+          })
+        : null;
+    if (suggestion) {
+      decl.suggestion = suggestion;
+    }
+
+    const variants = getDefinitionVariants(
+      decl,
+      trace,
+      knownVariables,
+      varIndex,
+    );
+    if (variants.length > 0) {
+      decl.definitionVariants = variants;
+      decl.hasMixedResults = hasMixedResults(variants);
+    }
 
     decl.resolutionSources = getResolutionSources(
       trace,
-      foundVariables,
+      knownVariables,
       filePath,
     );
 
     decl.unresolvedVariables = getUnresolvedVariablesFromTrace(
       decl.prop,
       trace,
-      foundVariables,
+      knownVariables,
     );
 
     decl.resolutionType = classifyResolutionFromTrace(
       trace,
-      foundVariables,
+      knownVariables,
       filePath,
     );
 
+    const importChains = getImportChains(trace, foundVariables);
+    if (importChains.length > 0) {
+      decl.importChains = importChains;
+    }
+
     // Capture all tokens, preserving duplicates for accurate frequency counting.
     const tokenIds = extractDesignTokenIdsFromDecl(
       decl,
@@ -297,34 +483,26 @@ async function resolveDeclarationReferences(
     if (tokenIds.length > 0) {
       decl.tokens = tokenIds;
     }
-
-    usageFindingsBuffer.push({
-      path: filePath,
-      property: decl.prop,
-      value: decl.value,
-      isIgnored,
-      containsToken: Boolean(decl.containsValidDesignToken),
-      ...(tokenIds.length > 0 ? { tokens: tokenIds } : {}),
-    });
   }
+}
 
-  const { tokenUsage, propertyValues } =
-    buildUsageAggregates(usageFindingsBuffer);
-
-  // Create ./build/data dir.
-  await fs.mkdir('./build/data', { recursive: true });
-
-  await Promise.all([
-    fs.writeFile(
-      path.join('./src/data', 'tokenUsage.json'),
-      JSON.stringify(tokenUsage, null, 2),
-    ),
-    // Write directly to build/data.
-    fs.writeFile(
-      path.join('./build/data', 'propertyValues.json'),
-      JSON.stringify(propertyValues, null, 2),
-    ),
-  ]);
+/**
+ * Builds the token usage findings for a file's analyzed declarations.
+ *
+ * @param {object[]} declarations - Declarations annotated by `resolveDeclarationReferences`.
+ * @param {string} filePath - Path of the analyzed file.
+ * @returns {Array<{ path: string, property: string, value: string, containsToken: boolean, isIgnored: boolean, tokens?: string[], suggestion?: string }>}
+ */
+export function getUsageFindings(declarations, filePath) {
+  return declarations.map((decl) => ({
+    path: filePath,
+    property: decl.prop,
+    value: decl.value,
+    isIgnored: isIgnoredValue(decl),
+    containsToken: Boolean(decl.containsValidDesignToken),
+    ...(decl.tokens?.length > 0 ? { tokens: decl.tokens } : {}),
+    ...(decl.suggestion ? { suggestion: decl.suggestion.value } : {}),
+  }));
 }
 
 /**
@@ -351,28 +529,143 @@ export function isIgnoredValue(decl) {
   );
 }
 
+/**
+ * Returns true when a declaration uses a design token under some variable
+ * definitions but not under others, e.g. tokenized in the default state and
+ * a literal in the hover state.
+ *
+ * @param {Array<{ containsValidDesignToken: boolean, isValidPropertyValue: boolean }>} variants
+ * @returns {boolean}
+ */
+function hasMixedResults(variants) {
+  const results = new Set(
+    variants.map((v) => v.containsValidDesignToken && v.isValidPropertyValue),
+  );
+  return results.size > 1;
+}
+
 /**
  * Computes summary statistics from the resolved declarations:
  * - Number of declarations using design tokens
+ * - How many of those were only resolved via the repo-wide variable index
+ * - Number of declarations with mixed results across variable definitions
  * - Number of ignored values (valid property values that dont't contain design tokens)
+ * - Number of declarations using base color tokens directly
  *
  * @param {object[]} declarations - List of annotated declarations.
- * @returns {{ designTokenCount: number, ignoredValueCount: number }}
+ * @returns {{ designTokenCount: number, inferredTokenCount: number, mixedValueCount: number, ignoredValueCount: number, baseTokenCount: number }}
  */
 function computeDesignTokenSummary(declarations) {
+  // To be counted as a token needs to be a valid prop *and* contain a token.
+  const tokenDecls = declarations.filter(
+    (d) => d.containsValidDesignToken && d.isValidPropertyValue,
+  );
+
   return {
-    designTokenCount: declarations.filter(
-      // To be counted as a token needs to be a valid prop *and* contain a token.
-      (d) => d.containsValidDesignToken && d.isValidPropertyValue,
+    designTokenCount: tokenDecls.length,
+    inferredTokenCount: tokenDecls.filter(
+      (d) => d.resolutionType === 'inferred',
     ).length,
+    mixedValueCount: declarations.filter((d) => d.hasMixedResults).length,
     ignoredValueCount: declarations.filter(isIgnoredValue).length,
+    baseTokenCount: declarations.filter((d) => d.baseTokens).length,
+  };
+}
+
+/**
+ * Computes the component-weighted figures for a file's scored declarations.
+ *
+ * @param {object[]} declarations - Declarations with a `componentScore`, see
+ * `scoreDeclarationComponents`.
+ * @returns {{ componentTokenCount: number, componentCount: number, componentPercentage: number }}
+ * The percentage is -1 when there are no counted components.
+ */
+function getComponentPercentage(declarations) {
+  const { componentTokenCount, componentCount } =
+    computeComponentSummary(declarations);
+  return {
+    componentTokenCount,
+    componentCount,
+    componentPercentage: computeWeightedPercentage(
+      componentTokenCount,
+      componentCount,
+    ),
+  };
+}
+
+/**
+ * Adds a declaration to the design token summary under a key of a breakdown.
+ *
+ * @param {Record<string, { foundProps: number, designTokenCount: number, ignoredValueCount: number }>} breakdown
+ * The breakdown to add to.
+ * @param {string} key - The context or category.
+ * @param {object} decl - An annotated declaration.
+ */
+function addToBreakdown(breakdown, key, decl) {
+  breakdown[key] ??= {
+    foundProps: 0,
+    designTokenCount: 0,
+    ignoredValueCount: 0,
   };
+  breakdown[key].foundProps++;
+  if (decl.containsValidDesignToken && decl.isValidPropertyValue) {
+    breakdown[key].designTokenCount++;
+  }
+  if (isIgnoredValue(decl)) {
+    breakdown[key].ignoredValueCount++;
+  }
+}
+
+/**
+ * Splits the design token summary by at-rule context (see `getContextTags`).
+ *
+ * A declaration inside more than one tracked context, e.g.
+ * `@media (prefers-color-scheme: dark) and (forced-colors)`, is counted in each.
+ *
+ * @param {object[]} declarations - List of annotated declarations.
+ * @returns {Record<string, { foundProps: number, designTokenCount: number, ignoredValueCount: number }>}
+ */
+export function computeContextBreakdown(declarations) {
+  const breakdown = {};
+
+  for (const decl of declarations) {
+    for (const tag of decl.contextTags ?? []) {
+      addToBreakdown(breakdown, tag, decl);
+    }
+  }
+
+  return breakdown;
+}
+
+/**
+ * Splits the design token summary by token category (see
+ * `getPropertyCategories`).
+ *
+ * A declaration for a property that takes tokens from more than one category,
+ * e.g. `border`, is counted in each.
+ *
+ * @param {object[]} declarations - List of annotated declarations.
+ * @returns {Record<string, { foundProps: number, designTokenCount: number, ignoredValueCount: number }>}
+ */
+export function computeCategoryBreakdown(declarations) {
+  const breakdown = {};
+
+  for (const decl of declarations) {
+    for (const category of getPropertyCategories(decl.prop)) {
+      addToBreakdown(breakdown, category, decl);
+    }
+  }
+
+  return breakdown;
 }
 
 /**
  * Build token and property aggregates from a list of findings.
  *
- * @param {Array<{ path: string, property: string, value: string, containsToken: boolean, isIgnored: boolean, tokens?: string[] }>} usageFindings
+ * Values that don't use a token and aren't ignored get the tokens nearest to
+ * each of their literals.
+ *
+ * @param {Array<{ path: string, property: string, value: string, containsToken: boolean, isIgnored: boolean, tokens?: string[], suggestion?: string }>} usageFindings
  * @returns {{
  *   tokenUsage: {
  *     byToken: Record<string, {
@@ -391,6 +684,8 @@ function computeDesignTokenSummary(declarations) {
  *         containsToken: boolean,
  *         isIgnored: boolean,
  *         tokens?: string[],
+ *         suggestion?: string,
+ *         nearestTokens?: Array<{ literal: string, candidates: import('./nearestTokens.js').NearestToken[] }>,
  *         files: Record<string, number>,
  *       }>,
  *     }>,
@@ -421,17 +716,24 @@ export function buildUsageAggregates(usageFindings) {
         values: {},
       });
 
-    const valueEntry =
-      propertyEntry.values[finding.value] ??
-      (propertyEntry.values[finding.value] = {
+    let valueEntry = propertyEntry.values[finding.value];
+    if (!valueEntry) {
+      const nearestTokens =
+        finding.containsToken || finding.isIgnored
+          ? []
+          : getNearestTokens(finding.property, finding.value);
+      valueEntry = propertyEntry.values[finding.value] = {
         count: 0,
         containsToken: finding.containsToken,
         isIgnored: finding.isIgnored,
         ...(Array.isArray(finding.tokens) && finding.tokens.length > 0
           ? { tokens: finding.tokens }
           : {}),
+        ...(finding.suggestion ? { suggestion: finding.suggestion } : {}),
+        ...(nearestTokens.length ? { nearestTokens } : {}),
         files: {},
-      });
+      };
+    }
 
     valueEntry.count += 1;
     if (finding.isIgnored) {
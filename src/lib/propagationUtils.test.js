@@ -72,6 +72,299 @@ describe('getPropagationData', () => {
     );
   });
 
+  test('records import chains and lets local definitions override imported vars', async () => {
+    const css = `
+      :root {
+        --local-border: var(--border-color-interactive);
+      }
+      .btn {
+        border: 1px solid var(--local-border);
+        color: var(--imported-color);
+      }
+    `;
+    fs.readFile.mockResolvedValue(css);
+
+    const fakeImportedVars = {
+      '--local-border': {
+        value: '#000',
+        isExternal: true,
+        src: '/project/common.css',
+        importChain: ['common.css'],
+      },
+      '--imported-color': {
+        value: 'var(--text-color)',
+        isExternal: true,
+        src: '/project/tokens.css',
+        importChain: ['common.css', 'tokens.css'],
+      },
+    };
+
+    const result = await getPropagationData(
+      '/project/test.css',
+      vi.fn().mockResolvedValueOnce(fakeImportedVars),
+    );
+    const [border, color] = result.foundPropValues;
+
+    expect(border.resolutionTrace).toEqual([
+      '1px solid var(--local-border)',
+      '1px solid var(--border-color-interactive)',
+    ]);
+    expect(border.resolutionType).toBe('local');
+    expect(border.importChains).toBeUndefined();
+    expect(color.resolutionType).toBe('external');
+    expect(color.importChains).toEqual([['common.css', 'tokens.css']]);
+  });
+
+  test('resolves unknown vars via the repo-wide var index as inferred', async () => {
+    const css = `
+      .btn {
+        color: var(--unmapped-color);
+        background-color: var(--nowhere);
+      }
+    `;
+    fs.readFile.mockResolvedValue(css);
+
+    const varIndex = {
+      '--unmapped-color': {
+        value: 'var(--text-color)',
+        isExternal: true,
+        src: '/project/other.css',
+        isInferred: true,
+      },
+    };
+
+    const result = await getPropagationData(
+      '/project/test.css',
+      vi.fn().mockResolvedValueOnce({}),
+      { varIndex },
+    );
+    const [color, background] = result.foundPropValues;
+
+    expect(color.resolutionType).toBe('inferred');
+    expect(color.resolutionSources).toEqual(['other.css']);
+    expect(color.unresolvedVariables).not.toContain('--unmapped-color');
+    expect(background.unresolvedVariables).toEqual(['--nowhere']);
+    expect(result.designTokenCount).toBe(1);
+    expect(result.inferredTokenCount).toBe(1);
+  });
+
+  test('evaluates declarations against every definition of a var', async () => {
+    const css = `
+      :host {
+        --button-color: var(--text-color);
+      }
+      :host(:hover) {
+        --button-color: #333;
+      }
+      @media (prefers-contrast) {
+        :host {
+          --button-color: var(--text-color-deemphasized);
+        }
+      }
+      button {
+        color: var(--button-color);
+      }
+    `;
+    fs.readFile.mockResolvedValue(css);
+
+    const result = await getPropagationData(
+      '/project/test.css',
+      vi.fn().mockResolvedValueOnce({}),
+    );
+    const [color] = result.foundPropValues;
+
+    expect(color.resolutionTrace).toEqual([
+      'var(--button-color)',
+      'var(--text-color)',
+    ]);
+    expect(color.hasMixedResults).toBe(true);
+    expect(
+      color.definitionVariants.map((v) => [
+        v.context,
+        v.isDefault,
+        v.containsValidDesignToken,
+      ]),
+    ).toEqual([
+      [{ selector: ':host', atRules: [] }, true, true],
+      [{ selector: ':host(:hover)', atRules: [] }, false, false],
+      [
+        { selector: ':host', atRules: ['@media (prefers-contrast)'] },
+        false,
+        true,
+      ],
+    ]);
+    // Counted using the first definition.
+    expect(result.designTokenCount).toBe(1);
+    expect(result.mixedValueCount).toBe(1);
+  });
+
+  test('records at-rule context on declarations and splits the summary by it', async () => {
+    const css = `
+      .btn {
+        color: var(--text-color);
+      }
+      @media (forced-colors) {
+        @layer base {
+          .btn {
+            color: ButtonText;
+            background-color: red;
+          }
+        }
+      }
+    `;
+    fs.readFile.mockResolvedValue(css);
+
+    const result = await getPropagationData(
+      '/project/test.css',
+      vi.fn().mockResolvedValueOnce({}),
+    );
+    const [, forcedColor] = result.foundPropValues;
+
+    expect(forcedColor.context).toEqual({
+      selector: '.btn',
+      atRules: ['@media (forced-colors)', '@layer base'],
+    });
+    expect(forcedColor.contextTags).toEqual(['forced-colors', '@layer base']);
+    expect(Object.keys(result.contextBreakdown)).toEqual([
+      'default',
+      '@layer base',
+      'forced-colors',
+    ]);
+    expect(result.contextBreakdown.default.weightedPropagation).toBe(100);
+    expect(result.contextBreakdown['forced-colors']).toEqual(
+      expect.objectContaining({ foundProps: 2, designTokenCount: 0 }),
+    );
+  });
+
+  test('splits the summary by token category', async () => {
+    const css = `
+      .btn {
+        color: var(--text-color);
+        border: 1px solid red;
+        padding: var(--space-small);
+        margin: 3px;
+        box-shadow: none;
+      }
+    `;
+    fs.readFile.mockResolvedValue(css);
+
+    const result = await getPropagationData(
+      '/project/test.css',
+      vi.fn().mockResolvedValueOnce({}),
+    );
+
+    expect(Object.keys(result.categoryBreakdown)).toEqual([
+      'color',
+      'space',
+      'border',
+    ]);
+    expect(result.categoryBreakdown.color).toEqual(
+      expect.objectContaining({ foundProps: 2, designTokenCount: 1 }),
+    );
+    expect(result.categoryBreakdown.space.weightedPropagation).toBe(50);
+    expect(result.categoryBreakdown.border.weightedPropagation).toBe(0);
+  });
+
+  test('preprocesses includes and tags declarations with their conditions', async () => {
+    const files = {
+      '/project/theme.css': [
+        '%include shared.inc.css',
+        '.btn {',
+        '%ifdef XP_MACOSX',
+        '  color: var(--shared-color);',
+        '%endif',
+        '}',
+      ].join('\n'),
+      '/project/shared.inc.css':
+        ':root {\n  --shared-color: var(--text-color);\n}\n.x { color: red; }',
+    };
+    fs.readFile.mockImplementation(async (file) => files[file]);
+    fs.access.mockResolvedValue();
+
+    const result = await getPropagationData(
+      '/project/theme.css',
+      vi.fn().mockResolvedValueOnce({}),
+    );
+
+    // `.x` is counted in the included file, not in this one.
+    expect(result.foundPropValues).toHaveLength(1);
+    const [decl] = result.foundPropValues;
+    expect(decl.start).toEqual(expect.objectContaining({ line: 4, column: 3 }));
+    expect(decl.context.conditions).toEqual(['%ifdef XP_MACOSX']);
+    expect(decl.contextTags).toEqual(['%ifdef XP_MACOSX']);
+    expect(decl.containsValidDesignToken).toBe(true);
+    expect(result.foundVariables['--shared-color']).toEqual(
+      expect.objectContaining({
+        isExternal: true,
+        src: '/project/shared.inc.css',
+      }),
+    );
+  });
+
+  test('scores the components of multi-value declarations when asked to', async () => {
+    const css = `
+      .btn {
+        margin: var(--space-small) 3px 0 var(--space-large);
+        color: var(--text-color);
+        padding: inherit;
+      }
+    `;
+    fs.readFile.mockResolvedValue(css);
+
+    const result = await getPropagationData(
+      '/project/test.css',
+      vi.fn().mockResolvedValueOnce({}),
+      { componentScoring: true },
+    );
+    const [margin, color, padding] = result.foundPropValues;
+
+    expect(margin.containsValidDesignToken).toBe(true);
+    expect(margin.isValidPropertyValue).toBe(false);
+    expect(margin.componentScore).toEqual({
+      components: [
+        { value: 'var(--space-small)', status: 'token' },
+        { value: '3px', status: 'literal' },
+        { value: '0', status: 'ignored' },
+        { value: 'var(--space-large)', status: 'token' },
+      ],
+      tokenCount: 2,
+      literalCount: 1,
+      ignoredCount: 1,
+      score: 0.6667,
+    });
+    expect(color.componentScore.score).toBe(1);
+    // Values ignored as a whole aren't scored.
+    expect(padding.componentScore).toBeUndefined();
+    expect(result.percentage).toBe(50);
+    expect(result.componentTokenCount).toBe(3);
+    expect(result.componentCount).toBe(4);
+    expect(result.componentPercentage).toBe(75);
+  });
+
+  test('reports references to Desktop Firefox from toolkit files only', async () => {
+    const css =
+      '.a {\n  background-image: url(chrome://browser/skin/a.svg);\n}';
+    fs.readFile.mockResolvedValue(css);
+
+    const toolkit = await getPropagationData(
+      '/project/toolkit/themes/a.css',
+      vi.fn().mockResolvedValueOnce({}),
+    );
+    const browser = await getPropagationData(
+      '/project/browser/themes/a.css',
+      vi.fn().mockResolvedValueOnce({}),
+    );
+
+    expect(toolkit.browserRefs).toEqual([
+      expect.objectContaining({
+        kind: 'url',
+        value: 'chrome://browser/skin/a.svg',
+        line: 2,
+      }),
+    ]);
+    expect(browser).not.toHaveProperty('browserRefs');
+  });
+
   test('still counts valid tokens that are stylelint excluded and external refs', async () => {
     const css = `
       .btn {
@@ -202,7 +495,7 @@ describe('getPropagationData', () => {
     // 2 design token found out of 3 that can be tokenized = 50%
     expect(result.percentage).toBe(66.67);
     expect(result.designTokenCount).toBe(2);
-    expect(fs.writeFile).toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
 
     expect(props).toEqual(
       expect.arrayContaining([
@@ -250,7 +543,7 @@ describe('getPropagationData', () => {
     // 1 design token found out of 2 that can be tokenized = 50%
     expect(result.percentage).toBe(50);
     expect(result.designTokenCount).toBe(1);
-    expect(fs.writeFile).toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
 
     expect(props).toEqual(
       expect.arrayContaining([
@@ -300,7 +593,8 @@ describe('getPropagationData', () => {
     // 1 design token found out of 3 that can be tokenized = 33.33
     expect(result.percentage).toBe(33.33);
     expect(result.designTokenCount).toBe(1);
-    expect(fs.writeFile).toHaveBeenCalled();
+    expect(result.baseTokenCount).toBe(1);
+    expect(fs.writeFile).not.toHaveBeenCalled();
 
     expect(props).toEqual(
       expect.arrayContaining([
@@ -315,6 +609,7 @@ describe('getPropagationData', () => {
           isValidPropertyValue: false,
           isExcludedByStylelint: false,
           containsValidDesignToken: true,
+          baseTokens: ['--color-gray-80'],
         }),
         expect.objectContaining({
           prop: 'border-color',
@@ -326,6 +621,55 @@ describe('getPropagationData', () => {
     );
   });
 
+  test('does not flag base tokens where no-base-design-tokens is disabled', async () => {
+    const css = `
+      .btn {
+        /* stylelint-disable-next-line stylelint-plugin-mozilla/no-base-design-tokens */
+        color: var(--color-gray-80);
+        background-color: var(--color-blue-50);
+      }
+    `;
+    fs.readFile.mockResolvedValueOnce(css);
+
+    const result = await getPropagationData(
+      '/project/test.css',
+      vi.fn().mockResolvedValueOnce({}),
+    );
+    const [color, background] = result.foundPropValues;
+
+    expect(color.baseTokens).toBeUndefined();
+    expect(color.isExcludedByStylelint).toBe(false);
+    expect(background.baseTokens).toEqual(['--color-blue-50']);
+    expect(result.baseTokenCount).toBe(1);
+  });
+
+  test('lists the base tokens each definition of a var goes through', async () => {
+    const css = `
+      :host {
+        --button-color: var(--text-color);
+      }
+      :host(:hover) {
+        --button-color: var(--color-gray-80);
+      }
+      button {
+        color: var(--button-color);
+      }
+    `;
+    fs.readFile.mockResolvedValueOnce(css);
+
+    const result = await getPropagationData(
+      '/project/test.css',
+      vi.fn().mockResolvedValueOnce({}),
+    );
+    const [color] = result.foundPropValues;
+
+    expect(color.baseTokens).toBeUndefined();
+    expect(color.definitionVariants.map((v) => v.baseTokens)).toEqual([
+      [],
+      ['--color-gray-80'],
+    ]);
+  });
+
   test('excludes non-token usage with preceding (use-design-tokens) stylelint-disable-next-line comment', async () => {
     const css = `
       .btn {
@@ -348,11 +692,11 @@ describe('getPropagationData', () => {
 
     expect(result).toHaveProperty('foundPropValues');
     expect(result).toHaveProperty('foundVariables');
-    // 1 design token found out of 2 that can be tokenized = 50%
-    // and the stylelint disable line scoped to use-design-tokens is ignored.
-    expect(result.percentage).toBe(50);
+    // 1 design token found out of 1 that can be tokenized = 100%, as the
+    // unscoped stylelint-disable-next-line disables use-design-tokens too.
+    expect(result.percentage).toBe(100);
     expect(result.designTokenCount).toBe(1);
-    expect(fs.writeFile).toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
 
     expect(props).toEqual(
       expect.arrayContaining([
@@ -371,13 +715,87 @@ describe('getPropagationData', () => {
         expect.objectContaining({
           prop: 'border-color',
           isValidPropertyValue: false,
-          isExcludedByStylelint: false,
+          isExcludedByStylelint: true,
           containsValidDesignToken: false,
         }),
       ]),
     );
   });
 
+  test('excludes declarations within stylelint-disable ranges and disable-line comments', async () => {
+    const css = `
+      .btn {
+        /* stylelint-disable stylelint-plugin-mozilla/use-design-tokens */
+        background-color: #fff;
+        color: #000;
+        /* stylelint-enable stylelint-plugin-mozilla/use-design-tokens */
+        border-color: #000;
+        outline-color: #000; /* stylelint-disable-line declaration-no-important, stylelint-plugin-mozilla/use-design-tokens */
+      }
+    `;
+
+    fs.readFile.mockResolvedValueOnce(css);
+    const result = await getPropagationData(
+      '/project/src/components/button.css',
+    );
+
+    const excluded = Object.fromEntries(
+      result.foundPropValues.map(({ prop, isExcludedByStylelint }) => [
+        prop,
+        isExcludedByStylelint,
+      ]),
+    );
+    expect(excluded).toEqual({
+      'background-color': true,
+      color: true,
+      'border-color': false,
+      'outline-color': true,
+    });
+
+    const outline = result.foundPropValues.find(
+      ({ prop }) => prop === 'outline-color',
+    );
+    expect(outline.stylelintExclusion.line).toBe(8);
+    expect(outline.stylelintExclusion.comment).toContain(
+      'stylelint-disable-line',
+    );
+  });
+
+  test('suggests replacements for declarations without a valid token', async () => {
+    const css = `
+      .btn {
+        --gap: 4px;
+        padding: 4px 8px;
+        margin: var(--gap);
+        color: GrayText;
+        background-color: var(--background-color-box);
+        width: 3px;
+      }
+    `;
+
+    fs.readFile.mockResolvedValueOnce(css);
+    const result = await getPropagationData(
+      '/project/src/components/button.css',
+    );
+
+    const suggestions = Object.fromEntries(
+      result.foundPropValues.map(({ prop, suggestion }) => [
+        prop,
+        suggestion && { value: suggestion.value, source: suggestion.source },
+      ]),
+    );
+    expect(suggestions).toEqual({
+      padding: {
+        value: 'var(--space-xsmall) var(--space-small)',
+        source: 'fix',
+      },
+      margin: { value: 'var(--space-xsmall)', source: 'fix' },
+      color: { value: 'var(--text-color-disabled)', source: 'system-color' },
+      'background-color': undefined,
+      width: undefined,
+    });
+  });
+
   test('extracts token usage from a single CSS file', async () => {
     const css = `
       :root {
@@ -402,7 +820,7 @@ describe('getPropagationData', () => {
     expect(result).toHaveProperty('foundVariables');
     expect(result.percentage).toBe(50);
     expect(result.designTokenCount).toBe(1);
-    expect(fs.writeFile).toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
 
     expect(props).toEqual(
       expect.arrayContaining([
@@ -450,7 +868,7 @@ describe('getPropagationData', () => {
     expect(result).toHaveProperty('foundVariables');
     expect(result.percentage).toEqual(0);
     expect(result.designTokenCount).toEqual(0);
-    expect(fs.writeFile).toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
 
     const props = result.foundPropValues;
 
@@ -494,8 +912,9 @@ describe('getPropagationData', () => {
 
     expect(result.percentage).toEqual(-1);
     expect(result.foundPropValues.length).toEqual(1);
+    expect(result.ignoredValueCount).toEqual(1);
     expect(result.designTokenCount).toEqual(0);
-    expect(fs.writeFile).toHaveBeenCalled();
+    expect(fs.writeFile).not.toHaveBeenCalled();
 
     const props = result.foundPropValues;
 
@@ -656,6 +1075,57 @@ describe('usage aggregation', () => {
       files: { [filePath]: 1 },
     });
   });
+  test('records suggested replacements for property values', () => {
+    const aggregates = buildUsageAggregates([
+      {
+        path: '/project/a.css',
+        property: 'padding',
+        value: '4px',
+        containsToken: false,
+        isIgnored: false,
+        suggestion: 'var(--space-xsmall)',
+      },
+      {
+        path: '/project/a.css',
+        property: 'padding',
+        value: '3px',
+        containsToken: false,
+        isIgnored: false,
+      },
+    ]);
+
+    const { values } = aggregates.propertyValues.byProperty.padding;
+    expect(values['4px'].suggestion).toBe('var(--space-xsmall)');
+    expect(values['3px']).not.toHaveProperty('suggestion');
+  });
+
+  test('records the nearest tokens for values without a token', () => {
+    const aggregates = buildUsageAggregates([
+      {
+        path: '/project/a.css',
+        property: 'font-size',
+        value: '13px',
+        containsToken: false,
+        isIgnored: false,
+      },
+      {
+        path: '/project/a.css',
+        property: 'font-size',
+        value: 'inherit',
+        containsToken: false,
+        isIgnored: true,
+      },
+    ]);
+
+    const { values } = aggregates.propertyValues.byProperty['font-size'];
+    const [{ literal, candidates }] = values['13px'].nearestTokens;
+    expect(literal).toBe('13px');
+    expect(candidates[0]).toMatchObject({
+      name: '--font-size-small',
+      kind: 'dimension',
+    });
+    expect(values.inherit).not.toHaveProperty('nearestTokens');
+  });
 });
 
 describe('normalizePathForOutput', () => {
@@ -1,68 +1,181 @@
 import path from 'path';
+import valueParser from 'postcss-value-parser';
 import config from '../../config.js';
 import {
   getCSSVariables,
   containsValidDesignToken,
+  getBaseTokens,
+  isDesignToken,
   isValidPropertyValue,
 } from './tokenUtils.js';
 
 /**
- * Builds a trace showing each step of resolving CSS variable references.
- * @param {string} initialValue - The starting CSS value (e.g. "var(--bg-color)").
+ * Splits a parsed `var()` function node into the referenced variable name and
+ * its fallback, if any.
+ * @param {import('postcss-value-parser').FunctionNode} node - A parsed `var()` node.
+ * @returns {{ name: string, fallback: string|null }}
+ */
+function parseVarFunction(node) {
+  const [nameNode, ...rest] = node.nodes;
+  const commaIndex = rest.findIndex(
+    (child) => child.type === 'div' && child.value === ',',
+  );
+
+  return {
+    name: nameNode?.value,
+    fallback:
+      commaIndex === -1
+        ? null
+        : valueParser.stringify(rest.slice(commaIndex + 1)).trim(),
+  };
+}
+
+/**
+ * Replaces a parsed node in place with a raw string.
+ * @param {import('postcss-value-parser').Node} node - The node to replace.
+ * @param {string} value - The replacement text.
+ */
+function replaceNode(node, value) {
+  node.type = 'word';
+  node.value = value;
+  delete node.nodes;
+}
+
+/**
+ * Builds a trace showing each step of resolving CSS variable references,
+ * along with the branch taken for every `var()` that has a fallback.
+ *
+ * For each `var()`:
+ * - A known variable is replaced by its value and any fallback is dropped (`value`).
+ * - An unknown design token is kept, minus any fallback, as tokens are always
+ *   defined at runtime (`token`).
+ * - Any other unknown variable is replaced by its fallback, when it has one (`fallback`).
+ * - Otherwise the reference is left as-is.
+ *
+ * Nested fallbacks are handled in later steps, as each fallback can itself
+ * contain `var()` references.
+ *
+ * @param {string} initialValue - The starting CSS value (e.g. "var(--bg-color, red)").
  * @param {object} foundVariables - Map of CSS variable names to their data.
- * @returns {string[]} - A trace of resolution steps, including any missing values.
+ * @param {object} [varIndex] - Repo-wide variable index used for vars missing from `foundVariables`.
+ * @returns {{
+ *   trace: string[],
+ *   branches: Array<{ variable: string, fallback: string, branch: 'value'|'token'|'fallback' }>
+ * }}
  */
-export function buildResolutionTrace(initialValue, foundVariables) {
+export function traceResolution(initialValue, foundVariables, varIndex) {
   const trace = [initialValue];
+  const branches = [];
   const visited = new Set();
 
   while (true) {
     const current = trace[trace.length - 1];
-    const variables = getCSSVariables(current);
+    const parsed = valueParser(current);
+    const resolvedThisStep = new Set();
 
-    if (variables.length === 0) {
-      break;
-    }
+    parsed.walk((node) => {
+      if (node.type !== 'function' || node.value !== 'var') {
+        return undefined;
+      }
 
-    let nextValue = current;
-    let changed = false;
+      const { name, fallback } = parseVarFunction(node);
+      const ref = visited.has(name)
+        ? null
+        : (foundVariables[name] ?? varIndex?.[name]);
 
-    for (const variable of variables) {
-      if (visited.has(variable)) {
-        continue;
+      let branch = null;
+      if (ref?.value) {
+        replaceNode(node, ref.value);
+        resolvedThisStep.add(name);
+        branch = 'value';
+      } else if (isDesignToken(name)) {
+        if (fallback !== null) {
+          replaceNode(node, `var(${name})`);
+        }
+        branch = 'token';
+      } else if (fallback !== null) {
+        replaceNode(node, fallback);
+        branch = 'fallback';
       }
-      visited.add(variable);
 
-      const ref = foundVariables[variable];
-
-      const replacement = ref?.value;
-      if (nextValue.includes(`var(${variable})`) && replacement) {
-        nextValue = nextValue.replace(`var(${variable})`, replacement);
-        changed = true;
+      if (fallback !== null && branch) {
+        branches.push({ variable: name, fallback, branch });
       }
-    }
 
-    if (!changed || nextValue === current) {
+      // Replaced nodes are revisited in the next step; leave the rest intact.
+      return node.type === 'function' ? undefined : false;
+    });
+
+    resolvedThisStep.forEach((name) => visited.add(name));
+
+    const nextValue = valueParser.stringify(parsed.nodes);
+    if (nextValue === current) {
       break;
     }
     trace.push(nextValue);
   }
 
-  return trace;
+  return { trace, branches };
+}
+
+/**
+ * Builds a trace showing each step of resolving CSS variable references.
+ * @param {string} initialValue - The starting CSS value (e.g. "var(--bg-color)").
+ * @param {object} foundVariables - Map of CSS variable names to their data.
+ * @param {object} [varIndex] - Repo-wide variable index used for vars missing from `foundVariables`.
+ * @returns {string[]} - A trace of resolution steps, including any missing values.
+ */
+export function buildResolutionTrace(initialValue, foundVariables, varIndex) {
+  return traceResolution(initialValue, foundVariables, varIndex).trace;
+}
+
+/**
+ * Removes the fallbacks from every `var()` in a value.
+ *
+ * Fallbacks that actually apply show up in the following trace step, so
+ * stripping them stops tokens or literals in unused fallbacks being scored.
+ *
+ * @param {string} value - A CSS value, e.g. "var(--a, var(--b))".
+ * @returns {string} - The value without fallbacks, e.g. "var(--a)".
+ */
+export function stripVarFallbacks(value) {
+  if (!value.includes(',')) {
+    return value;
+  }
+
+  const parsed = valueParser(value);
+  parsed.walk((node) => {
+    if (node.type === 'function' && node.value === 'var') {
+      const { name, fallback } = parseVarFunction(node);
+      if (fallback !== null) {
+        replaceNode(node, `var(${name})`);
+      }
+      return false;
+    }
+    return undefined;
+  });
+
+  return valueParser.stringify(parsed.nodes);
 }
 
 /**
  * Analyzes a trace to determine if it includes design tokens and/or valid property values.
+ *
+ * Only the values that apply are scored: fallbacks are stripped from each step,
+ * and a fallback that's actually used is picked up from the step that follows.
+ *
  * @param {string[]} trace - A resolution trace of CSS values.
  * @param {object} decl - The css declaration object.
  * @returns {{ containsValidDesignToken: boolean, isValidPropertyValue: boolean }}
  */
 export function analyzeTrace(trace, decl) {
+  const appliedTrace = trace.map(stripVarFallbacks);
+
   return {
-    containsValidDesignToken: trace.some((traceValue) => {
+    containsValidDesignToken: appliedTrace.some((traceValue) => {
       return containsValidDesignToken(decl.prop, traceValue);
     }),
-    isValidPropertyValue: trace.some((traceValue) => {
+    isValidPropertyValue: appliedTrace.some((traceValue) => {
       return isValidPropertyValue(
         decl.prop,
         traceValue,
@@ -95,6 +208,7 @@ export function getResolutionSources(trace, foundVariables, currentFile) {
 
 /**
  * Returns unresolved variable names from across the full resolution trace.
+ * Vars only referenced in unused fallbacks are left out.
  * @param {string} prop - css property name
  * @param {string[]} trace - Resolution trace (e.g. ['var(--a)', 'var(--b)'])
  * @param {object} foundVariables - Known var definitions
@@ -104,7 +218,7 @@ export function getUnresolvedVariablesFromTrace(prop, trace, foundVariables) {
   const seen = new Set();
 
   for (const val of trace) {
-    const vars = getCSSVariables(val);
+    const vars = getCSSVariables(stripVarFallbacks(val));
     for (const name of vars) {
       if (seen.has(name)) {
         continue;
@@ -123,9 +237,9 @@ export function getUnresolvedVariablesFromTrace(prop, trace, foundVariables) {
 /**
  * Classifies how a CSS property was resolved based on the entire trace.
  * @param {string[]} trace - The full resolution trace.
- * @param {object} foundVariables - All known vars.
+ * @param {object} foundVariables - All known vars, including any inferred from the repo-wide index.
  * @param {string} currentFile - The file being analyzed.
- * @returns {'direct' | 'local' | 'external' | 'mixed'}
+ * @returns {'direct' | 'local' | 'external' | 'mixed' | 'inferred'}
  */
 export function classifyResolutionFromTrace(
   trace,
@@ -134,9 +248,11 @@ export function classifyResolutionFromTrace(
 ) {
   const allVars = new Set();
 
-  // Collect all variables referenced in any trace step
+  // Collect all variables referenced in any trace step, skipping unused fallbacks
   for (const value of trace) {
-    getCSSVariables(value).forEach((name) => allVars.add(name));
+    getCSSVariables(stripVarFallbacks(value)).forEach((name) =>
+      allVars.add(name),
+    );
   }
 
   // No variables used at all → direct literal
@@ -153,10 +269,19 @@ export function classifyResolutionFromTrace(
       continue;
     }
 
+    if (varData.isInferred) {
+      sources.add('inferred');
+      continue;
+    }
+
     const isExternal = varData.src && varData.src !== currentFile;
     sources.add(isExternal ? 'external' : 'local');
   }
 
+  // Anything leaning on the repo-wide index would be unresolved without it.
+  if (sources.has('inferred')) {
+    return 'inferred';
+  }
   if (sources.has('local') && sources.has('external')) {
     return 'mixed';
   }
@@ -165,3 +290,125 @@ export function classifyResolutionFromTrace(
   }
   return 'local';
 }
+
+/**
+ * Returns the `@import` chains followed to reach the variables used in a trace.
+ * @param {string[]} trace - Resolution trace (e.g. ['var(--a)', 'var(--b)'])
+ * @param {object} foundVariables - Known var definitions
+ * @returns {string[][]} - Unique import chains, each a list of repo-relative paths.
+ */
+export function getImportChains(trace, foundVariables) {
+  const chains = new Map();
+
+  for (const value of trace) {
+    for (const name of getCSSVariables(value)) {
+      const importChain = foundVariables[name]?.importChain;
+      if (importChain) {
+        chains.set(importChain.join('\n'), importChain);
+      }
+    }
+  }
+
+  return [...chains.values()];
+}
+
+/**
+ * Returns the repo-wide index entries for vars in the trace that aren't otherwise known.
+ * @param {string[]} trace - Resolution trace (e.g. ['var(--a)', 'var(--b)'])
+ * @param {object} foundVariables - Known var definitions
+ * @param {object} [varIndex] - Repo-wide variable index
+ * @returns {object} - Map of inferred var names to their index entries.
+ */
+export function getInferredVariables(trace, foundVariables, varIndex) {
+  const inferred = {};
+  if (!varIndex) {
+    return inferred;
+  }
+
+  for (const value of trace) {
+    for (const name of getCSSVariables(value)) {
+      if (!foundVariables[name] && varIndex[name]) {
+        inferred[name] = varIndex[name];
+      }
+    }
+  }
+
+  return inferred;
+}
+
+/**
+ * Evaluates a declaration against every definition of the variables it uses
+ * that are defined more than once.
+ *
+ * For each such variable an entry is returned for its default (first)
+ * definition and for each alternate definition, with the trace and analysis
+ * that apply when that definition is in effect. Variables are varied one at a
+ * time to avoid a combinatorial explosion.
+ *
+ * Each entry also lists the base color tokens its trace goes through, so a
+ * definition that only reaches a base token in some contexts is flagged for
+ * those alone. A declaration excluded from no-base-design-tokens has none.
+ *
+ * @param {object} decl - The css declaration object.
+ * @param {string[]} trace - The declaration's default resolution trace.
+ * @param {object} foundVariables - Known var definitions
+ * @param {object} [varIndex] - Repo-wide variable index
+ * @returns {Array<{
+ *   variable: string,
+ *   context: { selector: string|null, atRules: string[] },
+ *   line: number|undefined,
+ *   isDefault: boolean,
+ *   trace: string[],
+ *   containsValidDesignToken: boolean,
+ *   isValidPropertyValue: boolean,
+ *   baseTokens: string[],
+ * }>}
+ */
+export function getDefinitionVariants(decl, trace, foundVariables, varIndex) {
+  const variants = [];
+  const seen = new Set();
+  const getTraceBaseTokens = (variantTrace) =>
+    decl.baseTokenExclusion ? [] : getBaseTokens(variantTrace.join(' '));
+  const defaultAnalysis = analyzeTrace(trace, decl);
+  const defaultBaseTokens = getTraceBaseTokens(trace);
+
+  for (const value of trace) {
+    for (const name of getCSSVariables(stripVarFallbacks(value))) {
+      const varData = foundVariables[name];
+      if (seen.has(name) || !varData?.alternateDefinitions?.length) {
+        continue;
+      }
+      seen.add(name);
+
+      variants.push({
+        variable: name,
+        context: varData.context,
+        line: varData.start?.line,
+        isDefault: true,
+        trace,
+        ...defaultAnalysis,
+        baseTokens: defaultBaseTokens,
+      });
+
+      for (const definition of varData.alternateDefinitions) {
+        const variantTrace = buildResolutionTrace(
+          decl.value,
+          { ...foundVariables, [name]: definition },
+          varIndex,
+        );
+
+        variants.push({
+          variable: name,
+          context: definition.context,
+          line: definition.start?.line,
+          isDefault: false,
+          trace: variantTrace,
+          ...analyzeTrace(variantTrace, decl),
+          baseTokens: getTraceBaseTokens(variantTrace),
+        });
+      }
+    }
+  }
+
+  return variants;
+}
@@ -6,6 +6,10 @@ import {
   classifyResolutionFromTrace,
   getResolutionSources,
   getUnresolvedVariablesFromTrace,
+  getImportChains,
+  getInferredVariables,
+  stripVarFallbacks,
+  traceResolution,
 } from './resolutionUtils.js';
 
 const originalConfig = { ...config };
@@ -48,6 +52,90 @@ describe('buildResolutionTrace', () => {
     const result = buildResolutionTrace('var(--x)', {});
     expect(result).toEqual(['var(--x)']);
   });
+
+  test('resolves every occurrence of a var, including inside functions', () => {
+    const foundVars = { '--a': { value: '2px' } };
+    const result = buildResolutionTrace(
+      'calc(var(--a) * 2) var(--a)',
+      foundVars,
+    );
+    expect(result).toEqual([
+      'calc(var(--a) * 2) var(--a)',
+      'calc(2px * 2) 2px',
+    ]);
+  });
+});
+
+describe('var() fallbacks', () => {
+  test('uses the value of a defined var and ignores its fallback', () => {
+    const { trace, branches } = traceResolution('var(--a, 4px)', {
+      '--a': { value: '2px' },
+    });
+    expect(trace).toEqual(['var(--a, 4px)', '2px']);
+    expect(branches).toEqual([
+      { variable: '--a', fallback: '4px', branch: 'value' },
+    ]);
+  });
+
+  test('uses the fallback of an undefined var', () => {
+    const { trace, branches } = traceResolution('1px solid var(--a, red)', {});
+    expect(trace).toEqual(['1px solid var(--a, red)', '1px solid red']);
+    expect(branches).toEqual([
+      { variable: '--a', fallback: 'red', branch: 'fallback' },
+    ]);
+  });
+
+  test('follows nested fallbacks', () => {
+    const { trace, branches } = traceResolution(
+      'var(--a, var(--b, var(--c, 8px)))',
+      { '--c': { value: '6px' } },
+    );
+    expect(trace).toEqual([
+      'var(--a, var(--b, var(--c, 8px)))',
+      'var(--b, var(--c, 8px))',
+      'var(--c, 8px)',
+      '6px',
+    ]);
+    expect(branches.map(({ variable, branch }) => [variable, branch])).toEqual([
+      ['--a', 'fallback'],
+      ['--b', 'fallback'],
+      ['--c', 'value'],
+    ]);
+  });
+
+  test('keeps an undefined design token and ignores its fallback', () => {
+    const { trace, branches } = traceResolution('var(--space-small, 4px)', {});
+    expect(trace).toEqual(['var(--space-small, 4px)', 'var(--space-small)']);
+    expect(branches[0].branch).toBe('token');
+  });
+
+  test('stripVarFallbacks removes fallbacks from every var()', () => {
+    expect(
+      stripVarFallbacks('var(--a, var(--b, 1px)) calc(var(--c,2px))'),
+    ).toBe('var(--a) calc(var(--c))');
+    expect(stripVarFallbacks('var(--a)')).toBe('var(--a)');
+  });
+
+  test('analyzeTrace does not score tokens in unused fallbacks', () => {
+    const decl = { prop: 'padding', value: 'var(--a, var(--space-small))' };
+
+    const used = traceResolution(decl.value, {});
+    expect(analyzeTrace(used.trace, decl).containsValidDesignToken).toBe(true);
+
+    const unused = traceResolution(decl.value, { '--a': { value: '3px' } });
+    expect(analyzeTrace(unused.trace, decl)).toEqual({
+      containsValidDesignToken: false,
+      isValidPropertyValue: false,
+    });
+  });
+
+  test('getUnresolvedVariablesFromTrace ignores vars in unused fallbacks', () => {
+    const foundVars = { '--a': { value: '3px' } };
+    const trace = buildResolutionTrace('var(--a, var(--missing))', foundVars);
+    expect(
+      getUnresolvedVariablesFromTrace('padding', trace, foundVars),
+    ).toEqual([]);
+  });
 });
 
 describe('analyzeTrace', () => {
@@ -151,6 +239,19 @@ describe('classifyResolutionFromTrace', () => {
 
   const currentFile = '/src/components/button.css';
 
+  test('returns "inferred" when any var comes from the repo-wide index', () => {
+    const foundVars = {
+      '--a': { value: 'var(--b)', src: currentFile },
+      '--b': { value: '12px', src: '/project/other.css', isInferred: true },
+    };
+    const result = classifyResolutionFromTrace(
+      ['var(--a)', 'var(--b)', '12px'],
+      foundVars,
+      currentFile,
+    );
+    expect(result).toBe('inferred');
+  });
+
   test('returns "direct" when no vars used', () => {
     const result = classifyResolutionFromTrace(['12px'], {}, currentFile);
     expect(result).toBe('direct');
@@ -281,3 +382,45 @@ describe('getResolutionSources', () => {
     expect(result).toEqual([]);
   });
 });
+
+describe('getImportChains', () => {
+  test('returns unique import chains for vars used in the trace', () => {
+    const foundVars = {
+      '--a': { value: 'var(--b)', importChain: ['common.css'] },
+      '--b': { value: 'var(--c)', importChain: ['common.css'] },
+      '--c': { value: '12px', importChain: ['common.css', 'tokens.css'] },
+      '--d': { value: '1px', importChain: ['other.css'] },
+      '--local': { value: '4px' },
+    };
+
+    const trace = ['var(--a) var(--local)', 'var(--b) 4px', 'var(--c) 4px'];
+
+    expect(getImportChains(trace, foundVars)).toEqual([
+      ['common.css'],
+      ['common.css', 'tokens.css'],
+    ]);
+  });
+});
+
+describe('repo-wide var index fallback', () => {
+  const varIndex = {
+    '--a': { value: '99px', isInferred: true },
+    '--b': { value: '12px', isInferred: true },
+  };
+
+  test('buildResolutionTrace only falls back to the index for unknown vars', () => {
+    const foundVars = { '--a': { value: 'var(--b)' } };
+    const result = buildResolutionTrace('var(--a)', foundVars, varIndex);
+    expect(result).toEqual(['var(--a)', 'var(--b)', '12px']);
+  });
+
+  test('getInferredVariables returns index entries for unknown vars in the trace', () => {
+    const foundVars = { '--a': { value: 'var(--b)' } };
+    const trace = ['var(--a)', 'var(--b)', '12px'];
+
+    expect(getInferredVariables(trace, foundVars, varIndex)).toEqual({
+      '--b': varIndex['--b'],
+    });
+    expect(getInferredVariables(trace, foundVars, null)).toEqual({});
+  });
+});
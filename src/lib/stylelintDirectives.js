@@ -0,0 +1,141 @@
+export const USE_DESIGN_TOKENS_RULE =
+  'stylelint-plugin-mozilla/use-design-tokens';
+export const NO_BASE_DESIGN_TOKENS_RULE =
+  'stylelint-plugin-mozilla/no-base-design-tokens';
+
+/**
+ * Parses a comment into a stylelint configuration directive.
+ *
+ * Handles `stylelint-disable`, `stylelint-enable`, `stylelint-disable-line`
+ * and `stylelint-disable-next-line`, each with an optional comma-separated
+ * list of rules and an optional ` -- description`.
+ *
+ * @param {string} text - The comment text, without the comment delimiters.
+ * @returns {{ command: 'disable'|'enable'|'disable-line'|'disable-next-line', rules: string[] }|null}
+ * The directive, where an empty rules list means every rule, or null if the
+ * comment isn't a directive.
+ *
+ * @example
+ * parseStylelintDirective('stylelint-disable-line a, b -- reason');
+ * // { command: 'disable-line', rules: ['a', 'b'] }
+ */
+export function parseStylelintDirective(text = '') {
+  const match = text
+    .trim()
+    .match(
+      /^stylelint-(disable-next-line|disable-line|disable|enable)(?:\s+([\s\S]*))?$/,
+    );
+  if (!match) {
+    return null;
+  }
+
+  const [, command, rest = ''] = match;
+  const rules = rest
+    .split(/(?:^|\s)--(?:\s|$)/)[0]
+    .split(',')
+    .map((rule) => rule.trim())
+    .filter(Boolean);
+
+  return { command, rules };
+}
+
+/**
+ * Returns true if a disable or enable directive applies to the given rule,
+ * either because it names it or because it doesn't name any rule, which
+ * covers them all.
+ *
+ * @param {{ rules: string[] }} directive - A parsed directive.
+ * @param {string} ruleName - The rule to check for.
+ * @returns {boolean}
+ */
+function appliesToRule(directive, ruleName) {
+  return directive.rules.length === 0 || directive.rules.includes(ruleName);
+}
+
+/**
+ * Collects the stylelint disable directives in a stylesheet that apply to a
+ * rule: those without a rule list, and those that name it, including rule
+ * lists that mention it among other rules.
+ *
+ * Supports:
+ * - `stylelint-disable-next-line`, applying to the line after the comment
+ * - `stylelint-disable-line`, applying to the comment's own line
+ * - `stylelint-disable` … `stylelint-enable` ranges
+ * - `stylelint-disable` without a matching enable, which covers the rest of
+ *   the file, i.e. the whole file when it's at the top
+ *
+ * @param {import('postcss').Root} root - Parsed CSS AST.
+ * @param {string} [ruleName] - The rule to collect exclusions for.
+ * @returns {(node: import('postcss').Node) => { comment: string, line: number }|null}
+ * A lookup returning the directive excluding a node, or null if it isn't excluded.
+ */
+export function getStylelintExclusions(
+  root,
+  ruleName = USE_DESIGN_TOKENS_RULE,
+) {
+  const lines = new Map();
+  const ranges = [];
+  let openRange = null;
+
+  root.walkComments((comment) => {
+    const directive = parseStylelintDirective(comment.text);
+    // Directives in `%include`d content apply to the included file's lines.
+    if (
+      !directive ||
+      !comment.source?.start ||
+      comment.source.preprocessor?.included
+    ) {
+      return;
+    }
+
+    const exclusion = {
+      comment: comment.toString(),
+      line: comment.source.start.line,
+    };
+
+    switch (directive.command) {
+      case 'disable-next-line':
+        if (appliesToRule(directive, ruleName)) {
+          lines.set(comment.source.end.line + 1, exclusion);
+        }
+        break;
+      case 'disable-line':
+        if (appliesToRule(directive, ruleName)) {
+          lines.set(comment.source.start.line, exclusion);
+        }
+        break;
+      case 'disable':
+        if (!openRange && appliesToRule(directive, ruleName)) {
+          openRange = { start: comment.source.end.offset, exclusion };
+        }
+        break;
+      case 'enable':
+        if (openRange && appliesToRule(directive, ruleName)) {
+          ranges.push({ ...openRange, end: comment.source.start.offset });
+          openRange = null;
+        }
+        break;
+    }
+  });
+
+  if (openRange) {
+    ranges.push({ ...openRange, end: Infinity });
+  }
+
+  return (node) => {
+    const start = node.source?.start;
+    if (!start) {
+      return null;
+    }
+
+    if (lines.has(start.line)) {
+      return lines.get(start.line);
+    }
+
+    const range = ranges.find(
+      ({ start: rangeStart, end }) =>
+        start.offset >= rangeStart && start.offset < end,
+    );
+    return range?.exclusion ?? null;
+  };
+}
@@ -0,0 +1,140 @@
+import postcss from 'postcss';
+
+import {
+  USE_DESIGN_TOKENS_RULE,
+  getStylelintExclusions,
+  parseStylelintDirective,
+} from './stylelintDirectives.js';
+
+/**
+ * Returns the props excluded by use-design-tokens directives in some CSS.
+ * @param {string} css - The CSS to parse.
+ * @returns {string[]} - The excluded props, in source order.
+ */
+function getExcludedProps(css) {
+  const root = postcss.parse(css);
+  const getExclusion = getStylelintExclusions(root);
+  const excluded = [];
+  root.walkDecls((decl) => {
+    if (getExclusion(decl)) {
+      excluded.push(decl.prop);
+    }
+  });
+  return excluded;
+}
+
+describe('parseStylelintDirective', () => {
+  test('parses commands, rule lists and descriptions', () => {
+    expect(
+      parseStylelintDirective(
+        ` stylelint-disable-next-line a, ${USE_DESIGN_TOKENS_RULE} -- reason `,
+      ),
+    ).toEqual({
+      command: 'disable-next-line',
+      rules: ['a', USE_DESIGN_TOKENS_RULE],
+    });
+    expect(parseStylelintDirective('stylelint-disable-line')).toEqual({
+      command: 'disable-line',
+      rules: [],
+    });
+    expect(parseStylelintDirective('stylelint-enable -- done')).toEqual({
+      command: 'enable',
+      rules: [],
+    });
+  });
+
+  test('returns null for other comments', () => {
+    expect(parseStylelintDirective('Some stylelint-disable note')).toBe(null);
+    expect(parseStylelintDirective('stylelint-disabled')).toBe(null);
+  });
+});
+
+describe('getStylelintExclusions', () => {
+  test('covers the rest of the file for a disable without an enable', () => {
+    const css = `
+      /* stylelint-disable ${USE_DESIGN_TOKENS_RULE} */
+      .a { color: red; }
+      .b { background-color: blue; }
+    `;
+
+    expect(getExcludedProps(css)).toEqual(['color', 'background-color']);
+  });
+
+  test('ends ranges at a matching or unscoped enable', () => {
+    const css = `
+      .a {
+        /* stylelint-disable a, ${USE_DESIGN_TOKENS_RULE} */
+        color: red;
+        /* stylelint-enable other-rule */
+        background-color: red;
+        /* stylelint-enable */
+        border-color: red;
+      }
+    `;
+
+    expect(getExcludedProps(css)).toEqual(['color', 'background-color']);
+  });
+
+  test('ignores directives for other rules', () => {
+    const css = `
+      .a {
+        /* stylelint-disable-next-line other-rule */
+        color: red;
+        background-color: red; /* stylelint-disable-line other-rule */
+        /* stylelint-disable other-rule */
+        border-color: red;
+      }
+    `;
+
+    expect(getExcludedProps(css)).toEqual([]);
+  });
+
+  test('covers the whole file for a bare disable at the top', () => {
+    const css = `
+      /* stylelint-disable */
+      .a { color: red; }
+      .b { background-color: blue; }
+    `;
+
+    expect(getExcludedProps(css)).toEqual(['color', 'background-color']);
+  });
+
+  test('counts bare disable … enable ranges', () => {
+    const css = `
+      .a {
+        color: red;
+        /* stylelint-disable */
+        background-color: red;
+        /* stylelint-enable */
+        border-color: red;
+      }
+    `;
+
+    expect(getExcludedProps(css)).toEqual(['background-color']);
+  });
+
+  test('counts bare disable-line and disable-next-line directives', () => {
+    const css = `
+      .a {
+        /* stylelint-disable-next-line */
+        color: red;
+        background-color: red; /* stylelint-disable-line */
+        border-color: red;
+      }
+    `;
+
+    expect(getExcludedProps(css)).toEqual(['color', 'background-color']);
+  });
+
+  test('returns the excluding directive and its line', () => {
+    const root = postcss.parse(
+      `.a {\n  color: red; /* stylelint-disable-line ${USE_DESIGN_TOKENS_RULE} */\n}`,
+    );
+    const getExclusion = getStylelintExclusions(root);
+
+    expect(getExclusion(root.first.first)).toEqual({
+      comment: `/* stylelint-disable-line ${USE_DESIGN_TOKENS_RULE} */`,
+      line: 2,
+    });
+  });
+});
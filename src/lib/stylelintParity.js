@@ -0,0 +1,176 @@
+import { USE_DESIGN_TOKENS_RULE } from './stylelintDirectives.js';
+
+/**
+ * The ways AWDTY's classification of a declaration can differ from the
+ * `use-design-tokens` rule, with a description of each.
+ */
+export const PARITY_CATEGORIES = {
+  'stylelint-only-token':
+    'Flagged by stylelint, but counted as using a design token by AWDTY',
+  'stylelint-only-ignored':
+    'Flagged by stylelint, but ignored as a valid value without a token by AWDTY',
+  'awdty-only': 'Flagged by AWDTY, but accepted by stylelint',
+  'not-collected':
+    "Flagged by stylelint on a declaration AWDTY doesn't collect",
+};
+
+/**
+ * @typedef {object} ParityMismatch
+ * @property {keyof PARITY_CATEGORIES} category - How the two differ.
+ * @property {number} line - Line of the declaration.
+ * @property {number} column - Column of the declaration.
+ * @property {string} [prop] - The property, when AWDTY collected the declaration.
+ * @property {string} [value] - The value, when AWDTY collected the declaration.
+ * @property {string} [resolvedValue] - The value AWDTY resolved it to.
+ * @property {string} [message] - The stylelint warning, if there is one.
+ * @property {'error'|'warning'} [severity] - The warning's severity. The rule
+ * reports values that are allowed but discouraged, e.g. system colors, as
+ * warnings.
+ */
+
+/**
+ * Compares AWDTY's classification of a file's declarations with the warnings
+ * the `use-design-tokens` rule reports for the same file.
+ *
+ * Declarations are matched on their start position. AWDTY flags a
+ * declaration when its value isn't a valid property value, as the rule does,
+ * so a declaration should be flagged by both or neither. Stylelint directives
+ * are expected to be ignored on both sides.
+ *
+ * @param {object[]} declarations - Declarations from `getPropagationData`.
+ * @param {Array<{ line: number, column: number, rule: string, severity: string, text: string }>} warnings
+ * Warnings from stylelint's results for the file.
+ * @returns {ParityMismatch[]} - Mismatches in source order.
+ */
+export function compareWithStylelint(declarations, warnings) {
+  const getKey = ({ line, column }) => `${line}:${column}`;
+  const warningsByPosition = new Map(
+    warnings
+      .filter((warning) => warning.rule === USE_DESIGN_TOKENS_RULE)
+      .map((warning) => [getKey(warning), warning]),
+  );
+  const mismatches = [];
+
+  for (const decl of declarations) {
+    const { line, column } = decl.start;
+    const key = getKey(decl.start);
+    const warning = warningsByPosition.get(key);
+    warningsByPosition.delete(key);
+
+    const isFlaggedByAwdty = !decl.isValidPropertyValue;
+    if (isFlaggedByAwdty === Boolean(warning)) {
+      continue;
+    }
+
+    let category = 'awdty-only';
+    if (warning) {
+      category = decl.containsValidDesignToken
+        ? 'stylelint-only-token'
+        : 'stylelint-only-ignored';
+    }
+
+    mismatches.push({
+      category,
+      line,
+      column,
+      prop: decl.prop,
+      value: decl.value,
+      ...(decl.resolutionTrace?.length
+        ? { resolvedValue: decl.resolutionTrace.at(-1) }
+        : {}),
+      ...(warning ? { message: warning.text, severity: warning.severity } : {}),
+    });
+  }
+
+  for (const warning of warningsByPosition.values()) {
+    mismatches.push({
+      category: 'not-collected',
+      line: warning.line,
+      column: warning.column,
+      message: warning.text,
+      severity: warning.severity,
+    });
+  }
+
+  return mismatches.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Groups the mismatches of every compared file by category.
+ *
+ * @param {Array<{ path: string, declarationCount: number, mismatches: ParityMismatch[] }>} fileResults
+ * The comparison for each file, with its repo-relative path.
+ * @returns {{
+ *   fileCount: number,
+ *   declarationCount: number,
+ *   mismatchCount: number,
+ *   categories: Record<string, { description: string, mismatches: Array<ParityMismatch & { path: string }> }>
+ * }}
+ */
+export function buildParityReport(fileResults) {
+  const categories = Object.fromEntries(
+    Object.entries(PARITY_CATEGORIES).map(([category, description]) => [
+      category,
+      { description, mismatches: [] },
+    ]),
+  );
+  let declarationCount = 0;
+  let mismatchCount = 0;
+
+  for (const { path, declarationCount: count, mismatches } of fileResults) {
+    declarationCount += count;
+    mismatchCount += mismatches.length;
+    for (const mismatch of mismatches) {
+      categories[mismatch.category].mismatches.push({ path, ...mismatch });
+    }
+  }
+
+  return {
+    fileCount: fileResults.length,
+    declarationCount,
+    mismatchCount,
+    categories,
+  };
+}
+
+/**
+ * Formats a parity report as text, one section per category with mismatches.
+ *
+ * @param {ReturnType<typeof buildParityReport>} report - The report.
+ * @returns {string}
+ */
+export function formatParityReport({
+  fileCount,
+  declarationCount,
+  mismatchCount,
+  categories,
+}) {
+  const lines = [
+    `Compared ${declarationCount} declaration(s) in ${fileCount} file(s): ${mismatchCount} mismatch(es)`,
+  ];
+
+  for (const [category, { description, mismatches }] of Object.entries(
+    categories,
+  )) {
+    if (!mismatches.length) {
+      continue;
+    }
+    lines.push('', `${category} (${mismatches.length}): ${description}`);
+    for (const mismatch of mismatches) {
+      const location = `${mismatch.path}:${mismatch.line}:${mismatch.column}`;
+      const declaration = mismatch.prop
+        ? ` ${mismatch.prop}: ${mismatch.value}`
+        : '';
+      const resolved =
+        mismatch.resolvedValue && mismatch.resolvedValue !== mismatch.value
+          ? ` (resolves to ${mismatch.resolvedValue})`
+          : '';
+      lines.push(`  ${location}${declaration}${resolved}`);
+      if (mismatch.message) {
+        lines.push(`    ${mismatch.message}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
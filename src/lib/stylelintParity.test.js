@@ -0,0 +1,177 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'path';
+import stylelint from 'stylelint';
+
+import plugins from '../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/index.mjs';
+import { getPropagationData } from './propagationUtils.js';
+import {
+  buildParityReport,
+  compareWithStylelint,
+  formatParityReport,
+} from './stylelintParity.js';
+
+const rule = 'stylelint-plugin-mozilla/use-design-tokens';
+
+/**
+ * Builds a declaration as classified by AWDTY.
+ *
+ * @param {number} line - Line of the declaration.
+ * @param {object} overrides - Fields to set.
+ * @returns {object}
+ */
+function decl(line, overrides) {
+  return {
+    prop: 'color',
+    value: 'red',
+    start: { line, column: 3 },
+    isValidPropertyValue: false,
+    containsValidDesignToken: false,
+    ...overrides,
+  };
+}
+
+describe('compareWithStylelint', () => {
+  test('categorizes declarations the two classify differently', () => {
+    const declarations = [
+      decl(1, {}),
+      decl(2, {}),
+      decl(3, {
+        value: 'var(--a)',
+        resolutionTrace: ['var(--a)', 'var(--text-color)'],
+        isValidPropertyValue: true,
+        containsValidDesignToken: true,
+      }),
+      decl(4, { value: 'CanvasText', isValidPropertyValue: true }),
+      decl(5, { value: 'var(--text-color)', isValidPropertyValue: true }),
+    ];
+    const warnings = [
+      { line: 1, column: 3, rule, severity: 'error', text: 'red' },
+      { line: 3, column: 3, rule, severity: 'error', text: 'var(--a)' },
+      { line: 4, column: 3, rule, severity: 'warning', text: 'CanvasText' },
+      { line: 6, column: 3, rule, severity: 'error', text: 'included' },
+      { line: 5, column: 3, rule: 'other-rule', text: 'unrelated' },
+    ];
+
+    expect(compareWithStylelint(declarations, warnings)).toEqual([
+      {
+        category: 'awdty-only',
+        line: 2,
+        column: 3,
+        prop: 'color',
+        value: 'red',
+      },
+      {
+        category: 'stylelint-only-token',
+        line: 3,
+        column: 3,
+        prop: 'color',
+        value: 'var(--a)',
+        resolvedValue: 'var(--text-color)',
+        message: 'var(--a)',
+        severity: 'error',
+      },
+      {
+        category: 'stylelint-only-ignored',
+        line: 4,
+        column: 3,
+        prop: 'color',
+        value: 'CanvasText',
+        message: 'CanvasText',
+        severity: 'warning',
+      },
+      {
+        category: 'not-collected',
+        line: 6,
+        column: 3,
+        message: 'included',
+        severity: 'error',
+      },
+    ]);
+  });
+});
+
+describe('parity with the vendored rule', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'parity-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('flags the same declarations as stylelint', async () => {
+    const filePath = path.join(tmpDir, 'fixture.css');
+    const code = `.a {
+  --gap: var(--space-small);
+  color: #fff;
+  background-color: var(--background-color-box);
+  padding: 4px;
+  margin: var(--gap);
+  border-radius: var(--border-radius-small);
+  width: auto;
+  font-size: 13px;
+  opacity: 0.5;
+}
+`;
+    await fs.writeFile(filePath, code);
+
+    const { foundPropValues } = await getPropagationData(filePath, undefined, {
+      componentScoring: false,
+    });
+    const {
+      results: [{ warnings }],
+    } = await stylelint.lint({
+      code,
+      codeFilename: filePath,
+      config: { plugins, rules: { [rule]: true } },
+    });
+
+    expect(warnings.map(({ line }) => line)).toEqual([3, 5, 9, 10]);
+    expect(
+      foundPropValues
+        .filter((decl) => !decl.isValidPropertyValue)
+        .map(({ start }) => start.line),
+    ).toEqual([3, 5, 9, 10]);
+    expect(compareWithStylelint(foundPropValues, warnings)).toEqual([]);
+  });
+});
+
+describe('buildParityReport', () => {
+  test('groups mismatches by category and formats them', () => {
+    const report = buildParityReport([
+      {
+        path: 'a.css',
+        declarationCount: 2,
+        mismatches: [
+          { category: 'awdty-only', line: 2, column: 3, prop: 'color' },
+        ],
+      },
+      { path: 'b.css', declarationCount: 3, mismatches: [] },
+    ]);
+
+    expect(report).toMatchObject({
+      fileCount: 2,
+      declarationCount: 5,
+      mismatchCount: 1,
+    });
+    expect(report.categories['awdty-only'].mismatches).toEqual([
+      {
+        path: 'a.css',
+        category: 'awdty-only',
+        line: 2,
+        column: 3,
+        prop: 'color',
+      },
+    ]);
+    expect(report.categories['not-collected'].mismatches).toEqual([]);
+
+    const text = formatParityReport(report);
+    expect(text).toContain('Compared 5 declaration(s) in 2 file(s)');
+    expect(text).toContain('awdty-only (1): Flagged by AWDTY');
+    expect(text).toContain('a.css:2:3 color');
+    expect(text).not.toContain('not-collected');
+  });
+});
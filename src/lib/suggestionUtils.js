@@ -0,0 +1,281 @@
+import valueParser from 'postcss-value-parser';
+
+import { memoize } from './memoize.js';
+import { getPropertyValidator, isValidPropertyValue } from './tokenUtils.js';
+import { isSystemColor } from '../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/helpers.mjs';
+import { tokensTable } from '../vendor/firefox/toolkit/themes/shared/design-system/dist/semantic-categories.mjs';
+
+/**
+ * @typedef {object} TokenSuggestion
+ * @property {string} value - The suggested replacement value.
+ * @property {'fix'|'token'|'system-color'|'suggestion'} source - Where the
+ * suggestion comes from: a stylelint autofix (`customFixes`), an exact match
+ * against a token value, a system color suggestion, or another configured
+ * `customSuggestions` entry.
+ * @property {string} from - The value the suggestion replaces, which is the
+ * resolved value when the authored value only references local vars.
+ * @property {Array<{ literal: string, candidates: string[] }>} replacements -
+ * Each literal replaced and the candidate replacements for it. The first
+ * candidate is the one used.
+ * @property {boolean} isAmbiguous - Whether any literal matched more than one token.
+ */
+
+/**
+ * Normalizes a literal for lookups, so e.g. `#FFF` and `#fff` match.
+ *
+ * @param {string} value - The literal to normalize.
+ * @returns {string} - The normalized literal.
+ */
+function normalizeLiteral(value) {
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Returns the raw value of a token from `tokensTable`, using the default value
+ * for tokens that vary by theme.
+ *
+ * @param {string|object} value - A `tokensTable` entry's value.
+ * @returns {string|null} - The raw value, or null if there's no single value.
+ */
+function getRawTokenValue(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return typeof value?.default === 'string' ? value.default.trim() : null;
+}
+
+/**
+ * Resolves every token in `tokensTable` to a literal value, following tokens
+ * that are defined as a plain reference to another token, e.g.
+ * `--button-background-color-primary: var(--color-accent-primary)`.
+ *
+ * Tokens whose value, or the value of a token they reference, varies by theme
+ * (light/dark, high contrast etc.) are recorded as themed.
+ *
+ * @returns {{ literals: Map<string, string>, themed: Set<string> }}
+ *
+ * @private
+ */
+function __resolveTokensTable() {
+  const values = new Map();
+  for (const tokens of Object.values(tokensTable)) {
+    for (const token of tokens) {
+      if (token.name && token.value && !values.has(token.name)) {
+        values.set(token.name, token.value);
+      }
+    }
+  }
+
+  const getReference = (value) =>
+    getRawTokenValue(value)?.match(/^var\(\s*(--[\w-]+)\s*\)$/)?.[1];
+
+  const literals = new Map();
+  const themed = new Set();
+  for (const name of values.keys()) {
+    let value = values.get(name);
+    let isThemed = typeof value !== 'string';
+    const seen = new Set([name]);
+    let reference = getReference(value);
+    while (reference && values.has(reference) && !seen.has(reference)) {
+      seen.add(reference);
+      value = values.get(reference);
+      isThemed ||= typeof value !== 'string';
+      reference = getReference(value);
+    }
+
+    const literal = getRawTokenValue(value);
+    if (literal && !literal.includes('var(')) {
+      literals.set(name, literal);
+    }
+    if (isThemed) {
+      themed.add(name);
+    }
+  }
+
+  return { literals, themed };
+}
+
+const resolveTokensTable = memoize(__resolveTokensTable);
+
+/**
+ * Returns the literal value of every token that resolves to one. Tokens that
+ * vary by theme use their default value.
+ *
+ * @returns {Map<string, string>} - Token names mapped to literal values.
+ */
+export function getTokenLiterals() {
+  return resolveTokensTable().literals;
+}
+
+/**
+ * Returns true if a token's value varies by theme, so replacing a literal with
+ * it would change how things look in some themes.
+ *
+ * @param {string} tokenName - The token name, e.g. "--text-color".
+ * @returns {boolean}
+ */
+export function isThemedToken(tokenName) {
+  return resolveTokensTable().themed.has(tokenName);
+}
+
+/**
+ * Builds a lookup of literal values to the tokens that are valid for a
+ * property and have that exact value, in `tokensTable` order.
+ *
+ * @param {string} prop - The CSS property name.
+ * @returns {Record<string, string[]>} - Normalized literals mapped to `var(--token)` candidates.
+ *
+ * @private
+ */
+function __getTokenValueLookup(prop) {
+  const validator = getPropertyValidator(prop);
+  if (!validator) {
+    return {};
+  }
+
+  const lookup = {};
+  for (const [name, literal] of getTokenLiterals()) {
+    if (!validator.isValidToken(name)) {
+      continue;
+    }
+    const key = normalizeLiteral(literal);
+    (lookup[key] ??= []).push(`var(${name})`);
+  }
+  return lookup;
+}
+
+/**
+ * Memoized version of `__getTokenValueLookup`.
+ *
+ * @type {(prop: string) => Record<string, string[]>}
+ */
+export const getTokenValueLookup = memoize(__getTokenValueLookup);
+
+/**
+ * Replaces the literals in a value using a lookup of candidate replacements.
+ *
+ * The whole value is matched first, e.g. for multi-part box-shadow tokens,
+ * then individual words. Words the property allows as-is are left alone, as
+ * are the contents of `var()` calls.
+ *
+ * @param {string} value - The value to replace literals in.
+ * @param {Record<string, string[]>} lookup - Normalized literals mapped to candidates.
+ * @param {import('../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/property-validator.mjs').PropertyValidator} validator - The property's validator.
+ * @returns {{ value: string, replacements: Array<{ literal: string, candidates: string[] }> }|null}
+ * The replaced value and what was replaced, or null if nothing matched.
+ */
+function replaceLiterals(value, lookup, validator) {
+  const wholeValue = lookup[normalizeLiteral(value)];
+  if (wholeValue?.length) {
+    return {
+      value: wholeValue[0],
+      replacements: [{ literal: value.trim(), candidates: wholeValue }],
+    };
+  }
+
+  const replacements = [];
+  const parsedValue = valueParser(value);
+  parsedValue.walk((node) => {
+    if (node.type === 'function' && node.value === 'var') {
+      return false;
+    }
+    if (node.type !== 'word' || validator.isInAllowedWords(node.value)) {
+      return undefined;
+    }
+
+    const candidates = lookup[normalizeLiteral(node.value)];
+    if (candidates?.length) {
+      replacements.push({ literal: node.value, candidates });
+      node.value = candidates[0];
+    }
+    return undefined;
+  });
+
+  return replacements.length
+    ? { value: parsedValue.toString(), replacements }
+    : null;
+}
+
+/**
+ * Converts a `customFixes` or `customSuggestions` map into a lookup of
+ * candidates, dropping entries without a replacement.
+ *
+ * @param {Record<string, string|null>} map - Raw values mapped to replacements.
+ * @returns {Record<string, string[]>} - Normalized literals mapped to candidates.
+ */
+function toLookup(map = {}) {
+  return Object.fromEntries(
+    Object.entries(map)
+      .filter(([, replacement]) => replacement)
+      .map(([literal, replacement]) => [
+        normalizeLiteral(literal),
+        [replacement],
+      ]),
+  );
+}
+
+/**
+ * Computes a suggested replacement for a declaration that doesn't use a valid
+ * design token.
+ *
+ * Matches are tried in the order the use-design-tokens rule would apply them,
+ * and the first one that makes the declaration valid wins:
+ * - the config's `customFixes`, i.e. what `stylelint --fix` would change,
+ * - exact matches against the values of tokens valid for the property,
+ * - the config's `customSuggestions`, which cover system colors.
+ *
+ * Each is tried against the authored value, then against the resolved value
+ * if the authored value goes through local vars.
+ *
+ * @param {string} prop - The CSS property name.
+ * @param {string} value - The authored value.
+ * @param {object} [options] - Options.
+ * @param {string} [options.resolvedValue] - The value after resolving vars.
+ * @param {object} [options.localCustomProperties] - Local custom properties, used for validation.
+ * @returns {TokenSuggestion|null} - The suggestion, or null if nothing matched.
+ */
+export function getTokenSuggestion(
+  prop,
+  value,
+  { resolvedValue = value, localCustomProperties = {} } = {},
+) {
+  const validator = getPropertyValidator(prop);
+  if (!validator || !value) {
+    return null;
+  }
+
+  const sources = [
+    ['fix', toLookup(validator.customFixes)],
+    ['token', getTokenValueLookup(prop)],
+    ['suggestion', toLookup(validator.customSuggestions)],
+  ];
+  const values = [...new Set([value, resolvedValue])].filter(Boolean);
+
+  for (const [source, lookup] of sources) {
+    for (const from of values) {
+      const result = replaceLiterals(from, lookup, validator);
+      if (
+        !result ||
+        !isValidPropertyValue(prop, result.value, localCustomProperties)
+      ) {
+        continue;
+      }
+
+      return {
+        value: result.value,
+        source:
+          source === 'suggestion' &&
+          result.replacements.every(({ literal }) => isSystemColor(literal))
+            ? 'system-color'
+            : source,
+        from,
+        replacements: result.replacements,
+        isAmbiguous: result.replacements.some(
+          ({ candidates }) => candidates.length > 1,
+        ),
+      };
+    }
+  }
+
+  return null;
+}
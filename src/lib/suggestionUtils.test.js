@@ -0,0 +1,77 @@
+import {
+  getTokenLiterals,
+  getTokenSuggestion,
+  getTokenValueLookup,
+  isThemedToken,
+} from './suggestionUtils.js';
+
+describe('getTokenLiterals', () => {
+  test('follows tokens defined as references to other tokens', () => {
+    const literals = getTokenLiterals();
+
+    expect(literals.get('--color-gray-0')).toBe('#fbfbfe');
+    expect(literals.get('--color-black-alpha-50')).toBe('oklch(0 0 0 / 50%)');
+    expect(literals.get('--background-color-overlay')).toBe(
+      'oklch(0 0 0 / 50%)',
+    );
+  });
+});
+
+describe('isThemedToken', () => {
+  test('flags tokens that vary by theme, directly or via a reference', () => {
+    expect(isThemedToken('--text-color')).toBe(true);
+    expect(isThemedToken('--button-background-color-primary')).toBe(true);
+    expect(isThemedToken('--space-xsmall')).toBe(false);
+  });
+});
+
+describe('getTokenValueLookup', () => {
+  test('only includes tokens that are valid for the property', () => {
+    const lookup = getTokenValueLookup('border-radius');
+
+    expect(lookup['4px']).toContain('var(--border-radius-small)');
+    expect(Object.values(lookup).flat()).not.toContain('var(--space-xsmall)');
+    expect(getTokenValueLookup('not-a-prop')).toEqual({});
+  });
+});
+
+describe('getTokenSuggestion', () => {
+  test('prefers the stylelint autofix', () => {
+    expect(getTokenSuggestion('padding', '4px 8px')).toEqual({
+      value: 'var(--space-xsmall) var(--space-small)',
+      source: 'fix',
+      from: '4px 8px',
+      replacements: [
+        { literal: '4px', candidates: ['var(--space-xsmall)'] },
+        { literal: '8px', candidates: ['var(--space-small)'] },
+      ],
+      isAmbiguous: false,
+    });
+    expect(getTokenSuggestion('color', '#FFF').value).toBe('white');
+  });
+
+  test('suggests tokens for system colors', () => {
+    expect(getTokenSuggestion('color', 'GrayText')).toEqual(
+      expect.objectContaining({
+        value: 'var(--text-color-disabled)',
+        source: 'system-color',
+      }),
+    );
+  });
+
+  test('falls back to the resolved value', () => {
+    const suggestion = getTokenSuggestion('margin', 'var(--gap)', {
+      resolvedValue: '4px',
+      localCustomProperties: { '--gap': '4px' },
+    });
+
+    expect(suggestion).toEqual(
+      expect.objectContaining({ value: 'var(--space-xsmall)', from: '4px' }),
+    );
+  });
+
+  test('returns null when nothing matches or the prop is unknown', () => {
+    expect(getTokenSuggestion('margin', '3px')).toBe(null);
+    expect(getTokenSuggestion('not-a-prop', '4px')).toBe(null);
+  });
+});
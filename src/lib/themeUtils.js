@@ -0,0 +1,222 @@
+import valueParser from 'postcss-value-parser';
+
+import { memoize } from './memoize.js';
+import { tokensTable } from '../vendor/firefox/toolkit/themes/shared/design-system/dist/semantic-categories.mjs';
+
+/**
+ * The themes a token's value can vary by, in the order they're shown.
+ * `light` and `dark` are the default theme in each color scheme, the others
+ * override it where they're set.
+ */
+export const THEMES = [
+  'light',
+  'dark',
+  'prefersContrast',
+  'forcedColors',
+  'brand',
+  'platform',
+];
+
+/**
+ * @typedef {object} ThemeValue
+ * @property {string} theme - One of `THEMES`, or "all" when the token has the
+ * same value in every theme.
+ * @property {string[]} values - The resolved value in light and dark color
+ * schemes, or a single value when they're the same.
+ */
+
+/**
+ * @typedef {object} TokenThemeValues
+ * @property {string} token - The token name, e.g. "--text-color".
+ * @property {boolean} isColor - Whether the token is a color token, so its
+ * values can be shown as swatches.
+ * @property {ThemeValue[]} themes - The value in each theme the token is set
+ * for. Themes other than light and dark are only included where they change
+ * the value.
+ */
+
+/**
+ * Indexes `tokensTable` by token name, keeping the first entry for each token.
+ *
+ * @returns {Map<string, { value: string|object, category: string }>}
+ *
+ * @private
+ */
+function __getTokenEntries() {
+  const entries = new Map();
+  for (const [category, tokens] of Object.entries(tokensTable)) {
+    for (const token of tokens) {
+      if (token.name && token.value !== undefined && !entries.has(token.name)) {
+        entries.set(token.name, { value: token.value, category });
+      }
+    }
+  }
+  return entries;
+}
+
+const getTokenEntries = memoize(__getTokenEntries);
+
+/**
+ * Picks the raw value of a `tokensTable` entry for a theme and color scheme,
+ * falling back to the default theme where the theme doesn't set one. Forced
+ * colors falls back to high contrast, as it implies it.
+ *
+ * @param {string|number|object} value - A `tokensTable` entry's value.
+ * @param {string} theme - One of `THEMES`.
+ * @param {'light'|'dark'} scheme - The color scheme.
+ * @returns {string|number|null}
+ */
+function pickThemeValue(value, theme, scheme) {
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  const base = value[scheme] ?? value.default ?? null;
+  switch (theme) {
+    case 'prefersContrast':
+      return value.prefersContrast ?? base;
+    case 'forcedColors':
+      return value.forcedColors ?? value.prefersContrast ?? base;
+    case 'brand':
+    case 'platform': {
+      const themed = value[theme];
+      if (themed !== undefined && typeof themed !== 'object') {
+        return themed;
+      }
+      return themed?.[scheme] ?? themed?.default ?? base;
+    }
+    default:
+      return base;
+  }
+}
+
+/**
+ * Resolves a token's value for a theme and color scheme, following references
+ * to other tokens and picking the matching side of `light-dark()`.
+ *
+ * @param {string} name - The token name.
+ * @param {string} theme - One of `THEMES`.
+ * @param {'light'|'dark'} scheme - The color scheme.
+ * @param {Set<string>} [seen] - Tokens being resolved, to stop cycles.
+ * @returns {string|null} - The resolved value, or null if the token isn't in `tokensTable`.
+ */
+function resolveThemeValue(name, theme, scheme, seen = new Set()) {
+  const entry = getTokenEntries().get(name);
+  // Some values, e.g. font weights, are numbers.
+  const picked = entry ? pickThemeValue(entry.value, theme, scheme) : null;
+  const raw = picked === null ? null : String(picked);
+  if (!raw || seen.has(name)) {
+    return raw;
+  }
+
+  const parsed = valueParser(raw.trim());
+  parsed.walk((node) => {
+    if (node.type !== 'function') {
+      return;
+    }
+
+    const args = node.nodes.filter((child) => child.type !== 'div');
+    if (node.value === 'light-dark' && args.length === 2) {
+      const picked = valueParser.stringify(args[scheme === 'light' ? 0 : 1]);
+      node.type = 'word';
+      node.value = resolveValue(
+        picked,
+        theme,
+        scheme,
+        new Set([...seen, name]),
+      );
+      return false;
+    }
+
+    const reference = node.value === 'var' && args[0]?.value;
+    if (reference && getTokenEntries().has(reference)) {
+      const resolved = resolveThemeValue(
+        reference,
+        theme,
+        scheme,
+        new Set([...seen, name]),
+      );
+      if (resolved) {
+        node.type = 'word';
+        node.value = resolved;
+      }
+      return false;
+    }
+
+    return undefined;
+  });
+
+  return valueParser.stringify(parsed.nodes);
+}
+
+/**
+ * Resolves the token references in a value for a theme and color scheme.
+ *
+ * @param {string} value - A CSS value.
+ * @param {string} theme - One of `THEMES`.
+ * @param {'light'|'dark'} scheme - The color scheme.
+ * @param {Set<string>} seen - Tokens being resolved, to stop cycles.
+ * @returns {string}
+ */
+function resolveValue(value, theme, scheme, seen) {
+  const reference = value.trim().match(/^var\(\s*(--[\w-]+)\s*\)$/)?.[1];
+  if (reference && getTokenEntries().has(reference) && !seen.has(reference)) {
+    return resolveThemeValue(reference, theme, scheme, seen) ?? value;
+  }
+  return value;
+}
+
+/**
+ * Returns what a token resolves to in every theme, following references to
+ * other tokens, e.g. `--background-color-box` to `#ffffff` in light mode.
+ *
+ * Themes other than light and dark are left out where they don't change the
+ * value, and light and dark are left out for tokens only set by the brand
+ * (in-content) or platform (browser chrome) themes. Tokens with the same value
+ * everywhere get a single "all" theme.
+ *
+ * @param {string} name - The token name, e.g. "--text-color".
+ * @returns {TokenThemeValues|null} - The values, or null if the token isn't in `tokensTable`.
+ *
+ * @private
+ */
+function __getTokenThemeValues(name) {
+  const entry = getTokenEntries().get(name);
+  if (!entry) {
+    return null;
+  }
+
+  const getValues = (theme, schemes) => [
+    ...new Set(
+      schemes
+        .map((scheme) => resolveThemeValue(name, theme, scheme))
+        .filter(Boolean),
+    ),
+  ];
+  const defaults = JSON.stringify(getValues('light', ['light', 'dark']));
+
+  const themes = [];
+  for (const theme of THEMES) {
+    const isDefault = theme === 'light' || theme === 'dark';
+    const values = getValues(theme, isDefault ? [theme] : ['light', 'dark']);
+    if (values.length && (isDefault || JSON.stringify(values) !== defaults)) {
+      themes.push({ theme, values });
+    }
+  }
+
+  const isSameEverywhere =
+    themes.length === 2 &&
+    themes[0].theme === 'light' &&
+    themes[1].theme === 'dark' &&
+    themes[0].values[0] === themes[1].values[0];
+
+  return {
+    token: name,
+    isColor: entry.category.endsWith('color'),
+    themes: isSameEverywhere
+      ? [{ theme: 'all', values: themes[0].values }]
+      : themes,
+  };
+}
+
+export const getTokenThemeValues = memoize(__getTokenThemeValues);
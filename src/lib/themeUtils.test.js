@@ -0,0 +1,52 @@
+import { getTokenThemeValues } from './themeUtils.js';
+
+describe('getTokenThemeValues', () => {
+  test('resolves a token in each theme it changes the value for', () => {
+    expect(getTokenThemeValues('--background-color-box')).toEqual({
+      token: '--background-color-box',
+      isColor: true,
+      themes: [
+        { theme: 'light', values: ['#ffffff'] },
+        { theme: 'dark', values: ['#23222b'] },
+        { theme: 'prefersContrast', values: ['Canvas'] },
+        { theme: 'forcedColors', values: ['Canvas'] },
+      ],
+    });
+  });
+
+  test('shows brand and platform values for tokens only set by them', () => {
+    const { themes } = getTokenThemeValues('--text-color');
+
+    expect(themes.map(({ theme }) => theme)).not.toContain('light');
+    expect(themes).toContainEqual({
+      theme: 'brand',
+      values: ['#15141a', '#fbfbfe'],
+    });
+    expect(themes).toContainEqual({
+      theme: 'platform',
+      values: ['currentColor'],
+    });
+  });
+
+  test('collapses values that are the same in every theme', () => {
+    expect(getTokenThemeValues('--space-small')).toEqual({
+      token: '--space-small',
+      isColor: false,
+      themes: [{ theme: 'all', values: ['0.5rem'] }],
+    });
+    expect(getTokenThemeValues('--not-a-token')).toBeNull();
+  });
+
+  test('handles tokens with numeric values', () => {
+    expect(getTokenThemeValues('--font-weight-bold').themes).toEqual([
+      { theme: 'all', values: ['700'] },
+    ]);
+    expect(getTokenThemeValues('--toolbarbutton-opacity-disabled')).toEqual(
+      expect.objectContaining({
+        themes: expect.arrayContaining([
+          { theme: 'prefersContrast', values: ['0.3'] },
+        ]),
+      }),
+    );
+  });
+});
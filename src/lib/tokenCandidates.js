@@ -0,0 +1,261 @@
+import valueParser from 'postcss-value-parser';
+
+import { splitValueComponents } from './componentScoring.js';
+import { findNearestTokens, ROOT_FONT_SIZE } from './nearestTokens.js';
+import { normalizePathForOutput } from './propagationUtils.js';
+
+/**
+ * How many example declarations to keep for each candidate.
+ */
+const MAX_EXAMPLES = 5;
+
+/**
+ * @typedef {object} NormalizedLiteral
+ * @property {string} key - The literal in a canonical form, e.g. "#aabbcc" or "8px".
+ * @property {'color'|'dimension'|'number'} kind - What sort of value it is.
+ * @property {number} [number] - The numeric value of dimensions and numbers,
+ * in pixels for `px` and `rem`.
+ * @property {string} [unit] - The unit of dimensions, with `rem` as "px".
+ */
+
+/**
+ * @typedef {object} TokenCandidate
+ * @property {string} key - The normalized literal the candidate clusters.
+ * @property {'color'|'dimension'|'number'} kind - What sort of value it is.
+ * @property {number} count - Occurrences across all declarations.
+ * @property {number} fileCount - Files it occurs in.
+ * @property {Array<{ property: string, count: number }>} properties - The
+ * properties it's used for, most used first.
+ * @property {Array<{ value: string, count: number }>} variants - How it's
+ * written, e.g. "#FFF" and "rgb(255, 255, 255)", most used first.
+ * @property {Array<{ path: string, property: string, value: string }>} examples
+ * Declarations using it, in the order they were found.
+ * @property {{ name: string, value: string, distance: number, isExact: boolean }|null} nearestToken
+ * The closest existing token valid for one of its properties, if any.
+ */
+
+/**
+ * Formats a number without trailing zeros, e.g. 0.50 as "0.5".
+ *
+ * @param {number} number - The number.
+ * @returns {string}
+ */
+function formatNumber(number) {
+  return String(+number.toFixed(3));
+}
+
+/**
+ * Converts an `rgb()` or `rgba()` color with numeric channels to hex.
+ *
+ * @param {string} args - The function's arguments, e.g. "255, 0, 0, 0.5".
+ * @returns {string|null} - e.g. "#ff000080", or null if it can't be converted.
+ */
+function rgbToHex(args) {
+  const parts = args.split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) {
+    return null;
+  }
+
+  const channels = [];
+  for (const [index, part] of parts.entries()) {
+    const { number, unit } = valueParser.unit(part) || {};
+    if (number === undefined || (unit && unit !== '%')) {
+      return null;
+    }
+    const max = index < 3 ? 255 : 1;
+    const value = unit === '%' ? (Number(number) / 100) * max : Number(number);
+    channels.push(Math.round((Math.min(Math.max(value, 0), max) / max) * 255));
+  }
+
+  if (channels[3] === 255) {
+    channels.pop();
+  }
+  return `#${channels.map((c) => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Normalizes a literal value so different ways of writing the same value
+ * cluster together: case, hex shorthand, `rgb()` versus hex, and `rem` versus
+ * `px`. Zero, keywords, vars and functions other than colors aren't literals
+ * worth a token, so aren't normalized.
+ *
+ * @param {string} literal - A single value, e.g. "#FFF" or "0.5rem".
+ * @returns {NormalizedLiteral|null}
+ */
+export function normalizeLiteral(literal) {
+  const value = literal.trim().toLowerCase();
+
+  const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/)?.[1];
+  if (hex) {
+    const full = hex.length <= 4 ? [...hex].map((c) => c + c).join('') : hex;
+    return {
+      key: `#${full.length === 8 && full.endsWith('ff') ? full.slice(0, 6) : full}`,
+      kind: 'color',
+    };
+  }
+
+  const color = value.match(/^(rgba?|hsla?|hwb|lab|lch|oklab|oklch)\((.*)\)$/);
+  if (color) {
+    const [, name, args] = color;
+    return {
+      key:
+        (name.startsWith('rgb') && rgbToHex(args)) ||
+        `${name}(${args
+          .trim()
+          .replace(/\s*,\s*/g, ', ')
+          .replace(/\s*\/\s*/g, ' / ')
+          .replace(/\s+/g, ' ')})`,
+      kind: 'color',
+    };
+  }
+
+  const dimension = valueParser.unit(value);
+  if (!dimension || !/^[a-z%]*$/.test(dimension.unit)) {
+    return null;
+  }
+
+  const isPixels = dimension.unit === 'px' || dimension.unit === 'rem';
+  const number =
+    Number(dimension.number) * (dimension.unit === 'rem' ? ROOT_FONT_SIZE : 1);
+  if (!Number.isFinite(number) || number === 0) {
+    return null;
+  }
+
+  const unit = isPixels ? 'px' : dimension.unit;
+  return {
+    key: `${formatNumber(number)}${unit}`,
+    kind: unit ? 'dimension' : 'number',
+    number,
+    unit,
+  };
+}
+
+/**
+ * Finds the existing token closest to a literal among the tokens valid for
+ * any of the given properties.
+ *
+ * @param {NormalizedLiteral} literal - The normalized literal.
+ * @param {string[]} properties - Properties the literal is used for.
+ * @returns {{ name: string, value: string, distance: number, isExact: boolean }|null}
+ */
+function findNearestToken(literal, properties) {
+  let nearest = null;
+  for (const property of properties) {
+    const [candidate] = findNearestTokens(property, literal.key, { limit: 1 });
+    if (candidate && (!nearest || candidate.distance < nearest.distance)) {
+      nearest = candidate;
+    }
+  }
+
+  return (
+    nearest && {
+      name: nearest.name,
+      value: nearest.value,
+      distance: nearest.distance,
+      isExact: nearest.distance === 0,
+    }
+  );
+}
+
+/**
+ * Returns entries of a count map, most counted first, then alphabetically.
+ *
+ * @param {Map<string, number>} counts - Counts by key.
+ * @param {string} keyName - Name of the key in the returned entries.
+ * @returns {Array<{ count: number }>}
+ */
+function sortCounts(counts, keyName) {
+  return [...counts]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([key, count]) => ({ [keyName]: key, count }));
+}
+
+/**
+ * Clusters the literals in declarations that don't use a design token, to
+ * propose new tokens.
+ *
+ * Each declaration's value is split into its components, and literals are
+ * normalized so that e.g. `#FFF`, `#ffffff` and `rgb(255, 255, 255)`, or
+ * `8px` and `0.5rem`, cluster together across files and properties.
+ * Candidates are ranked by the number of files they're used in, then by how
+ * often they're used.
+ *
+ * @param {ReturnType<typeof import('./propagationUtils.js').getUsageFindings>} findings
+ * Token usage findings from every analyzed file.
+ * @param {object} [options]
+ * @param {number} [options.minCount] - Occurrences needed to be a candidate.
+ * @param {number} [options.minFiles] - Files it has to be used in to be a candidate.
+ * @param {number} [options.limit] - Maximum number of candidates to return.
+ * @returns {TokenCandidate[]}
+ */
+export function buildTokenCandidates(
+  findings,
+  { minCount = 3, minFiles = 2, limit = 100 } = {},
+) {
+  const clusters = new Map();
+
+  for (const finding of findings) {
+    if (finding.containsToken || finding.isIgnored) {
+      continue;
+    }
+
+    const path = normalizePathForOutput(finding.path);
+    for (const component of splitValueComponents(finding.value)) {
+      const literal = normalizeLiteral(component);
+      if (!literal) {
+        continue;
+      }
+
+      let cluster = clusters.get(literal.key);
+      if (!cluster) {
+        cluster = {
+          literal,
+          count: 0,
+          files: new Set(),
+          properties: new Map(),
+          variants: new Map(),
+          examples: [],
+        };
+        clusters.set(literal.key, cluster);
+      }
+
+      cluster.count++;
+      cluster.files.add(path);
+      cluster.properties.set(
+        finding.property,
+        (cluster.properties.get(finding.property) ?? 0) + 1,
+      );
+      cluster.variants.set(
+        component,
+        (cluster.variants.get(component) ?? 0) + 1,
+      );
+      if (cluster.examples.length < MAX_EXAMPLES) {
+        cluster.examples.push({
+          path,
+          property: finding.property,
+          value: finding.value,
+        });
+      }
+    }
+  }
+
+  return [...clusters.values()]
+    .filter(({ count, files }) => count >= minCount && files.size >= minFiles)
+    .sort(
+      (a, b) =>
+        b.files.size - a.files.size ||
+        b.count - a.count ||
+        a.literal.key.localeCompare(b.literal.key),
+    )
+    .slice(0, limit)
+    .map(({ literal, count, files, properties, variants, examples }) => ({
+      key: literal.key,
+      kind: literal.kind,
+      count,
+      fileCount: files.size,
+      properties: sortCounts(properties, 'property'),
+      variants: sortCounts(variants, 'value'),
+      examples,
+      nearestToken: findNearestToken(literal, [...properties.keys()]),
+    }));
+}
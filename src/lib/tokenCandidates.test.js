@@ -0,0 +1,90 @@
+import { buildTokenCandidates, normalizeLiteral } from './tokenCandidates.js';
+
+describe('normalizeLiteral', () => {
+  test.each([
+    ['#FFF', '#ffffff'],
+    ['#ffffffff', '#ffffff'],
+    ['rgb(255, 255, 255)', '#ffffff'],
+    ['rgba(0,0,0,.5)', '#00000080'],
+    ['0.5rem', '8px'],
+    ['8PX', '8px'],
+    ['.50em', '0.5em'],
+    ['hsl(0 0% 10%/.5)', 'hsl(0 0% 10% / .5)'],
+  ])('normalizes %s to %s', (literal, key) => {
+    expect(normalizeLiteral(literal).key).toBe(key);
+  });
+
+  test.each(['0', 'solid', 'var(--a)', 'calc(1px + 2px)'])(
+    "doesn't normalize %s",
+    (literal) => {
+      expect(normalizeLiteral(literal)).toBeNull();
+    },
+  );
+});
+
+describe('buildTokenCandidates', () => {
+  const finding = (path, property, value, overrides = {}) => ({
+    path,
+    property,
+    value,
+    containsToken: false,
+    isIgnored: false,
+    ...overrides,
+  });
+
+  test('clusters literals across files and properties, ranked by spread', () => {
+    const candidates = buildTokenCandidates(
+      [
+        finding('/a.css', 'padding', '7px 0.5rem'),
+        finding('/b.css', 'margin', '7px'),
+        finding('/b.css', 'gap', '0.4375rem'),
+        finding('/c.css', 'padding', '8px'),
+        finding('/c.css', 'color', '#FFF'),
+        finding('/d.css', 'color', 'rgb(255, 255, 255)'),
+        finding('/e.css', 'color', '#ffffff'),
+        finding('/f.css', 'color', 'var(--text-color)', {
+          containsToken: true,
+        }),
+      ],
+      { minCount: 2, minFiles: 2 },
+    );
+
+    expect(candidates.map(({ key }) => key)).toEqual(['#ffffff', '7px', '8px']);
+    expect(candidates[0]).toMatchObject({
+      kind: 'color',
+      count: 3,
+      fileCount: 3,
+      properties: [{ property: 'color', count: 3 }],
+      variants: [
+        { value: '#FFF', count: 1 },
+        { value: '#ffffff', count: 1 },
+        { value: 'rgb(255, 255, 255)', count: 1 },
+      ],
+      nearestToken: { value: '#ffffff', isExact: true },
+    });
+    expect(candidates[1]).toMatchObject({
+      count: 3,
+      fileCount: 2,
+      variants: [
+        { value: '7px', count: 2 },
+        { value: '0.4375rem', count: 1 },
+      ],
+      examples: [
+        { path: '/a.css', property: 'padding', value: '7px 0.5rem' },
+        { path: '/b.css', property: 'margin', value: '7px' },
+        { path: '/b.css', property: 'gap', value: '0.4375rem' },
+      ],
+    });
+  });
+
+  test('leaves out literals that are rare or in a single file', () => {
+    expect(
+      buildTokenCandidates([
+        finding('/a.css', 'padding', '3px'),
+        finding('/a.css', 'margin', '3px'),
+        finding('/a.css', 'gap', '3px'),
+        finding('/b.css', 'padding', '5px'),
+      ]),
+    ).toEqual([]);
+  });
+});
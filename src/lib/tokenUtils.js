@@ -222,6 +222,26 @@ function removeCyclicVarAliases(localCustomProperties) {
   );
 }
 
+/**
+ * Returns the stylelint `PropertyValidator` for a property, creating it on
+ * first use in the same way the use-design-tokens rule does.
+ *
+ * @param {string} prop - The CSS property name.
+ * @returns {PropertyValidator|null} The validator, or null if the property isn't configured.
+ */
+export function getPropertyValidator(prop) {
+  const propConfig = propertyConfig[prop];
+  if (!propConfig) {
+    return null;
+  }
+
+  if (!propConfig.validator) {
+    propConfig.validator = new PropertyValidator(propConfig);
+  }
+
+  return propConfig.validator;
+}
+
 /**
  * Determine whether a CSS property value is valid according to the configured
  * design token rules for a given property.
@@ -242,23 +262,19 @@ function removeCyclicVarAliases(localCustomProperties) {
  * valid for the given property, otherwise `false`.
  */
 export function isValidPropertyValue(prop, value, localCustomProperties = {}) {
-  const propConfig = propertyConfig[prop];
-  if (!propConfig) {
+  const validator = getPropertyValidator(prop);
+  if (!validator) {
     return false;
   }
 
-  if (!propConfig.validator) {
-    propConfig.validator = new PropertyValidator(propConfig);
-  }
-
   const parsedValue = valueParser(value);
-  const isValid = propConfig.validator.isValidPropertyValue(
+  const isValid = validator.isValidPropertyValue(
     parsedValue,
     removeCyclicVarAliases(localCustomProperties),
   );
 
   if (!isValid) {
-    return propConfig.validator.warnSystemColors && isSystemColor(value);
+    return validator.warnSystemColors && isSystemColor(value);
   }
 
   return isValid;
@@ -297,6 +313,34 @@ export function getCSSVariables(value) {
   return variables;
 }
 
+/**
+ * Matches base (palette) color tokens referenced directly, e.g.
+ * `var(--color-gray-80)`.
+ *
+ * Copied from `colorTokenRegex` in the vendored stylelint-plugin-mozilla
+ * `rules/no-base-design-tokens.mjs`, which doesn't export it: keep the two in
+ * sync. tokenUtils.test.js checks them against each other through stylelint.
+ */
+const BASE_TOKEN_PATTERN = /var\((?<token>--color-[a-zA-Z]+-\d+)\)/g;
+
+/**
+ * Returns the base color tokens a value uses directly rather than through a
+ * semantic token, as flagged by the no-base-design-tokens rule.
+ *
+ * @param {string} value - The CSS value to search.
+ * @returns {string[]} - Unique token names, in the order they're used.
+ *
+ * @example
+ * getBaseTokens('1px solid var(--color-gray-80)') // ['--color-gray-80']
+ */
+export function getBaseTokens(value) {
+  return [
+    ...new Set(
+      [...value.matchAll(BASE_TOKEN_PATTERN)].map(({ groups }) => groups.token),
+    ),
+  ];
+}
+
 /**
  * Determines if a variable definition is in a valid scope.
  *
@@ -1,3 +1,6 @@
+import stylelint from 'stylelint';
+import plugins from '../vendor/firefox/tools/lint/stylelint/stylelint-plugin-mozilla/index.mjs';
+import { NO_BASE_DESIGN_TOKENS_RULE } from './stylelintDirectives.js';
 import {
   isVariableDefinition,
   containsValidDesignToken,
@@ -8,6 +11,7 @@ import {
   isWithinValidParentSelector,
   extractValidTokensForProp,
   extractDesignTokenIdsFromDecl,
+  getBaseTokens,
 } from './tokenUtils.js';
 
 describe('isVariableDefinition', () => {
@@ -86,6 +90,47 @@ describe('containsValidDesignToken', () => {
   });
 });
 
+describe('getBaseTokens', () => {
+  test('returns base color tokens used directly', () => {
+    expect(
+      getBaseTokens(
+        'light-dark(var(--color-gray-80), var(--color-gray-05)) var(--color-gray-80)',
+      ),
+    ).toEqual(['--color-gray-80', '--color-gray-05']);
+  });
+
+  test('ignores semantic tokens and base tokens with fallbacks', () => {
+    expect(getBaseTokens('var(--color-accent-primary)')).toEqual([]);
+    expect(getBaseTokens('var(--text-color)')).toEqual([]);
+    // Like the stylelint rule, only bare references are matched.
+    expect(getBaseTokens('var(--color-gray-80, red)')).toEqual([]);
+  });
+
+  test('flags the same tokens as the vendored rule', async () => {
+    const values = [
+      'var(--color-gray-80)',
+      'light-dark(var(--color-blue-50), var(--color-blue-05))',
+      'var(--color-accent-primary)',
+      'var(--color-gray-80, red)',
+      'var(--text-color)',
+      '1px solid var(--color-red-60)',
+    ];
+    const code = values.map((value) => `.a { color: ${value}; }`).join('\n');
+
+    const {
+      results: [{ warnings }],
+    } = await stylelint.lint({
+      code,
+      config: { plugins, rules: { [NO_BASE_DESIGN_TOKENS_RULE]: true } },
+    });
+
+    expect(warnings.length).toBeGreaterThan(0);
+    expect(values.flatMap(getBaseTokens)).toEqual(
+      warnings.map(({ text }) => text.match(/"(--[^"]+)"/)[1]),
+    );
+  });
+});
+
 describe('isValidPropertyValue', () => {
   // See ...versatileColorTokens landed in https://bugzilla.mozilla.org/show_bug.cgi?id=2022975
   test(`should be true for some specific unaliased base tokens`, () => {
@@ -0,0 +1,157 @@
+import config from '../../config.js';
+import { getCSSVariables, isVariableDefinition } from './tokenUtils.js';
+
+const CANONICAL_TOKEN_KEY_SET = new Set(
+  Array.isArray(config.allTokens) ? config.allTokens : [],
+);
+
+/**
+ * @typedef {object} CustomPropertyUsage
+ * @property {Array<{ name: string, start: object, end: object }>} definitions
+ * The file's own custom property definitions, in source order. Design tokens
+ * aren't included, as they're used across the tree.
+ * @property {Record<string, string[]>} references - The vars each of the
+ * file's own custom properties references, across all of its definitions.
+ * @property {string[]} uses - The vars referenced by the file's other
+ * declarations.
+ */
+
+/**
+ * @typedef {object} UnusedVariable
+ * @property {string} name - The custom property, e.g. "--card-padding".
+ * @property {'unused'|'dead'} status - "unused" when nothing references it,
+ * "dead" when it's only referenced by other unused or dead custom properties.
+ * @property {object} start - Start position of the definition.
+ * @property {object} end - End position of the definition.
+ */
+
+/**
+ * Records which custom properties a stylesheet defines and where the vars it
+ * references are used, so unused definitions can be found across files.
+ *
+ * Content pulled in with `%include` is left to the included file.
+ *
+ * @param {import('postcss').Root} root - Parsed CSS AST.
+ * @returns {CustomPropertyUsage}
+ */
+export function collectCustomPropertyUsage(root) {
+  const definitions = [];
+  const references = {};
+  const uses = new Set();
+
+  root.walkDecls((node) => {
+    if (node.source?.preprocessor?.included) {
+      return;
+    }
+
+    const referenced = getCSSVariables(node.value);
+    if (!isVariableDefinition(node.prop)) {
+      referenced.forEach((name) => uses.add(name));
+      return;
+    }
+
+    references[node.prop] = [
+      ...new Set([...(references[node.prop] ?? []), ...referenced]),
+    ];
+    if (!CANONICAL_TOKEN_KEY_SET.has(node.prop) && node.source?.start) {
+      definitions.push({
+        name: node.prop,
+        start: node.source.start,
+        end: node.source.end,
+      });
+    }
+  });
+
+  return { definitions, references, uses: [...uses] };
+}
+
+/**
+ * Finds custom properties that are defined but never used, across every
+ * analyzed file.
+ *
+ * A var is used when a declaration that isn't itself a custom property
+ * references it, or when a used custom property does. References are followed
+ * to the definition they resolve to: the file's own, one from a file it gets
+ * vars from (via `externalVarMapping`, `@import` or `%include`), or, with the
+ * global var index, the indexed one. So vars only used by the files mapping or
+ * importing their stylesheet aren't reported.
+ *
+ * @param {Array<{ absolutePath: string, propagationData: { customProperties?: CustomPropertyUsage, foundVariables?: object } }>} files
+ * Analyzed files.
+ * @param {object} [options]
+ * @param {object|null} [options.varIndex] - Repo-wide variable index.
+ * @returns {Map<string, UnusedVariable[]>} - Unused definitions by file path,
+ * in source order, for files that have any.
+ */
+export function findUnusedVariables(files, { varIndex = null } = {}) {
+  const usageByPath = new Map();
+  for (const { absolutePath, propagationData } of files) {
+    if (propagationData?.customProperties) {
+      usageByPath.set(absolutePath, {
+        ...propagationData.customProperties,
+        foundVariables: propagationData.foundVariables ?? {},
+      });
+    }
+  }
+
+  const getKey = (filePath, name) => `${filePath}\n${name}`;
+
+  // Returns the key of the definition a reference from a file resolves to.
+  const resolve = (filePath, name) => {
+    const usage = usageByPath.get(filePath);
+    if (Object.hasOwn(usage.references, name)) {
+      return getKey(filePath, name);
+    }
+    const src = usage.foundVariables[name]?.src ?? varIndex?.[name]?.src;
+    return src && usageByPath.has(src) ? getKey(src, name) : null;
+  };
+
+  const referenced = new Set();
+  const live = new Set();
+  const queue = [];
+  for (const [filePath, { uses, references }] of usageByPath) {
+    for (const name of uses) {
+      queue.push([filePath, name]);
+    }
+    for (const names of Object.values(references)) {
+      for (const name of names) {
+        referenced.add(resolve(filePath, name));
+      }
+    }
+  }
+
+  while (queue.length) {
+    const [fromPath, name] = queue.pop();
+    const key = resolve(fromPath, name);
+    if (!key || live.has(key)) {
+      continue;
+    }
+    live.add(key);
+
+    const [filePath] = key.split('\n');
+    for (const reference of usageByPath.get(filePath).references[name] ?? []) {
+      queue.push([filePath, reference]);
+    }
+  }
+
+  const unusedByPath = new Map();
+  for (const [filePath, { definitions }] of usageByPath) {
+    const unused = [];
+    for (const { name, start, end } of definitions) {
+      const key = getKey(filePath, name);
+      if (!live.has(key)) {
+        unused.push({
+          name,
+          status: referenced.has(key) ? 'dead' : 'unused',
+          start,
+          end,
+        });
+      }
+    }
+    if (unused.length) {
+      unusedByPath.set(filePath, unused);
+    }
+  }
+
+  return unusedByPath;
+}
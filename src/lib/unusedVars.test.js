@@ -0,0 +1,115 @@
+import postcss from 'postcss';
+import {
+  collectCustomPropertyUsage,
+  findUnusedVariables,
+} from './unusedVars.js';
+
+/**
+ * Builds an analyzed file from CSS.
+ *
+ * @param {string} absolutePath - Path of the file.
+ * @param {string} css - The file's CSS.
+ * @param {object} [foundVariables] - Vars available from other files.
+ * @returns {object}
+ */
+function analyze(absolutePath, css, foundVariables = {}) {
+  return {
+    absolutePath,
+    propagationData: {
+      customProperties: collectCustomPropertyUsage(postcss.parse(css)),
+      foundVariables,
+    },
+  };
+}
+
+/**
+ * Lists the names and statuses of a file's unused custom properties.
+ *
+ * @param {Map<string, object[]>} unused - Result of `findUnusedVariables`.
+ * @param {string} filePath - Path of the file.
+ * @returns {string[]}
+ */
+function summarize(unused, filePath) {
+  return (unused.get(filePath) ?? []).map(
+    ({ name, status }) => `${name} ${status}`,
+  );
+}
+
+describe('collectCustomPropertyUsage', () => {
+  test('records definitions, what they reference and other uses', () => {
+    const usage = collectCustomPropertyUsage(
+      postcss.parse(`:root {
+  --a: var(--b);
+  --text-color: red;
+}
+.x {
+  transition: opacity var(--duration, var(--fallback));
+}`),
+    );
+
+    expect(usage.definitions).toEqual([
+      {
+        name: '--a',
+        start: expect.objectContaining({ line: 2, column: 3 }),
+        end: expect.objectContaining({ line: 2 }),
+      },
+    ]);
+    expect(usage.references).toEqual({ '--a': ['--b'], '--text-color': [] });
+    expect(usage.uses).toEqual(['--duration', '--fallback']);
+  });
+});
+
+describe('findUnusedVariables', () => {
+  test('reports unused and dead definitions in a file', () => {
+    const unused = findUnusedVariables([
+      analyze(
+        '/a.css',
+        `:root {
+  --used: 1px;
+  --alias: var(--used);
+  --unused: var(--dead);
+  --dead: var(--also-dead);
+  --also-dead: 2px;
+}
+.a { margin: var(--alias); }`,
+      ),
+    ]);
+
+    expect(summarize(unused, '/a.css')).toEqual([
+      '--unused unused',
+      '--dead dead',
+      '--also-dead dead',
+    ]);
+  });
+
+  test('counts uses from files that get vars from another file', () => {
+    const shared = analyze(
+      '/shared.css',
+      ':root {\n  --mapped: 1px;\n  --only-shared: 2px;\n}',
+    );
+    const consumer = analyze(
+      '/component.css',
+      '.a { padding: var(--mapped); }',
+      {
+        '--mapped': { src: '/shared.css', isExternal: true },
+      },
+    );
+
+    const unused = findUnusedVariables([shared, consumer]);
+
+    expect(summarize(unused, '/shared.css')).toEqual(['--only-shared unused']);
+    expect(unused.has('/component.css')).toBe(false);
+  });
+
+  test('resolves otherwise unknown vars via the var index', () => {
+    const unused = findUnusedVariables(
+      [
+        analyze('/shared.css', ':root {\n  --indexed: 1px;\n}'),
+        analyze('/other.css', '.a { padding: var(--indexed); }'),
+      ],
+      { varIndex: { '--indexed': { src: '/shared.css' } } },
+    );
+
+    expect(unused.size).toBe(0);
+  });
+});
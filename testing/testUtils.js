@@ -14,6 +14,13 @@ import '../src/content/js/TokenTooltip.js';
  * @param {string[]} options.tokens - Tokens used in the value.
  * @param {string[]} options.source - Source files.
  * @param {string[]} options.unresolved - Unresolved variable references.
+ * @param {string[][]} options.imports - Import chains followed to reach the vars.
+ * @param {object[]} options.fallbacks - Branches taken for var() fallbacks.
+ * @param {object[]} options.variants - Results under each definition of redefined vars.
+ * @param {string[]} options.contexts - At-rule contexts the declaration is nested in.
+ * @param {object|null} options.suggestion - Suggested replacement for the value.
+ * @param {object|null} options.stylelintExclusion - Directive excluding the
+ * declaration, which also marks it as excluded.
  * @param {number} options.top - Top coordinate for layout simulation.
  * @param {number} options.left - Left coordinate for layout simulation.
  * @returns {HTMLElement} - The mock trigger element, appended to `document.body`.
@@ -24,6 +31,12 @@ export function createMockTrigger({
   tokens = ['--a'],
   source = ['tokens.css'],
   unresolved = [],
+  imports = [],
+  fallbacks = [],
+  variants = [],
+  contexts = [],
+  suggestion = null,
+  stylelintExclusion = null,
   top = 100,
   left = 100,
 } = {}) {
@@ -34,6 +47,19 @@ export function createMockTrigger({
   el.dataset.tokens = JSON.stringify(tokens);
   el.dataset.source = JSON.stringify(source);
   el.dataset.unresolved = JSON.stringify(unresolved);
+  el.dataset.imports = JSON.stringify(imports);
+  el.dataset.fallbacks = JSON.stringify(fallbacks);
+  el.dataset.variants = JSON.stringify(variants);
+  el.dataset.contexts = JSON.stringify(contexts);
+  el.dataset.suggestion = JSON.stringify(suggestion);
+  if (stylelintExclusion) {
+    // Set like the templates do, as lowercased attributes.
+    el.setAttribute('data-isExcludedByStylelint', '');
+    el.setAttribute(
+      'data-stylelintExclusion',
+      JSON.stringify(stylelintExclusion),
+    );
+  }
 
   // Mock getBoundingClientRect to control position
   el.getBoundingClientRect = () => ({
@@ -81,6 +107,11 @@ export function showTooltip(triggerEl, tooltip) {
   tooltip.tokens = JSON.parse(triggerEl.dataset.tokens || '[]');
   tooltip.source = JSON.parse(triggerEl.dataset.source || '[]');
   tooltip.unresolved = JSON.parse(triggerEl.dataset.unresolved || '[]');
+  tooltip.imports = JSON.parse(triggerEl.dataset.imports || '[]');
+  tooltip.fallbacks = JSON.parse(triggerEl.dataset.fallbacks || '[]');
+  tooltip.variants = JSON.parse(triggerEl.dataset.variants || '[]');
+  tooltip.contexts = JSON.parse(triggerEl.dataset.contexts || '[]');
+  tooltip.suggestion = JSON.parse(triggerEl.dataset.suggestion || 'null');
 
   tooltip.hidden = false;
   tooltip.pinned = false;